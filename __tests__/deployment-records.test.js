@@ -0,0 +1,87 @@
+/**
+ * Unit tests for deployment records
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals'
+import {
+  listDeploymentRecords,
+  toDeploymentRef
+} from '../src/deployment-records.js'
+
+const mockGitHubClient = {
+  listSuccessfulDeployments: jest.fn(),
+  listSuccessfulWorkflowRuns: jest.fn()
+}
+
+describe('listDeploymentRecords', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('should list successful deployments to the environment', async () => {
+    mockGitHubClient.listSuccessfulDeployments.mockResolvedValue([{ id: 1 }])
+
+    const records = await listDeploymentRecords(mockGitHubClient, {
+      deploymentSource: 'deployments',
+      environment: 'production',
+      maxDeployments: 50
+    })
+
+    expect(records).toEqual([{ id: 1 }])
+    expect(mockGitHubClient.listSuccessfulDeployments).toHaveBeenCalledWith(
+      'production',
+      50
+    )
+  })
+
+  it('should list successful runs of the deploy workflow', async () => {
+    mockGitHubClient.listSuccessfulWorkflowRuns.mockResolvedValue([{ id: 2 }])
+
+    const records = await listDeploymentRecords(mockGitHubClient, {
+      deploymentSource: 'workflow',
+      deployWorkflow: 'deploy.yml',
+      deployBranch: 'main',
+      maxDeployments: 50
+    })
+
+    expect(records).toEqual([{ id: 2 }])
+    expect(mockGitHubClient.listSuccessfulWorkflowRuns).toHaveBeenCalledWith(
+      'deploy.yml',
+      'main',
+      50
+    )
+    expect(mockGitHubClient.listSuccessfulDeployments).not.toHaveBeenCalled()
+  })
+})
+
+describe('toDeploymentRef', () => {
+  it('should use the record name as its tag', () => {
+    expect(
+      toDeploymentRef(
+        {
+          name: 'deploy.yml#7',
+          sha: 'abcdef1234',
+          ref: 'main',
+          created_at: '2024-01-01T00:00:00Z'
+        },
+        'production'
+      )
+    ).toEqual({
+      name: 'deploy.yml#7',
+      tag: 'deploy.yml#7',
+      sha: 'abcdef1234',
+      created_at: '2024-01-01T00:00:00Z'
+    })
+  })
+
+  it('should name deployments after their environment and SHA', () => {
+    const ref = toDeploymentRef(
+      { sha: 'abcdef1234', ref: 'main', environment: 'staging' },
+      'production'
+    )
+    expect(ref.tag).toBe('staging@abcdef1')
+    expect(
+      toDeploymentRef({ sha: 'abcdef1234', ref: 'main' }, 'production').tag
+    ).toBe('production@abcdef1')
+  })
+})
@@ -24,6 +24,8 @@ const mockGitHubClient = {
 // Setup mocks
 jest.unstable_mockModule('@actions/core', () => mockCore)
 
+const { createIgnoreMatcher } = await import('../src/ignore-patterns.js')
+
 // Create a simple test class that doesn't depend on the actual import
 class TestDevExMetricsCollector {
   constructor(githubClient, options = {}) {
@@ -44,16 +46,8 @@ class TestDevExMetricsCollector {
       }
 
       // Check if file matches any ignore pattern
-      if (this.options.filesToIgnore.length > 0) {
-        const shouldIgnore = this.options.filesToIgnore.some((pattern) => {
-          const regexPattern = pattern.replace(/\*/g, '.*').replace(/\?/g, '.')
-          const regex = new RegExp(`^${regexPattern}$`)
-          return regex.test(file.filename)
-        })
-
-        if (shouldIgnore) {
-          return false
-        }
+      if (createIgnoreMatcher(this.options.filesToIgnore)(file.filename)) {
+        return false
       }
 
       return true
@@ -87,6 +81,7 @@ class TestDevExMetricsCollector {
   categorizePRSize(sizeDetails) {
     const { total_changes } = sizeDetails
 
+    if (total_changes < 10) return 'xs'
     if (total_changes < 105) return 's'
     if (total_changes <= 160) return 'm'
     if (total_changes <= 240) return 'l'
@@ -95,6 +90,7 @@ class TestDevExMetricsCollector {
 
   getSizeEmoji(size) {
     const emojiMap = {
+      xs: '▫️',
       s: '🔹',
       m: '🔸',
       l: '🔶',
@@ -108,16 +104,8 @@ class TestDevExMetricsCollector {
 
     files.forEach((file) => {
       // Apply the same filtering logic as for PR size
-      if (this.options.filesToIgnore.length > 0) {
-        const shouldIgnore = this.options.filesToIgnore.some((pattern) => {
-          const regexPattern = pattern.replace(/\*/g, '.*').replace(/\?/g, '.')
-          const regex = new RegExp(`^${regexPattern}$`)
-          return regex.test(file.filename)
-        })
-
-        if (shouldIgnore) {
-          return
-        }
+      if (createIgnoreMatcher(this.options.filesToIgnore)(file.filename)) {
+        return
       }
 
       if (this.options.ignoreFileDeletions && file.status === 'removed') {
@@ -217,6 +205,21 @@ describe('DevExMetricsCollector', () => {
       expect(filtered.find((f) => f.status === 'removed')).toBeUndefined()
     })
 
+    it('should not let single stars cross directories', () => {
+      collector.options.filesToIgnore = ['docs/*.txt', '!README.md', '*.md']
+      const filtered = collector.filterFiles([
+        ...mockFiles,
+        { filename: 'docs/api/notes.txt', status: 'added' }
+      ])
+
+      expect(filtered.map((f) => f.filename)).toEqual([
+        'src/main.js',
+        'package.json',
+        'test.txt',
+        'docs/api/notes.txt'
+      ])
+    })
+
     it('should combine multiple filters', () => {
       collector.options.filesToIgnore = ['*.md']
       collector.options.ignoreFileDeletions = true
@@ -277,8 +280,13 @@ describe('DevExMetricsCollector', () => {
   })
 
   describe('categorizePRSize', () => {
-    it('should categorize S (<105 changes)', () => {
-      expect(collector.categorizePRSize({ total_changes: 5 })).toBe('s')
+    it('should categorize XS (<10 changes)', () => {
+      expect(collector.categorizePRSize({ total_changes: 0 })).toBe('xs')
+      expect(collector.categorizePRSize({ total_changes: 9 })).toBe('xs')
+    })
+
+    it('should categorize S (10-104 changes)', () => {
+      expect(collector.categorizePRSize({ total_changes: 10 })).toBe('s')
       expect(collector.categorizePRSize({ total_changes: 104 })).toBe('s')
     })
 
@@ -300,6 +308,7 @@ describe('DevExMetricsCollector', () => {
 
   describe('getSizeEmoji', () => {
     it('should return correct emojis for each size', () => {
+      expect(collector.getSizeEmoji('xs')).toBe('▫️')
       expect(collector.getSizeEmoji('s')).toBe('🔹')
       expect(collector.getSizeEmoji('m')).toBe('🔸')
       expect(collector.getSizeEmoji('l')).toBe('🔶')
@@ -612,4 +621,933 @@ describe('DevExMetricsCollector', () => {
       })
     })
   })
+
+  describe('upsertPRComment', () => {
+    const marker = '<!-- agile-metrics-action:devex -->'
+    let DevExMetricsCollector
+    let client
+
+    beforeEach(async () => {
+      ;({ DevExMetricsCollector } = await import(
+        '../src/devex-metrics-collector.js'
+      ))
+      client = {
+        listPRComments: jest.fn(),
+        createPRComment: jest.fn(),
+        updatePRComment: jest.fn(),
+        deletePRComment: jest.fn()
+      }
+    })
+
+    it('should create a comment when none exists', async () => {
+      client.listPRComments.mockResolvedValue([{ id: 1, body: 'LGTM' }])
+      const devex = new DevExMetricsCollector(client)
+
+      await devex.upsertPRComment(123, `${marker}\nbody`)
+
+      expect(client.createPRComment).toHaveBeenCalledWith(
+        123,
+        `${marker}\nbody`
+      )
+      expect(client.updatePRComment).not.toHaveBeenCalled()
+    })
+
+    it('should update the existing comment in update mode', async () => {
+      client.listPRComments.mockResolvedValue([
+        { id: 1, body: 'LGTM' },
+        { id: 2, body: `${marker}\nold` }
+      ])
+      const devex = new DevExMetricsCollector(client)
+
+      await devex.upsertPRComment(123, `${marker}\nnew`)
+
+      expect(client.updatePRComment).toHaveBeenCalledWith(2, `${marker}\nnew`)
+      expect(client.createPRComment).not.toHaveBeenCalled()
+      expect(client.deletePRComment).not.toHaveBeenCalled()
+    })
+
+    it('should delete and recreate the comment in recreate mode', async () => {
+      client.listPRComments.mockResolvedValue([
+        { id: 2, body: `${marker}\nold` }
+      ])
+      const devex = new DevExMetricsCollector(client, {
+        commentMode: 'recreate'
+      })
+
+      await devex.upsertPRComment(123, `${marker}\nnew`)
+
+      expect(client.deletePRComment).toHaveBeenCalledWith(2)
+      expect(client.createPRComment).toHaveBeenCalledWith(123, `${marker}\nnew`)
+      expect(client.updatePRComment).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('addPRLabel', () => {
+    let DevExMetricsCollector
+    let client
+
+    beforeEach(async () => {
+      ;({ DevExMetricsCollector } = await import(
+        '../src/devex-metrics-collector.js'
+      ))
+      client = {
+        getPullRequest: jest.fn(),
+        getLabel: jest.fn().mockResolvedValue({ name: 'size/m' }),
+        createLabel: jest.fn(),
+        addPRLabel: jest.fn(),
+        removePRLabel: jest.fn()
+      }
+    })
+
+    it('should replace stale size labels', async () => {
+      client.getPullRequest.mockResolvedValue({
+        labels: [{ name: 'bug' }, { name: 'size/s' }, { name: 'Size/XL' }]
+      })
+      const devex = new DevExMetricsCollector(client)
+
+      await devex.addPRLabel(123, 'size/m')
+
+      expect(client.removePRLabel).toHaveBeenCalledTimes(2)
+      expect(client.removePRLabel).toHaveBeenCalledWith(123, 'size/s')
+      expect(client.removePRLabel).toHaveBeenCalledWith(123, 'Size/XL')
+      expect(client.addPRLabel).toHaveBeenCalledWith(123, 'size/m')
+      expect(client.createLabel).not.toHaveBeenCalled()
+    })
+
+    it('should create a missing label with its configured style', async () => {
+      client.getPullRequest.mockResolvedValue({ labels: [] })
+      client.getLabel.mockResolvedValue(null)
+      const devex = new DevExMetricsCollector(client, {
+        labelPrefix: 'pr-size:'
+      })
+
+      await devex.addPRLabel(123, 'pr-size:xl')
+
+      expect(client.createLabel).toHaveBeenCalledWith(
+        'pr-size:xl',
+        'c32607',
+        'Extra large PR'
+      )
+      expect(client.addPRLabel).toHaveBeenCalledWith(123, 'pr-size:xl')
+    })
+
+    it('should leave labels alone when the size is already applied', async () => {
+      client.getPullRequest.mockResolvedValue({ labels: [{ name: 'size/m' }] })
+      const devex = new DevExMetricsCollector(client)
+
+      await devex.addPRLabel(123, 'size/m')
+
+      expect(client.removePRLabel).not.toHaveBeenCalled()
+      expect(client.addPRLabel).not.toHaveBeenCalled()
+    })
+
+    it('should skip draft and unknown sizes', async () => {
+      const devex = new DevExMetricsCollector(client)
+
+      await devex.addPRLabel(123, 'draft')
+      await devex.addPRLabel(123, 'size/unknown')
+
+      expect(client.getPullRequest).not.toHaveBeenCalled()
+      expect(client.addPRLabel).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('categorizePRSize with file buckets', () => {
+    it('should size by files changed when configured', async () => {
+      const { DevExMetricsCollector } = await import(
+        '../src/devex-metrics-collector.js'
+      )
+      const { RatingEngine } = await import('../src/ratings.js')
+      const devex = new DevExMetricsCollector(mockGitHubClient, {
+        ratings: new RatingEngine({ pr_size_files: { l: 60 } })
+      })
+
+      expect(
+        devex.categorizePRSize({ total_changes: 40, files_changed: 60 })
+      ).toBe('l')
+      expect(
+        devex.categorizePRSize({ total_changes: 40, files_changed: 3 })
+      ).toBe('s')
+    })
+  })
+
+  describe('calculatePRSize ignored files', () => {
+    it('should list the files left out of the size', async () => {
+      const { DevExMetricsCollector } = await import(
+        '../src/devex-metrics-collector.js'
+      )
+      const client = {
+        getPullRequest: jest.fn().mockResolvedValue({ draft: false }),
+        getPullRequestFiles: jest.fn().mockResolvedValue([
+          { filename: 'src/index.js', additions: 20, deletions: 0 },
+          { filename: 'docs/guide.md', additions: 300, deletions: 0 },
+          { filename: 'dist/index.js', additions: 900, deletions: 0 }
+        ])
+      }
+      const devex = new DevExMetricsCollector(client, {
+        filesToIgnore: ['**/*.md', 'dist/']
+      })
+
+      const result = await devex.calculatePRSize(123)
+
+      expect(result.size).toBe('s')
+      expect(result.details.total_changes).toBe(20)
+      expect(result.details.ignored_files).toEqual([
+        'docs/guide.md',
+        'dist/index.js'
+      ])
+    })
+  })
+
+  describe('truncated PR listings', () => {
+    it('should flag PR size when the file limit is reached', async () => {
+      const { DevExMetricsCollector } = await import(
+        '../src/devex-metrics-collector.js'
+      )
+      const client = {
+        getPullRequest: jest.fn().mockResolvedValue({ draft: false }),
+        getPullRequestFiles: jest.fn().mockResolvedValue(
+          Array.from({ length: 3000 }, (_, i) => ({
+            filename: `src/file${i}.js`,
+            additions: 1,
+            deletions: 0
+          }))
+        )
+      }
+      const devex = new DevExMetricsCollector(client)
+
+      const result = await devex.calculatePRSize(123)
+
+      expect(result.details.truncated).toBe(true)
+      expect(result.details.truncated_lists).toEqual(['files'])
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        expect.stringContaining('3000 or more files')
+      )
+      expect(devex.buildReport(result)).toContain(
+        '**Truncated:** only the first 3000 files are counted'
+      )
+    })
+
+    it('should not flag a PR below the limits', async () => {
+      const { DevExMetricsCollector } = await import(
+        '../src/devex-metrics-collector.js'
+      )
+      const client = {
+        getPullRequest: jest.fn().mockResolvedValue({ draft: false }),
+        getPullRequestFiles: jest
+          .fn()
+          .mockResolvedValue([
+            { filename: 'src/index.js', additions: 20, deletions: 0 }
+          ])
+      }
+      const devex = new DevExMetricsCollector(client)
+
+      const result = await devex.calculatePRSize(123)
+
+      expect(result.details.truncated).toBe(false)
+      expect(mockCore.warning).not.toHaveBeenCalled()
+    })
+
+    it('should flag PR maturity when the commit limit is reached', async () => {
+      const { DevExMetricsCollector } = await import(
+        '../src/devex-metrics-collector.js'
+      )
+      const client = {
+        getPullRequest: jest.fn().mockResolvedValue({
+          draft: false,
+          created_at: '2024-03-01T10:00:00Z'
+        }),
+        getPullRequestCommits: jest.fn().mockResolvedValue(
+          Array.from({ length: 250 }, (_, i) => ({
+            sha: `sha${i}`,
+            commit: { author: { date: '2024-03-01T09:00:00Z' } }
+          }))
+        ),
+        getPullRequestTimeline: jest.fn().mockResolvedValue([]),
+        getPullRequestFiles: jest
+          .fn()
+          .mockResolvedValue([
+            { filename: 'src/index.js', additions: 20, deletions: 0 }
+          ])
+      }
+      const devex = new DevExMetricsCollector(client)
+
+      const result = await devex.calculatePRMaturity(123)
+
+      expect(result.details.truncated).toBe(true)
+      expect(result.details.truncated_lists).toEqual(['commits'])
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        expect.stringContaining('250 or more commits')
+      )
+      const report = devex.buildReport(
+        { size: 's', details: { truncated: false, truncated_lists: [] } },
+        result
+      )
+      expect(report).toContain(
+        '**Truncated:** only the first 250 commits are counted'
+      )
+      expect(report).not.toContain('3000 files')
+    })
+    it('should fetch PR files once and warn about them once', async () => {
+      const { DevExMetricsCollector } = await import(
+        '../src/devex-metrics-collector.js'
+      )
+      const client = {
+        getPullRequest: jest.fn().mockResolvedValue({
+          draft: false,
+          created_at: '2024-03-01T10:00:00Z'
+        }),
+        getPullRequestCommits: jest.fn().mockResolvedValue([
+          {
+            sha: 'sha1',
+            commit: { author: { date: '2024-03-01T09:00:00Z' } }
+          }
+        ]),
+        getPullRequestTimeline: jest.fn().mockResolvedValue([]),
+        getPullRequestFiles: jest.fn().mockResolvedValue(
+          Array.from({ length: 3000 }, (_, i) => ({
+            filename: `src/file${i}.js`,
+            additions: 1,
+            deletions: 0
+          }))
+        )
+      }
+      const devex = new DevExMetricsCollector(client)
+
+      const size = await devex.calculatePRSize(123)
+      const maturity = await devex.calculatePRMaturity(123)
+
+      expect(size.details.truncated).toBe(true)
+      expect(maturity.details.truncated_lists).toEqual(['files'])
+      expect(client.getPullRequestFiles).toHaveBeenCalledTimes(1)
+      expect(
+        mockCore.warning.mock.calls.filter(([message]) =>
+          message.includes('3000 or more files')
+        )
+      ).toHaveLength(1)
+    })
+  })
+
+  describe('ignore generated files', () => {
+    let DevExMetricsCollector
+    let client
+
+    beforeEach(async () => {
+      ;({ DevExMetricsCollector } = await import(
+        '../src/devex-metrics-collector.js'
+      ))
+      client = {
+        getPullRequest: jest
+          .fn()
+          .mockResolvedValue({ draft: false, base: { ref: 'main' } }),
+        getPullRequestFiles: jest.fn().mockResolvedValue([
+          { filename: 'src/index.js', additions: 20, deletions: 5 },
+          { filename: 'package-lock.json', additions: 400, deletions: 100 },
+          { filename: 'src/gen/api.js', additions: 50, deletions: 0 }
+        ]),
+        getFileContent: jest
+          .fn()
+          .mockResolvedValue(
+            'package-lock.json linguist-generated\nsrc/gen/** linguist-generated\n'
+          )
+      }
+    })
+
+    it('should skip generated files and report the skipped lines', async () => {
+      const devex = new DevExMetricsCollector(client, {
+        ignoreGeneratedFiles: true
+      })
+
+      const result = await devex.calculatePRSize(123)
+
+      expect(client.getFileContent).toHaveBeenCalledWith(
+        '.gitattributes',
+        'main'
+      )
+      expect(result.details.total_changes).toBe(25)
+      expect(result.details.generated_files).toEqual([
+        'package-lock.json',
+        'src/gen/api.js'
+      ])
+      expect(result.details.generated_lines_skipped).toBe(550)
+    })
+
+    it('should read .gitattributes only once', async () => {
+      const devex = new DevExMetricsCollector(client, {
+        ignoreGeneratedFiles: true
+      })
+
+      await devex.calculatePRSize(123)
+      await devex.calculatePRSize(123)
+
+      expect(client.getFileContent).toHaveBeenCalledTimes(1)
+    })
+
+    it('should count generated files when the option is off', async () => {
+      const devex = new DevExMetricsCollector(client)
+
+      const result = await devex.calculatePRSize(123)
+
+      expect(client.getFileContent).not.toHaveBeenCalled()
+      expect(result.details.total_changes).toBe(575)
+      expect(result.details.generated_lines_skipped).toBe(0)
+    })
+  })
+
+  describe('checkBudgets', () => {
+    let DevExMetricsCollector
+    let client
+
+    beforeEach(async () => {
+      ;({ DevExMetricsCollector } = await import(
+        '../src/devex-metrics-collector.js'
+      ))
+      client = {
+        getPullRequest: jest.fn().mockResolvedValue({ labels: [] })
+      }
+    })
+
+    it('should return null when no budget is configured', async () => {
+      const devex = new DevExMetricsCollector(client)
+
+      expect(await devex.checkBudgets(1, { size: 'xl' }, null)).toBeNull()
+      expect(client.getPullRequest).not.toHaveBeenCalled()
+    })
+
+    it('should report size and maturity violations', async () => {
+      const devex = new DevExMetricsCollector(client, {
+        maxPRSize: 'm',
+        minPRMaturity: 80
+      })
+
+      const result = await devex.checkBudgets(
+        1,
+        { size: 'l' },
+        { maturity_percentage: 60 }
+      )
+
+      expect(result).toEqual({
+        passed: false,
+        exempt: false,
+        violations: [
+          'size L exceeds max-pr-size M',
+          'maturity 60% is below min-pr-maturity 80%'
+        ]
+      })
+    })
+
+    it('should pass PRs within budget and skip unmeasured metrics', async () => {
+      const devex = new DevExMetricsCollector(client, {
+        maxPRSize: 'm',
+        minPRMaturity: 80
+      })
+
+      expect(
+        (
+          await devex.checkBudgets(
+            1,
+            { size: 'm' },
+            { maturity_percentage: 80 }
+          )
+        ).passed
+      ).toBe(true)
+      expect(
+        (
+          await devex.checkBudgets(
+            1,
+            { size: 'draft' },
+            { maturity_percentage: null }
+          )
+        ).passed
+      ).toBe(true)
+    })
+
+    it('should honour the exempt label', async () => {
+      client.getPullRequest.mockResolvedValue({
+        labels: [{ name: 'Size/Exempt' }]
+      })
+      const devex = new DevExMetricsCollector(client, { maxPRSize: 's' })
+
+      const result = await devex.checkBudgets(1, { size: 'xl' }, null)
+
+      expect(result.exempt).toBe(true)
+      expect(result.passed).toBe(true)
+      expect(result.violations).toHaveLength(1)
+    })
+
+    it('should keep the exempt label when replacing size labels', async () => {
+      const labelClient = {
+        getPullRequest: jest.fn().mockResolvedValue({
+          labels: [{ name: 'size/exempt' }, { name: 'size/s' }]
+        }),
+        getLabel: jest.fn().mockResolvedValue({ name: 'size/xl' }),
+        addPRLabel: jest.fn(),
+        removePRLabel: jest.fn()
+      }
+      const devex = new DevExMetricsCollector(labelClient)
+
+      await devex.addPRLabel(1, 'size/xl')
+
+      expect(labelClient.removePRLabel).toHaveBeenCalledTimes(1)
+      expect(labelClient.removePRLabel).toHaveBeenCalledWith(1, 'size/s')
+    })
+  })
+
+  describe('PR details', () => {
+    it('should fetch the PR once for size, maturity, label, budgets and check run', async () => {
+      const { DevExMetricsCollector } = await import(
+        '../src/devex-metrics-collector.js'
+      )
+      const client = {
+        getPullRequest: jest.fn().mockResolvedValue({
+          draft: false,
+          created_at: '2024-03-01T10:00:00Z',
+          head: { sha: 'final' },
+          labels: [{ name: 'size/s' }]
+        }),
+        getPullRequestFiles: jest
+          .fn()
+          .mockResolvedValue([
+            { filename: 'src/index.js', additions: 20, deletions: 0 }
+          ]),
+        getPullRequestCommits: jest.fn().mockResolvedValue([
+          {
+            sha: 'final',
+            commit: { author: { date: '2024-03-01T09:00:00Z' } }
+          }
+        ]),
+        getPullRequestTimeline: jest.fn().mockResolvedValue([
+          {
+            event: 'committed',
+            sha: 'final',
+            committer: { date: '2024-03-01T09:00:00Z' }
+          }
+        ]),
+        createCheckRun: jest.fn().mockResolvedValue({ id: 1 })
+      }
+      const devex = new DevExMetricsCollector(client, { maxPRSize: 'm' })
+
+      const size = await devex.calculatePRSize(7)
+      const maturity = await devex.calculatePRMaturity(7)
+      await devex.addPRLabel(7, size.category)
+      const budget = await devex.checkBudgets(7, size, maturity)
+      await devex.publishCheckRun(7, size, maturity)
+
+      expect(budget.passed).toBe(true)
+      expect(client.createCheckRun).toHaveBeenCalledWith(
+        expect.objectContaining({ headSha: 'final' })
+      )
+      expect(client.getPullRequest).toHaveBeenCalledTimes(1)
+      expect(client.getPullRequestFiles).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('publishCheckRun', () => {
+    let DevExMetricsCollector
+    let client
+    const prSize = {
+      size: 'l',
+      category: 'size/l',
+      details: {
+        total_additions: 180,
+        total_deletions: 20,
+        total_changes: 200,
+        files_changed: 3,
+        largest_files: [
+          {
+            filename: 'src/big.js',
+            status: 'modified',
+            additions: 150,
+            deletions: 0,
+            changes: 150
+          },
+          {
+            filename: 'src/old.js',
+            status: 'removed',
+            additions: 0,
+            deletions: 20,
+            changes: 20
+          }
+        ]
+      }
+    }
+
+    beforeEach(async () => {
+      ;({ DevExMetricsCollector } = await import(
+        '../src/devex-metrics-collector.js'
+      ))
+      client = {
+        getPullRequest: jest.fn().mockResolvedValue({ head: { sha: 'abc' } }),
+        createCheckRun: jest.fn().mockResolvedValue({ id: 1 })
+      }
+    })
+
+    it('should publish the report with annotations on the largest files', async () => {
+      const devex = new DevExMetricsCollector(client)
+
+      await devex.publishCheckRun(123, prSize, null, 'neutral')
+
+      const checkRun = client.createCheckRun.mock.calls[0][0]
+      expect(checkRun).toMatchObject({
+        name: 'Agile Metrics: PR Size',
+        headSha: 'abc',
+        conclusion: 'neutral',
+        title: 'PR Size: L (Fair)'
+      })
+      expect(checkRun.summary).toBe(devex.buildReport(prSize))
+      expect(checkRun.annotations).toEqual([
+        {
+          path: 'src/big.js',
+          start_line: 1,
+          end_line: 1,
+          annotation_level: 'notice',
+          title: '150 lines changed',
+          message: "150 additions and 0 deletions, 75% of this PR's changes"
+        }
+      ])
+    })
+
+    it('should skip publishing without a head commit', async () => {
+      client.getPullRequest.mockResolvedValue(null)
+      const devex = new DevExMetricsCollector(client)
+
+      await devex.publishCheckRun(123, prSize)
+
+      expect(client.createCheckRun).not.toHaveBeenCalled()
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Could not find the head commit of PR #123'
+      )
+    })
+
+    it('should rank the largest files by changed lines', () => {
+      const devex = new DevExMetricsCollector(client, {
+        ignoreLineDeletions: true
+      })
+      const files = Array.from({ length: 7 }, (_, i) => ({
+        filename: `f${i}.js`,
+        additions: i,
+        deletions: 100
+      }))
+
+      const largest = devex.findLargestFiles(files)
+
+      expect(largest.map((f) => f.filename)).toEqual([
+        'f6.js',
+        'f5.js',
+        'f4.js',
+        'f3.js',
+        'f2.js'
+      ])
+      expect(largest[0].changes).toBe(6)
+    })
+  })
+
+  describe('timeline maturity', () => {
+    let DevExMetricsCollector
+    let client
+    const createdAt = '2024-03-01T10:00:00Z'
+
+    const committed = (sha, date) => ({
+      event: 'committed',
+      sha,
+      author: { date: '2024-02-20T10:00:00Z' },
+      committer: { date }
+    })
+
+    beforeEach(async () => {
+      ;({ DevExMetricsCollector } = await import(
+        '../src/devex-metrics-collector.js'
+      ))
+      client = {
+        getPullRequest: jest.fn().mockResolvedValue({
+          draft: false,
+          created_at: createdAt,
+          head: { sha: 'final' }
+        }),
+        getPullRequestCommits: jest
+          .fn()
+          .mockResolvedValue([{ sha: 'c1' }, { sha: 'final' }]),
+        getPullRequestTimeline: jest.fn(),
+        getPullRequestFiles: jest
+          .fn()
+          .mockResolvedValue([
+            { filename: 'src/a.js', additions: 80, deletions: 20 }
+          ]),
+        compareCommitsDiff: jest.fn().mockResolvedValue({
+          files: [{ filename: 'src/a.js', additions: 15, deletions: 5 }]
+        })
+      }
+    })
+
+    it('should measure rebased commits by when they were pushed', async () => {
+      // Both commits carry old author dates, but the second was amended after
+      // publication
+      client.getPullRequestTimeline.mockResolvedValue([
+        committed('c1', '2024-03-01T09:50:00Z'),
+        committed('final', '2024-03-02T08:00:00Z')
+      ])
+      const devex = new DevExMetricsCollector(client)
+
+      const result = await devex.calculatePRMaturity(1)
+
+      expect(client.compareCommitsDiff).toHaveBeenCalledWith('c1', 'final')
+      expect(result.maturity_percentage).toBe(80)
+      expect(result.details).toMatchObject({
+        total_changes: 100,
+        changes_after_publication: 20,
+        stable_changes: 80,
+        commits_after_publication: 1,
+        publication_head_sha: 'c1',
+        final_head_sha: 'final'
+      })
+    })
+
+    it('should not count upstream files brought in by a rebase', async () => {
+      client.getPullRequestTimeline.mockResolvedValue([
+        committed('c1', '2024-03-01T09:50:00Z'),
+        {
+          event: 'head_ref_force_pushed',
+          commit_id: 'final',
+          created_at: '2024-03-02T08:00:00Z'
+        }
+      ])
+      // The rebase onto a newer base brings in a file the PR never touched
+      client.compareCommitsDiff.mockResolvedValue({
+        files: [
+          { filename: 'src/a.js', additions: 15, deletions: 5 },
+          { filename: 'src/upstream.js', additions: 400, deletions: 100 }
+        ]
+      })
+      const devex = new DevExMetricsCollector(client)
+
+      const result = await devex.calculatePRMaturity(1)
+
+      expect(client.compareCommitsDiff).toHaveBeenCalledWith('c1', 'final')
+      expect(result.maturity_percentage).toBe(80)
+      expect(result.details.changes_after_publication).toBe(20)
+    })
+
+    it('should diff from the head before a force-push', async () => {
+      client.getPullRequestTimeline.mockResolvedValue([
+        committed('c1', '2024-03-01T09:00:00Z'),
+        {
+          event: 'head_ref_force_pushed',
+          commit_id: 'pushed',
+          created_at: '2024-03-01T10:03:00Z'
+        },
+        {
+          event: 'head_ref_force_pushed',
+          commit_id: 'final',
+          created_at: '2024-03-03T12:00:00Z'
+        }
+      ])
+      const devex = new DevExMetricsCollector(client)
+
+      const result = await devex.calculatePRMaturity(1)
+
+      expect(client.compareCommitsDiff).toHaveBeenCalledWith('pushed', 'final')
+      expect(result.details.force_pushes_after_publication).toBe(1)
+    })
+
+    it('should report full maturity when nothing was pushed later', async () => {
+      client.getPullRequestTimeline.mockResolvedValue([
+        committed('final', '2024-03-01T09:59:00Z')
+      ])
+      const devex = new DevExMetricsCollector(client)
+
+      const result = await devex.calculatePRMaturity(1)
+
+      expect(client.compareCommitsDiff).not.toHaveBeenCalled()
+      expect(result.maturity_percentage).toBe(100)
+      expect(result.details.reason).toBe(
+        'No changes pushed after PR publication'
+      )
+    })
+
+    it('should measure from ready for review for former drafts', async () => {
+      client.getPullRequestTimeline.mockResolvedValue([
+        committed('draft1', '2024-03-01T09:00:00Z'),
+        committed('draft2', '2024-03-03T09:00:00Z'),
+        { event: 'ready_for_review', created_at: '2024-03-04T10:00:00Z' },
+        committed('final', '2024-03-05T09:00:00Z')
+      ])
+      const devex = new DevExMetricsCollector(client)
+
+      const result = await devex.calculatePRMaturity(1)
+
+      expect(client.compareCommitsDiff).toHaveBeenCalledWith('draft2', 'final')
+      expect(result.details).toMatchObject({
+        pr_created_at: createdAt,
+        published_at: '2024-03-04T10:00:00.000Z',
+        commits_after_publication: 1
+      })
+    })
+
+    it('should use ready for review in the commit date fallback', async () => {
+      client.getPullRequestTimeline.mockResolvedValue([
+        { event: 'ready_for_review', created_at: '2024-03-04T10:00:00Z' }
+      ])
+      client.getPullRequestCommits.mockResolvedValue([
+        {
+          sha: 'only',
+          commit: { author: { date: '2024-03-03T09:00:00Z' } }
+        }
+      ])
+      const devex = new DevExMetricsCollector(client)
+
+      const result = await devex.calculatePRMaturity(1)
+
+      expect(result.maturity_percentage).toBe(100)
+      expect(result.details.published_at).toBe('2024-03-04T10:00:00.000Z')
+    })
+
+    it('should fall back to commit dates without a usable timeline', async () => {
+      client.getPullRequestTimeline.mockResolvedValue([])
+      client.getPullRequestCommits.mockResolvedValue([
+        {
+          sha: 'only',
+          commit: { author: { date: '2024-03-01T09:00:00Z' } }
+        }
+      ])
+      const devex = new DevExMetricsCollector(client)
+
+      const result = await devex.calculatePRMaturity(1)
+
+      expect(result.maturity_percentage).toBe(100)
+      expect(result.details).toMatchObject({
+        reason: 'Single commit PR',
+        grace_period_minutes: 5,
+        commit_timestamp: 'author',
+        timeline_fallback: true
+      })
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        expect.stringContaining('falls back to author dates')
+      )
+      expect(devex.buildReport({ size: 's', details: {} }, result)).toContain(
+        '**Commit times:** author dates'
+      )
+    })
+
+    it('should apply a configured grace period', async () => {
+      client.getPullRequestTimeline.mockResolvedValue([
+        committed('c1', '2024-03-01T09:00:00Z'),
+        committed('late', '2024-03-01T10:20:00Z'),
+        committed('final', '2024-03-01T11:00:00Z')
+      ])
+      const devex = new DevExMetricsCollector(client, {
+        gracePeriodMinutes: 30
+      })
+
+      const result = await devex.calculatePRMaturity(1)
+
+      expect(client.compareCommitsDiff).toHaveBeenCalledWith('late', 'final')
+      expect(result.details).toMatchObject({
+        grace_period_minutes: 30,
+        commit_timestamp: 'timeline',
+        timeline_fallback: false
+      })
+    })
+
+    it('should place commits by committer date when configured', async () => {
+      client.getPullRequestTimeline.mockResolvedValue([
+        committed('c1', '2024-03-01T09:00:00Z'),
+        committed('final', '2024-03-02T09:00:00Z')
+      ])
+      client.getPullRequestCommits.mockResolvedValue([
+        {
+          sha: 'c1',
+          commit: {
+            author: { date: '2024-02-20T10:00:00Z' },
+            committer: { date: '2024-03-01T09:00:00Z' }
+          }
+        },
+        {
+          sha: 'final',
+          commit: {
+            author: { date: '2024-02-20T11:00:00Z' },
+            committer: { date: '2024-03-02T09:00:00Z' }
+          }
+        }
+      ])
+      const devex = new DevExMetricsCollector(client, {
+        commitTimestamp: 'committer'
+      })
+
+      const result = await devex.calculatePRMaturity(1)
+
+      expect(client.compareCommitsDiff).toHaveBeenCalledWith('c1', 'final')
+      expect(result.maturity_percentage).toBe(80)
+      expect(result.details).toMatchObject({
+        first_significant_commit_sha: 'final',
+        grace_period_minutes: 5,
+        commit_timestamp: 'committer'
+      })
+    })
+
+    it('should place commits by author date when configured', async () => {
+      client.getPullRequestTimeline.mockResolvedValue([
+        committed('c1', '2024-03-01T09:00:00Z'),
+        committed('final', '2024-03-02T09:00:00Z')
+      ])
+      client.getPullRequestCommits.mockResolvedValue([
+        {
+          sha: 'c1',
+          commit: {
+            author: { date: '2024-02-20T10:00:00Z' },
+            committer: { date: '2024-03-01T09:00:00Z' }
+          }
+        },
+        {
+          sha: 'final',
+          commit: {
+            author: { date: '2024-02-20T11:00:00Z' },
+            committer: { date: '2024-03-02T09:00:00Z' }
+          }
+        }
+      ])
+      const devex = new DevExMetricsCollector(client, {
+        commitTimestamp: 'author'
+      })
+
+      const result = await devex.calculatePRMaturity(1)
+
+      expect(client.compareCommitsDiff).not.toHaveBeenCalled()
+      expect(result.maturity_percentage).toBe(100)
+      expect(result.details.commit_timestamp).toBe('author')
+    })
+  })
+
+  describe('findHeadAtTime', () => {
+    it('should pick the latest head at or before the time', async () => {
+      const { DevExMetricsCollector } = await import(
+        '../src/devex-metrics-collector.js'
+      )
+      const devex = new DevExMetricsCollector(mockGitHubClient)
+      const timeline = [
+        { event: 'reviewed', submitted_at: '2024-03-01T09:00:00Z' },
+        {
+          event: 'committed',
+          sha: 'a',
+          committer: { date: '2024-03-01T08:00:00Z' }
+        },
+        {
+          event: 'committed',
+          sha: 'b',
+          committer: { date: '2024-03-01T09:00:00Z' }
+        },
+        {
+          event: 'committed',
+          sha: 'c',
+          committer: { date: '2024-03-01T11:00:00Z' }
+        }
+      ]
+
+      expect(
+        devex.findHeadAtTime(timeline, new Date('2024-03-01T10:00:00Z'))
+      ).toBe('b')
+      expect(
+        devex.findHeadAtTime(timeline, new Date('2024-03-01T07:00:00Z'))
+      ).toBeNull()
+    })
+  })
 })
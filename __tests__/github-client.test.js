@@ -6,6 +6,8 @@ import { jest, describe, it, expect, beforeEach } from '@jest/globals'
 
 // Mock @actions/core
 const mockCore = {
+  info: jest.fn(),
+  debug: jest.fn(),
   warning: jest.fn()
 }
 
@@ -21,7 +23,13 @@ jest.unstable_mockModule('@actions/github', () => ({
   getOctokit: mockGetOctokit
 }))
 
-const { GitHubClient } = await import('../src/github-client.js')
+const {
+  GitHubClient,
+  MAX_PR_FILES,
+  MAX_PR_COMMITS,
+  MAX_PR_TIMELINE_EVENTS,
+  MAX_PR_REVIEWS
+} = await import('../src/github-client.js')
 
 describe('GitHubClient', () => {
   let client
@@ -31,6 +39,163 @@ describe('GitHubClient', () => {
     client = new GitHubClient('test-token', 'test-owner', 'test-repo')
   })
 
+  describe('request', () => {
+    const apiError = (status, headers = {}, message = 'API error') =>
+      Object.assign(new Error(message), { status, response: { headers } })
+
+    beforeEach(() => {
+      client = new GitHubClient('test-token', 'test-owner', 'test-repo', {
+        retryBaseDelayMs: 0
+      })
+    })
+
+    it('should retry server errors and rate limits', async () => {
+      mockOctokit.request
+        .mockRejectedValueOnce(apiError(502))
+        .mockRejectedValueOnce(apiError(429, { 'retry-after': '0' }))
+        .mockResolvedValueOnce({ data: { number: 1 } })
+
+      const result = await client.getPullRequest(1)
+
+      expect(result).toEqual({ number: 1 })
+      expect(mockOctokit.request).toHaveBeenCalledTimes(3)
+      expect(client.apiFailure).toBeNull()
+    })
+
+    it('should retry secondary rate limits', async () => {
+      mockOctokit.request
+        .mockRejectedValueOnce(
+          apiError(403, {}, 'You have exceeded a secondary rate limit')
+        )
+        .mockResolvedValueOnce({ data: { number: 1 } })
+
+      await client.getPullRequest(1)
+
+      expect(mockOctokit.request).toHaveBeenCalledTimes(2)
+    })
+
+    it('should not retry other client errors', async () => {
+      mockOctokit.request.mockRejectedValueOnce(
+        apiError(403, {}, 'Resource not accessible by integration')
+      )
+
+      const result = await client.getPullRequest(1)
+
+      expect(result).toBeNull()
+      expect(mockOctokit.request).toHaveBeenCalledTimes(1)
+      expect(client.apiFailure).toBeNull()
+    })
+
+    it('should fail later requests once retries are exhausted', async () => {
+      for (let i = 0; i < 4; i++) {
+        mockOctokit.request.mockRejectedValueOnce(apiError(503))
+      }
+
+      expect(await client.getPullRequest(1)).toBeNull()
+      expect(mockOctokit.request).toHaveBeenCalledTimes(4)
+      expect(await client.getPullRequestFiles(1)).toEqual([])
+      expect(mockOctokit.request).toHaveBeenCalledTimes(4)
+      expect(() => client.ensureComplete()).toThrow(
+        'GitHub API request failed after 3 retries: API error - metrics would be incomplete'
+      )
+    })
+
+    it('should only warn about failed requests when not failing', async () => {
+      client = new GitHubClient('test-token', 'test-owner', 'test-repo', {
+        retryBaseDelayMs: 0,
+        maxRetries: 0,
+        failOnApiError: false
+      })
+      mockOctokit.request
+        .mockRejectedValueOnce(apiError(500))
+        .mockResolvedValueOnce({ data: [] })
+
+      await client.getPullRequest(1)
+      await client.getPullRequestFiles(1)
+
+      expect(mockOctokit.request).toHaveBeenCalledTimes(2)
+      expect(() => client.ensureComplete()).not.toThrow()
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'GitHub API request failed after 0 retries: API error - metrics may be incomplete'
+      )
+    })
+
+    it('should hold concurrent requests while rate limited', async () => {
+      const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+      mockOctokit.request
+        .mockRejectedValueOnce(apiError(429, { 'retry-after': '0.1' }))
+        .mockResolvedValueOnce({ data: { number: 2 } })
+        .mockResolvedValueOnce({ data: { number: 1 } })
+
+      const first = client.getPullRequest(1)
+      await wait(20)
+      const second = client.getPullRequest(2)
+      await wait(20)
+
+      expect(mockOctokit.request).toHaveBeenCalledTimes(1)
+      await Promise.all([first, second])
+      expect(mockOctokit.request).toHaveBeenCalledTimes(3)
+      expect(client.rateLimitPause).toBeNull()
+    })
+
+    it('should wait for the rate limit reset', () => {
+      const reset = Math.floor(Date.now() / 1000) + 30
+      const delay = client.getRetryDelay(
+        apiError(403, {
+          'x-ratelimit-remaining': '0',
+          'x-ratelimit-reset': String(reset)
+        }),
+        0
+      )
+
+      expect(delay).toBeGreaterThan(25000)
+      expect(delay).toBeLessThanOrEqual(30000)
+    })
+
+    it('should give up when the wait is too long or retries run out', () => {
+      const reset = Math.floor(Date.now() / 1000) + 3600
+
+      expect(
+        client.getRetryDelay(
+          apiError(403, {
+            'x-ratelimit-remaining': '0',
+            'x-ratelimit-reset': String(reset)
+          }),
+          0
+        )
+      ).toBeNull()
+      expect(client.getRetryDelay(apiError(500), 3)).toBeNull()
+    })
+
+    it('should back off exponentially with jitter', () => {
+      client.options.retryBaseDelayMs = 1000
+
+      const delay = client.getRetryDelay(apiError(500), 2)
+
+      expect(delay).toBeGreaterThanOrEqual(2000)
+      expect(delay).toBeLessThanOrEqual(4000)
+    })
+
+    it('should log the remaining quota', async () => {
+      mockOctokit.request.mockResolvedValueOnce({
+        data: {},
+        headers: {
+          'x-ratelimit-limit': '5000',
+          'x-ratelimit-remaining': '4321',
+          'x-ratelimit-reset': '1700000000'
+        }
+      })
+
+      await client.getPullRequest(1)
+      client.logRateLimit()
+
+      expect(client.rateLimit.remaining).toBe(4321)
+      expect(mockCore.info).toHaveBeenCalledWith(
+        'GitHub API quota: 4321/5000 requests left, resets at 2023-11-14T22:13:20.000Z'
+      )
+    })
+  })
+
   describe('listReleases', () => {
     it('should return filtered and sorted releases', async () => {
       const mockReleases = [
@@ -63,6 +228,46 @@ describe('GitHubClient', () => {
       expect(result[1].tag_name).toBe('v1.0.0')
     })
 
+    it('should page through releases up to the maximum', async () => {
+      const page = (start) =>
+        Array.from({ length: 100 }, (_, i) => ({
+          tag_name: `v1.0.${start + i}`,
+          created_at: new Date(Date.UTC(2023, 0, 1) - (start + i) * 36e5),
+          draft: false
+        }))
+      mockOctokit.request
+        .mockResolvedValueOnce({ data: page(0) })
+        .mockResolvedValueOnce({ data: page(100) })
+
+      const result = await client.listReleases(150)
+
+      expect(mockOctokit.request).toHaveBeenCalledTimes(2)
+      expect(mockOctokit.request).toHaveBeenLastCalledWith(
+        'GET /repos/{owner}/{repo}/releases',
+        expect.objectContaining({ per_page: 100, page: 2 })
+      )
+      expect(result).toHaveLength(150)
+      expect(result[149].tag_name).toBe('v1.0.149')
+    })
+
+    it('should stop paging once releases are older than since', async () => {
+      mockOctokit.request.mockResolvedValueOnce({
+        data: [
+          ...Array.from({ length: 99 }, () => ({
+            tag_name: 'v2.0.0',
+            created_at: '2024-02-01T00:00:00Z'
+          })),
+          { tag_name: 'v1.0.0', created_at: '2023-12-01T00:00:00Z' }
+        ]
+      })
+
+      const result = await client.listReleases(500, '2024-01-01T00:00:00Z')
+
+      expect(mockOctokit.request).toHaveBeenCalledTimes(1)
+      expect(result).toHaveLength(99)
+      expect(result.every((r) => r.tag_name === 'v2.0.0')).toBe(true)
+    })
+
     it('should handle API errors gracefully', async () => {
       mockOctokit.request.mockRejectedValue(new Error('API Error'))
 
@@ -86,6 +291,18 @@ describe('GitHubClient', () => {
       expect(result).toEqual(mockTags)
     })
 
+    it('should page through tags up to the maximum', async () => {
+      const page = Array.from({ length: 100 }, (_, i) => ({ name: `v${i}` }))
+      mockOctokit.request
+        .mockResolvedValueOnce({ data: page })
+        .mockResolvedValueOnce({ data: page.slice(0, 30) })
+
+      const result = await client.listTags(500)
+
+      expect(mockOctokit.request).toHaveBeenCalledTimes(2)
+      expect(result).toHaveLength(130)
+    })
+
     it('should handle API errors gracefully', async () => {
       mockOctokit.request.mockRejectedValue(new Error('API Error'))
 
@@ -98,6 +315,139 @@ describe('GitHubClient', () => {
     })
   })
 
+  describe('listCommits', () => {
+    it('should page through commits from a ref up to the maximum', async () => {
+      const page = Array.from({ length: 100 }, (_, i) => ({ sha: `c${i}` }))
+      mockOctokit.request
+        .mockResolvedValueOnce({ data: page })
+        .mockResolvedValueOnce({ data: page.slice(0, 20) })
+
+      const result = await client.listCommits('tagsha', 500)
+
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'GET /repos/{owner}/{repo}/commits',
+        expect.objectContaining({ sha: 'tagsha', per_page: 100, page: 2 })
+      )
+      expect(result).toHaveLength(120)
+    })
+
+    it('should handle API errors gracefully', async () => {
+      mockOctokit.request.mockRejectedValue(new Error('API Error'))
+
+      const result = await client.listCommits('tagsha')
+
+      expect(result).toEqual([])
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Failed to list commits for tagsha: API Error'
+      )
+    })
+  })
+
+  describe('listSuccessfulDeployments', () => {
+    it('should return deployments with a success status', async () => {
+      mockOctokit.request.mockImplementation((route, params) => {
+        if (route === 'GET /repos/{owner}/{repo}/deployments') {
+          return Promise.resolve({
+            data: [
+              { id: 2, sha: 'sha2', ref: 'main', environment: 'production' },
+              { id: 1, sha: 'sha1', ref: 'main', environment: 'production' }
+            ]
+          })
+        }
+        const statuses = {
+          2: [{ state: 'failure', created_at: '2024-01-02T00:00:00Z' }],
+          1: [
+            { state: 'success', created_at: '2024-01-01T00:05:00Z' },
+            { state: 'in_progress', created_at: '2024-01-01T00:00:00Z' }
+          ]
+        }
+        return Promise.resolve({ data: statuses[params.deployment_id] })
+      })
+
+      const result = await client.listSuccessfulDeployments('production')
+
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'GET /repos/{owner}/{repo}/deployments',
+        expect.objectContaining({ environment: 'production' })
+      )
+      expect(result).toEqual([
+        {
+          id: 1,
+          sha: 'sha1',
+          ref: 'main',
+          environment: 'production',
+          created_at: '2024-01-01T00:05:00Z'
+        }
+      ])
+    })
+
+    it('should handle API errors gracefully', async () => {
+      mockOctokit.request.mockRejectedValue(new Error('API Error'))
+
+      const result = await client.listSuccessfulDeployments('production')
+
+      expect(result).toEqual([])
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Failed to fetch deployments for production: API Error'
+      )
+    })
+  })
+
+  describe('listSuccessfulWorkflowRuns', () => {
+    it('should map successful runs to deployment records', async () => {
+      mockOctokit.request.mockResolvedValue({
+        data: {
+          workflow_runs: [
+            {
+              id: 11,
+              run_number: 7,
+              head_sha: 'sha7',
+              head_branch: 'main',
+              updated_at: '2024-01-02T00:00:00Z'
+            }
+          ]
+        }
+      })
+
+      const result = await client.listSuccessfulWorkflowRuns(
+        'deploy.yml',
+        'main'
+      )
+
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'GET /repos/{owner}/{repo}/actions/workflows/{workflow_id}/runs',
+        expect.objectContaining({
+          workflow_id: 'deploy.yml',
+          branch: 'main',
+          status: 'success'
+        })
+      )
+      expect(result).toEqual([
+        {
+          id: 11,
+          name: 'deploy.yml#7',
+          sha: 'sha7',
+          ref: 'main',
+          created_at: '2024-01-02T00:00:00Z'
+        }
+      ])
+    })
+
+    it('should handle API errors gracefully', async () => {
+      mockOctokit.request.mockRejectedValue(new Error('Not Found'))
+
+      const result = await client.listSuccessfulWorkflowRuns(
+        'deploy.yml',
+        'main'
+      )
+
+      expect(result).toEqual([])
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Failed to fetch runs for workflow deploy.yml: Not Found'
+      )
+    })
+  })
+
   describe('getReleasesByDateRange', () => {
     it('should return releases within date range', async () => {
       const mockReleases = [
@@ -311,6 +661,94 @@ describe('GitHubClient', () => {
     })
   })
 
+  describe('getPullRequestsForCommit', () => {
+    it('should return PRs associated with a commit', async () => {
+      const mockPRs = [{ number: 1, labels: [] }]
+      mockOctokit.request.mockResolvedValue({ data: mockPRs })
+
+      const result = await client.getPullRequestsForCommit('commit-sha')
+
+      expect(result).toEqual(mockPRs)
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'GET /repos/{owner}/{repo}/commits/{commit_sha}/pulls',
+        {
+          owner: 'test-owner',
+          repo: 'test-repo',
+          commit_sha: 'commit-sha'
+        }
+      )
+    })
+
+    it('should handle API errors gracefully', async () => {
+      mockOctokit.request.mockRejectedValue(new Error('API Error'))
+
+      const result = await client.getPullRequestsForCommit('commit-sha')
+
+      expect(result).toEqual([])
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Failed to get PRs for commit commit-sha: API Error'
+      )
+    })
+  })
+
+  describe('listIncidentIssues', () => {
+    it('should query each label and de-duplicate issues', async () => {
+      mockOctokit.request
+        .mockResolvedValueOnce({
+          data: [
+            { number: 2, created_at: '2024-01-10T00:00:00Z' },
+            {
+              number: 5,
+              created_at: '2024-01-09T00:00:00Z',
+              pull_request: {}
+            }
+          ]
+        })
+        .mockResolvedValueOnce({
+          data: [
+            { number: 2, created_at: '2024-01-10T00:00:00Z' },
+            { number: 1, created_at: '2024-01-08T00:00:00Z' }
+          ]
+        })
+
+      const result = await client.listIncidentIssues(['incident', 'sev1'])
+
+      expect(mockOctokit.request).toHaveBeenCalledTimes(2)
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'GET /repos/{owner}/{repo}/issues',
+        expect.objectContaining({ labels: 'sev1', state: 'all' })
+      )
+      expect(result.map((i) => i.number)).toEqual([2, 1])
+    })
+
+    it('should drop issues created before since', async () => {
+      mockOctokit.request.mockResolvedValueOnce({
+        data: [
+          { number: 2, created_at: '2024-01-10T00:00:00Z' },
+          { number: 1, created_at: '2023-12-01T00:00:00Z' }
+        ]
+      })
+
+      const result = await client.listIncidentIssues(
+        ['incident'],
+        '2024-01-01T00:00:00Z'
+      )
+
+      expect(result.map((i) => i.number)).toEqual([2])
+    })
+
+    it('should handle API errors gracefully', async () => {
+      mockOctokit.request.mockRejectedValue(new Error('API Error'))
+
+      const result = await client.listIncidentIssues(['incident'])
+
+      expect(result).toEqual([])
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Failed to fetch incident issues: API Error'
+      )
+    })
+  })
+
   describe('Pull Request Operations', () => {
     it('should get pull request successfully', async () => {
       const mockPR = {
@@ -364,12 +802,45 @@ describe('GitHubClient', () => {
         {
           owner: 'test-owner',
           repo: 'test-repo',
-          pull_number: 123
+          pull_number: 123,
+          per_page: 100,
+          page: 1
         }
       )
       expect(result).toEqual(mockFiles)
     })
 
+    it('should page through PR files', async () => {
+      const firstPage = Array.from({ length: 100 }, (_, i) => ({
+        filename: `file${i}.js`
+      }))
+      mockOctokit.request
+        .mockResolvedValueOnce({ data: firstPage })
+        .mockResolvedValueOnce({ data: [{ filename: 'last.js' }] })
+
+      const result = await client.getPullRequestFiles(123)
+
+      expect(mockOctokit.request).toHaveBeenCalledTimes(2)
+      expect(mockOctokit.request).toHaveBeenLastCalledWith(
+        'GET /repos/{owner}/{repo}/pulls/{pull_number}/files',
+        expect.objectContaining({ page: 2 })
+      )
+      expect(result).toHaveLength(101)
+    })
+
+    it('should stop listing PR files at the API limit', async () => {
+      mockOctokit.request.mockResolvedValue({
+        data: Array.from({ length: 100 }, (_, i) => ({
+          filename: `file${i}.js`
+        }))
+      })
+
+      const result = await client.getPullRequestFiles(123)
+
+      expect(mockOctokit.request).toHaveBeenCalledTimes(30)
+      expect(result).toHaveLength(MAX_PR_FILES)
+    })
+
     it('should handle PR files fetch errors', async () => {
       mockOctokit.request.mockRejectedValueOnce(new Error('Files not found'))
 
@@ -381,6 +852,38 @@ describe('GitHubClient', () => {
       )
     })
 
+    it('should get decoded file content', async () => {
+      mockOctokit.request.mockResolvedValueOnce({
+        data: {
+          content: Buffer.from('*.lock linguist-generated\n').toString('base64')
+        }
+      })
+
+      const result = await client.getFileContent('.gitattributes', 'main')
+
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'GET /repos/{owner}/{repo}/contents/{path}',
+        {
+          owner: 'test-owner',
+          repo: 'test-repo',
+          path: '.gitattributes',
+          ref: 'main'
+        }
+      )
+      expect(result).toBe('*.lock linguist-generated\n')
+    })
+
+    it('should return null without a warning for a missing file', async () => {
+      const error = new Error('Not Found')
+      error.status = 404
+      mockOctokit.request.mockRejectedValueOnce(error)
+
+      const result = await client.getFileContent('.gitattributes', 'main')
+
+      expect(result).toBeNull()
+      expect(mockCore.warning).not.toHaveBeenCalled()
+    })
+
     it('should create PR comment successfully', async () => {
       const mockComment = { id: 456, body: 'Test comment' }
       mockOctokit.request.mockResolvedValueOnce({ data: mockComment })
@@ -410,6 +913,90 @@ describe('GitHubClient', () => {
       )
     })
 
+    it('should list PR comments across pages', async () => {
+      const firstPage = Array.from({ length: 100 }, (_, i) => ({ id: i }))
+      mockOctokit.request
+        .mockResolvedValueOnce({ data: firstPage })
+        .mockResolvedValueOnce({ data: [{ id: 100 }] })
+
+      const result = await client.listPRComments(123)
+
+      expect(result).toHaveLength(101)
+      expect(mockOctokit.request).toHaveBeenLastCalledWith(
+        'GET /repos/{owner}/{repo}/issues/{issue_number}/comments',
+        {
+          owner: 'test-owner',
+          repo: 'test-repo',
+          issue_number: 123,
+          per_page: 100,
+          page: 2
+        }
+      )
+    })
+
+    it('should handle PR comment listing errors', async () => {
+      mockOctokit.request.mockRejectedValueOnce(new Error('List failed'))
+
+      const result = await client.listPRComments(123)
+
+      expect(result).toEqual([])
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Failed to list PR comments 123: List failed'
+      )
+    })
+
+    it('should update PR comment successfully', async () => {
+      const mockComment = { id: 456, body: 'Updated' }
+      mockOctokit.request.mockResolvedValueOnce({ data: mockComment })
+
+      const result = await client.updatePRComment(456, 'Updated')
+
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'PATCH /repos/{owner}/{repo}/issues/comments/{comment_id}',
+        {
+          owner: 'test-owner',
+          repo: 'test-repo',
+          comment_id: 456,
+          body: 'Updated'
+        }
+      )
+      expect(result).toEqual(mockComment)
+    })
+
+    it('should handle PR comment update errors', async () => {
+      mockOctokit.request.mockRejectedValueOnce(new Error('Update failed'))
+
+      const result = await client.updatePRComment(456, 'Updated')
+
+      expect(result).toBeNull()
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Failed to update PR comment 456: Update failed'
+      )
+    })
+
+    it('should delete PR comment successfully', async () => {
+      mockOctokit.request.mockResolvedValueOnce({ data: {} })
+
+      const result = await client.deletePRComment(456)
+
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'DELETE /repos/{owner}/{repo}/issues/comments/{comment_id}',
+        { owner: 'test-owner', repo: 'test-repo', comment_id: 456 }
+      )
+      expect(result).toBe(true)
+    })
+
+    it('should handle PR comment deletion errors', async () => {
+      mockOctokit.request.mockRejectedValueOnce(new Error('Delete failed'))
+
+      const result = await client.deletePRComment(456)
+
+      expect(result).toBe(false)
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Failed to delete PR comment 456: Delete failed'
+      )
+    })
+
     it('should add PR label successfully', async () => {
       mockOctokit.request.mockResolvedValueOnce({ data: {} })
 
@@ -438,6 +1025,103 @@ describe('GitHubClient', () => {
       )
     })
 
+    it('should remove PR label successfully', async () => {
+      mockOctokit.request.mockResolvedValueOnce({ data: [] })
+
+      const result = await client.removePRLabel(123, 'size/s')
+
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'DELETE /repos/{owner}/{repo}/issues/{issue_number}/labels/{name}',
+        {
+          owner: 'test-owner',
+          repo: 'test-repo',
+          issue_number: 123,
+          name: 'size/s'
+        }
+      )
+      expect(result).toBe(true)
+    })
+
+    it('should handle PR label removal errors', async () => {
+      mockOctokit.request.mockRejectedValueOnce(new Error('Remove failed'))
+
+      const result = await client.removePRLabel(123, 'size/s')
+
+      expect(result).toBe(false)
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Failed to remove PR label 123: Remove failed'
+      )
+    })
+
+    it('should return null without a warning for a missing label', async () => {
+      const error = new Error('Not Found')
+      error.status = 404
+      mockOctokit.request.mockRejectedValueOnce(error)
+
+      const result = await client.getLabel('size/m')
+
+      expect(result).toBeNull()
+      expect(mockCore.warning).not.toHaveBeenCalled()
+    })
+
+    it('should create label successfully', async () => {
+      const mockLabel = { name: 'size/m', color: '7f7203' }
+      mockOctokit.request.mockResolvedValueOnce({ data: mockLabel })
+
+      const result = await client.createLabel('size/m', '7f7203', 'Medium PR')
+
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'POST /repos/{owner}/{repo}/labels',
+        {
+          owner: 'test-owner',
+          repo: 'test-repo',
+          name: 'size/m',
+          color: '7f7203',
+          description: 'Medium PR'
+        }
+      )
+      expect(result).toEqual(mockLabel)
+    })
+
+    it('should create a completed check run', async () => {
+      mockOctokit.request.mockResolvedValueOnce({ data: { id: 7 } })
+      const annotations = Array.from({ length: 60 }, (_, i) => ({
+        path: `file${i}.js`
+      }))
+
+      const result = await client.createCheckRun({
+        name: 'Agile Metrics: PR Size',
+        headSha: 'abc123',
+        conclusion: 'success',
+        title: 'PR Size: L (Fair)',
+        summary: '## PR Size',
+        annotations
+      })
+
+      expect(result).toEqual({ id: 7 })
+      const [route, params] = mockOctokit.request.mock.calls[0]
+      expect(route).toBe('POST /repos/{owner}/{repo}/check-runs')
+      expect(params).toMatchObject({
+        name: 'Agile Metrics: PR Size',
+        head_sha: 'abc123',
+        status: 'completed',
+        conclusion: 'success',
+        output: { title: 'PR Size: L (Fair)', summary: '## PR Size' }
+      })
+      expect(params.output.annotations).toHaveLength(50)
+    })
+
+    it('should handle check run creation errors', async () => {
+      mockOctokit.request.mockRejectedValueOnce(new Error('Forbidden'))
+
+      const result = await client.createCheckRun({ name: 'PR Size' })
+
+      expect(result).toBeNull()
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Failed to create check run PR Size: Forbidden'
+      )
+    })
+
     it('should get pull request commits successfully', async () => {
       const mockCommits = [
         { sha: 'commit1', commit: { message: 'First commit' } },
@@ -453,12 +1137,25 @@ describe('GitHubClient', () => {
         {
           owner: 'test-owner',
           repo: 'test-repo',
-          pull_number: 123
+          pull_number: 123,
+          per_page: 100,
+          page: 1
         }
       )
       expect(result).toEqual(mockCommits)
     })
 
+    it('should stop listing PR commits at the API limit', async () => {
+      mockOctokit.request.mockResolvedValue({
+        data: Array.from({ length: 100 }, (_, i) => ({ sha: `sha${i}` }))
+      })
+
+      const result = await client.getPullRequestCommits(123)
+
+      expect(mockOctokit.request).toHaveBeenCalledTimes(3)
+      expect(result).toHaveLength(MAX_PR_COMMITS)
+    })
+
     it('should handle PR commits fetch errors', async () => {
       mockOctokit.request.mockRejectedValueOnce(new Error('Commits failed'))
 
@@ -508,4 +1205,277 @@ describe('GitHubClient', () => {
       )
     })
   })
+
+  describe('getPullRequestsWithReviewActivity', () => {
+    const graphqlPR = (number, createdAt, extra = {}) => ({
+      number,
+      state: 'MERGED',
+      createdAt,
+      mergedAt: '2024-01-05T12:00:00Z',
+      author: { __typename: 'User', login: 'dev' },
+      labels: { nodes: [{ name: 'size/s' }] },
+      reviews: {
+        totalCount: 1,
+        nodes: [
+          {
+            state: 'APPROVED',
+            submittedAt: '2024-01-05T10:00:00Z',
+            author: { __typename: 'User', login: 'reviewer' }
+          }
+        ]
+      },
+      timelineItems: {
+        totalCount: 3,
+        nodes: [
+          {
+            __typename: 'ReadyForReviewEvent',
+            createdAt: '2024-01-05T08:00:00Z'
+          },
+          {
+            __typename: 'IssueComment',
+            createdAt: '2024-01-05T09:00:00Z',
+            author: { __typename: 'Bot', login: 'ci-bot' }
+          },
+          {
+            __typename: 'PullRequestReview',
+            submittedAt: '2024-01-05T10:00:00Z',
+            author: { __typename: 'User', login: 'reviewer' }
+          }
+        ]
+      },
+      ...extra
+    })
+    const page = (nodes, hasNextPage, endCursor = null) => ({
+      data: {
+        data: {
+          repository: {
+            pullRequests: { nodes, pageInfo: { hasNextPage, endCursor } }
+          }
+        }
+      }
+    })
+
+    it('should convert PRs and their review activity to REST shapes', async () => {
+      mockOctokit.request.mockResolvedValueOnce(
+        page([graphqlPR(5, '2024-01-05T07:00:00Z')], false)
+      )
+
+      const result = await client.getPullRequestsWithReviewActivity(
+        '2024-01-01T00:00:00Z',
+        '2024-01-08T00:00:00Z'
+      )
+
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'POST /graphql',
+        expect.objectContaining({
+          variables: expect.objectContaining({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            after: null
+          })
+        })
+      )
+      expect(result).toEqual([
+        {
+          number: 5,
+          state: 'closed',
+          created_at: '2024-01-05T07:00:00Z',
+          merged_at: '2024-01-05T12:00:00Z',
+          user: { login: 'dev', type: 'User' },
+          labels: [{ name: 'size/s' }],
+          reviews: [
+            {
+              state: 'APPROVED',
+              submitted_at: '2024-01-05T10:00:00Z',
+              user: { login: 'reviewer', type: 'User' }
+            }
+          ],
+          timeline: [
+            { event: 'ready_for_review', created_at: '2024-01-05T08:00:00Z' },
+            {
+              event: 'commented',
+              created_at: '2024-01-05T09:00:00Z',
+              user: { login: 'ci-bot', type: 'Bot' }
+            },
+            {
+              event: 'reviewed',
+              submitted_at: '2024-01-05T10:00:00Z',
+              user: { login: 'reviewer', type: 'User' }
+            }
+          ],
+          activity_truncated: false
+        }
+      ])
+    })
+
+    it('should page until PRs are older than the range', async () => {
+      mockOctokit.request
+        .mockResolvedValueOnce(
+          page(
+            [
+              graphqlPR(9, '2024-01-09T00:00:00Z'),
+              graphqlPR(8, '2024-01-07T00:00:00Z')
+            ],
+            true,
+            'cursor1'
+          )
+        )
+        .mockResolvedValueOnce(
+          page(
+            [
+              graphqlPR(7, '2024-01-02T00:00:00Z', {
+                reviews: { totalCount: 150, nodes: [] }
+              }),
+              graphqlPR(6, '2023-12-30T00:00:00Z')
+            ],
+            true,
+            'cursor2'
+          )
+        )
+
+      const result = await client.getPullRequestsWithReviewActivity(
+        '2024-01-01T00:00:00Z',
+        '2024-01-08T00:00:00Z'
+      )
+
+      expect(mockOctokit.request).toHaveBeenCalledTimes(2)
+      expect(mockOctokit.request).toHaveBeenLastCalledWith(
+        'POST /graphql',
+        expect.objectContaining({
+          variables: expect.objectContaining({ after: 'cursor1' })
+        })
+      )
+      expect(result.map((pr) => pr.number)).toEqual([8, 7])
+      expect(result[1].activity_truncated).toBe(true)
+    })
+
+    it('should retry rate limited queries', async () => {
+      client = new GitHubClient('test-token', 'test-owner', 'test-repo', {
+        retryBaseDelayMs: 0
+      })
+      mockOctokit.request
+        .mockResolvedValueOnce({
+          status: 200,
+          data: {
+            errors: [
+              { type: 'RATE_LIMITED', message: 'API rate limit exceeded' }
+            ]
+          }
+        })
+        .mockResolvedValueOnce(
+          page([graphqlPR(5, '2024-01-05T07:00:00Z')], false)
+        )
+
+      const result = await client.getPullRequestsWithReviewActivity(
+        '2024-01-01T00:00:00Z',
+        '2024-01-08T00:00:00Z'
+      )
+
+      expect(mockOctokit.request).toHaveBeenCalledTimes(2)
+      expect(result.map((pr) => pr.number)).toEqual([5])
+      expect(client.apiFailure).toBeNull()
+    })
+
+    it('should keep earlier pages and record a failed query', async () => {
+      mockOctokit.request
+        .mockResolvedValueOnce(
+          page([graphqlPR(9, '2024-01-07T00:00:00Z')], true, 'cursor1')
+        )
+        .mockResolvedValueOnce({
+          status: 200,
+          data: { errors: [{ message: 'Field does not exist' }] }
+        })
+
+      const result = await client.getPullRequestsWithReviewActivity(
+        '2024-01-01T00:00:00Z',
+        '2024-01-08T00:00:00Z'
+      )
+
+      expect(result.map((pr) => pr.number)).toEqual([9])
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Failed to fetch PRs by date range with GraphQL: Field does not exist'
+      )
+      expect(() => client.ensureComplete()).toThrow(
+        'Field does not exist - metrics would be incomplete'
+      )
+    })
+  })
+
+  describe('PR timeline and reviews', () => {
+    it('should page through the PR timeline', async () => {
+      mockOctokit.request
+        .mockResolvedValueOnce({
+          data: Array.from({ length: 100 }, () => ({ event: 'commented' }))
+        })
+        .mockResolvedValueOnce({ data: [{ event: 'merged' }] })
+
+      const result = await client.getPullRequestTimeline(7)
+
+      expect(mockOctokit.request).toHaveBeenLastCalledWith(
+        'GET /repos/{owner}/{repo}/issues/{issue_number}/timeline',
+        {
+          owner: 'test-owner',
+          repo: 'test-repo',
+          issue_number: 7,
+          per_page: 100,
+          page: 2
+        }
+      )
+      expect(result).toHaveLength(101)
+      expect(result[100]).toEqual({ event: 'merged' })
+    })
+
+    it('should stop listing the PR timeline at the safety limit', async () => {
+      mockOctokit.request.mockResolvedValue({
+        data: Array.from({ length: 100 }, () => ({ event: 'commented' }))
+      })
+
+      const result = await client.getPullRequestTimeline(7)
+
+      expect(result).toHaveLength(MAX_PR_TIMELINE_EVENTS)
+    })
+
+    it('should page through PR reviews', async () => {
+      mockOctokit.request
+        .mockResolvedValueOnce({
+          data: Array.from({ length: 100 }, () => ({ state: 'COMMENTED' }))
+        })
+        .mockResolvedValueOnce({ data: [{ state: 'APPROVED' }] })
+
+      const result = await client.getPullRequestReviews(7)
+
+      expect(mockOctokit.request).toHaveBeenLastCalledWith(
+        'GET /repos/{owner}/{repo}/pulls/{pull_number}/reviews',
+        {
+          owner: 'test-owner',
+          repo: 'test-repo',
+          pull_number: 7,
+          per_page: 100,
+          page: 2
+        }
+      )
+      expect(result[100]).toEqual({ state: 'APPROVED' })
+    })
+
+    it('should stop listing PR reviews at the safety limit', async () => {
+      mockOctokit.request.mockResolvedValue({
+        data: Array.from({ length: 100 }, () => ({ state: 'COMMENTED' }))
+      })
+
+      const result = await client.getPullRequestReviews(7)
+
+      expect(result).toHaveLength(MAX_PR_REVIEWS)
+    })
+
+    it('should return no reviews when listing fails', async () => {
+      mockOctokit.request.mockRejectedValueOnce(new Error('Reviews failed'))
+
+      const result = await client.getPullRequestReviews(7)
+
+      expect(result).toEqual([])
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Failed to fetch reviews for PR #7: Reviews failed'
+      )
+    })
+  })
 })
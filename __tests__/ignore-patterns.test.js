@@ -0,0 +1,152 @@
+/**
+ * Unit tests for gitignore-style file matching
+ */
+
+import { describe, it, expect } from '@jest/globals'
+import {
+  parseIgnorePatterns,
+  expandBraces,
+  createIgnoreMatcher,
+  parseGeneratedAttributes
+} from '../src/ignore-patterns.js'
+
+describe('parseIgnorePatterns', () => {
+  it('should split on commas and newlines', () => {
+    expect(parseIgnorePatterns('*.md, *.txt\ndist/\n\n# comment')).toEqual([
+      '*.md',
+      '*.txt',
+      'dist/'
+    ])
+  })
+
+  it('should keep commas inside braces', () => {
+    expect(parseIgnorePatterns('*.{md,txt},package-lock.json')).toEqual([
+      '*.{md,txt}',
+      'package-lock.json'
+    ])
+  })
+
+  it('should return no patterns for an empty input', () => {
+    expect(parseIgnorePatterns('')).toEqual([])
+  })
+})
+
+describe('expandBraces', () => {
+  it('should expand alternatives, including nested ones', () => {
+    expect(expandBraces('*.{md,txt}')).toEqual(['*.md', '*.txt'])
+    expect(expandBraces('{src,lib}/*.{js,{c,m}js}')).toEqual([
+      'src/*.js',
+      'src/*.cjs',
+      'src/*.mjs',
+      'lib/*.js',
+      'lib/*.cjs',
+      'lib/*.mjs'
+    ])
+  })
+
+  it('should leave braces without alternatives alone', () => {
+    expect(expandBraces('file{1}.js')).toEqual(['file{1}.js'])
+  })
+})
+
+describe('createIgnoreMatcher', () => {
+  it('should match patterns without a slash at any depth', () => {
+    const matches = createIgnoreMatcher(['*.md'])
+
+    expect(matches('README.md')).toBe(true)
+    expect(matches('docs/guide.md')).toBe(true)
+    expect(matches('README.mdx')).toBe(false)
+  })
+
+  it('should escape dots and keep single stars within a segment', () => {
+    const matches = createIgnoreMatcher(['docs/*.md'])
+
+    expect(matches('docs/guide.md')).toBe(true)
+    expect(matches('docs/api/guide.md')).toBe(false)
+    expect(matches('other/docs/guide.md')).toBe(false)
+    expect(createIgnoreMatcher(['a.js'])('abjs')).toBe(false)
+  })
+
+  it('should let double stars span directories', () => {
+    const matches = createIgnoreMatcher(['docs/**/*.md'])
+
+    expect(matches('docs/guide.md')).toBe(true)
+    expect(matches('docs/api/v1/guide.md')).toBe(true)
+    expect(createIgnoreMatcher(['src/**'])('src/a/b.js')).toBe(true)
+  })
+
+  it('should match every file below a directory pattern', () => {
+    const matches = createIgnoreMatcher(['dist/'])
+
+    expect(matches('dist/index.js')).toBe(true)
+    expect(matches('packages/app/dist/index.js')).toBe(true)
+    expect(matches('dist')).toBe(false)
+  })
+
+  it('should support character classes', () => {
+    const matches = createIgnoreMatcher(['file[0-9].txt', 'log[!a].txt'])
+
+    expect(matches('file7.txt')).toBe(true)
+    expect(matches('fileA.txt')).toBe(false)
+    expect(matches('logb.txt')).toBe(true)
+    expect(matches('loga.txt')).toBe(false)
+  })
+
+  it('should support brace expansion', () => {
+    const matches = createIgnoreMatcher(['*.{md,txt}'])
+
+    expect(matches('notes.txt')).toBe(true)
+    expect(matches('a/b.md')).toBe(true)
+    expect(matches('index.js')).toBe(false)
+  })
+
+  it('should re-include files with negation, last match winning', () => {
+    const matches = createIgnoreMatcher(['*.md', '!CHANGELOG.md', 'docs/'])
+
+    expect(matches('README.md')).toBe(true)
+    expect(matches('CHANGELOG.md')).toBe(false)
+    expect(matches('docs/CHANGELOG.md')).toBe(true)
+  })
+
+  it('should ignore nothing without patterns', () => {
+    expect(createIgnoreMatcher([])('README.md')).toBe(false)
+  })
+})
+
+describe('parseGeneratedAttributes', () => {
+  it('should collect generated and vendored patterns', () => {
+    const content = [
+      '# Generated code',
+      '*.js text eol=lf',
+      'package-lock.json linguist-generated',
+      'src/gen/** linguist-generated=true -diff',
+      'vendor/** linguist-vendored',
+      'vendor/ours/** -linguist-vendored',
+      'docs/*.md linguist-generated=false',
+      ''
+    ].join('\n')
+
+    expect(parseGeneratedAttributes(content)).toEqual([
+      'package-lock.json',
+      'src/gen/**',
+      'vendor/**',
+      '!vendor/ours/**',
+      '!docs/*.md'
+    ])
+  })
+
+  it('should let a later line unset an earlier one', () => {
+    const matches = createIgnoreMatcher(
+      parseGeneratedAttributes(
+        'vendor/** linguist-vendored\nvendor/ours/** -linguist-vendored'
+      )
+    )
+
+    expect(matches('vendor/lib/a.js')).toBe(true)
+    expect(matches('vendor/ours/a.js')).toBe(false)
+  })
+
+  it('should return no patterns for a missing file', () => {
+    expect(parseGeneratedAttributes(null)).toEqual([])
+  })
+})
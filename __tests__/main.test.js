@@ -32,7 +32,9 @@ const mockGitHubClient = {
   listTags: jest.fn(),
   resolveTag: jest.fn(),
   compareCommits: jest.fn(),
-  getCommit: jest.fn()
+  getCommit: jest.fn(),
+  ensureComplete: jest.fn(),
+  logRateLimit: jest.fn()
 }
 
 const mockMetricsCollector = {
@@ -42,7 +44,9 @@ const mockMetricsCollector = {
 const mockDevExMetricsCollector = {
   collectMetrics: jest.fn(),
   addPRComment: jest.fn(),
-  addPRLabel: jest.fn()
+  addPRLabel: jest.fn(),
+  checkBudgets: jest.fn(),
+  publishCheckRun: jest.fn()
 }
 
 const mockOutputManager = {
@@ -53,7 +57,9 @@ const mockOutputManager = {
 jest.unstable_mockModule('@actions/core', () => mockCore)
 jest.unstable_mockModule('@actions/github', () => mockGithub)
 jest.unstable_mockModule('../src/github-client.js', () => ({
-  GitHubClient: jest.fn(() => mockGitHubClient)
+  GitHubClient: jest.fn(() => mockGitHubClient),
+  MAX_PR_TIMELINE_EVENTS: 3000,
+  MAX_PR_REVIEWS: 1000
 }))
 jest.unstable_mockModule('../src/metrics-collector.js', () => ({
   MetricsCollector: jest.fn(() => mockMetricsCollector)
@@ -119,6 +125,67 @@ describe('main action', () => {
     expect(mockCore.setFailed).not.toHaveBeenCalled()
   })
 
+  it('should not publish metrics when API requests failed', async () => {
+    mockMetricsCollector.collectMetrics.mockResolvedValue({ metrics: {} })
+    mockGitHubClient.ensureComplete.mockImplementationOnce(() => {
+      throw new Error('GitHub API request failed after 3 retries')
+    })
+
+    await run()
+
+    expect(mockOutputManager.processOutputs).not.toHaveBeenCalled()
+    expect(mockCore.setFailed).toHaveBeenCalledWith(
+      'GitHub API request failed after 3 retries'
+    )
+  })
+
+  it('should pass API settings to the client and collectors', async () => {
+    const { GitHubClient } = await import('../src/github-client.js')
+    const { MetricsCollector } = await import('../src/metrics-collector.js')
+    mockCore.getInput.mockImplementation(
+      (name) =>
+        ({
+          'github-token': 'test-token',
+          'deployment-frequency': 'true',
+          'api-retries': '5',
+          'api-error-mode': 'warn',
+          'api-concurrency': '8'
+        })[name] || ''
+    )
+    mockMetricsCollector.collectMetrics.mockResolvedValue({ metrics: {} })
+
+    await run()
+
+    expect(GitHubClient).toHaveBeenCalledWith(
+      'test-token',
+      'test-owner',
+      'test-repo',
+      { concurrency: 8, maxRetries: 5, failOnApiError: false }
+    )
+    expect(MetricsCollector).toHaveBeenCalledWith(
+      mockGitHubClient,
+      expect.objectContaining({ concurrency: 8 })
+    )
+    expect(mockGitHubClient.logRateLimit).toHaveBeenCalled()
+  })
+
+  it('should reject an unknown team-metrics-api', async () => {
+    mockCore.getInput.mockImplementation(
+      (name) =>
+        ({
+          'github-token': 'test-token',
+          'team-metrics': 'true',
+          'team-metrics-api': 'soap'
+        })[name] || ''
+    )
+
+    await run()
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith(
+      'team-metrics-api must be one of rest, graphql, got: soap'
+    )
+  })
+
   it('should require at least one metric to be enabled', async () => {
     mockCore.getInput.mockImplementation((name) => {
       const inputs = {
@@ -135,7 +202,7 @@ describe('main action', () => {
     await run()
 
     expect(mockCore.setFailed).toHaveBeenCalledWith(
-      'At least one metric must be enabled (deployment-frequency, lead-time, pr-size, pr-maturity, or team-metrics)'
+      'At least one metric must be enabled (deployment-frequency, lead-time, change-failure-rate, time-to-restore, pr-size, pr-maturity, or team-metrics)'
     )
   })
 
@@ -225,4 +292,222 @@ describe('main action', () => {
       'max-releases must be a positive integer, got: -1'
     )
   })
+
+  it('should require a workflow for the workflow deployment source', async () => {
+    mockCore.getInput.mockImplementation((name) => {
+      const inputs = {
+        'github-token': 'test-token',
+        'deployment-frequency': 'true',
+        'deployment-source': 'workflow'
+      }
+      return inputs[name] || ''
+    })
+
+    await run()
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith(
+      'deploy-workflow is required when deployment-source is workflow'
+    )
+  })
+
+  it('should reject an invalid tag pattern', async () => {
+    mockCore.getInput.mockImplementation((name) => {
+      const inputs = {
+        'github-token': 'test-token',
+        'deployment-frequency': 'true',
+        'tag-pattern': 'api/(v'
+      }
+      return inputs[name] || ''
+    })
+
+    await run()
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith(
+      expect.stringContaining('tag-pattern is not a valid regular expression')
+    )
+  })
+
+  it('should reject an unknown business hours timezone', async () => {
+    mockCore.getInput.mockImplementation((name) => {
+      const inputs = {
+        'github-token': 'test-token',
+        'deployment-frequency': 'true',
+        'business-hours': 'true',
+        timezone: 'Mars/Olympus_Mons'
+      }
+      return inputs[name] || ''
+    })
+
+    await run()
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith(
+      'timezone must be an IANA timezone, got: Mars/Olympus_Mons'
+    )
+  })
+
+  describe('PR budgets', () => {
+    const setBudgetInputs = (extra) => {
+      mockCore.getInput.mockImplementation((name) => {
+        const inputs = {
+          'github-token': 'test-token',
+          'deployment-frequency': 'false',
+          'lead-time': 'false',
+          'pr-size': 'true',
+          'pr-maturity': 'false',
+          'max-pr-size': 'm',
+          ...extra
+        }
+        return inputs[name] || ''
+      })
+    }
+
+    beforeEach(() => {
+      mockDevExMetricsCollector.collectMetrics.mockResolvedValue({
+        pr_number: 42,
+        metrics: { pr_size: { size: 'xl', category: 'size/xl', details: {} } }
+      })
+      mockOutputManager.processOutputs.mockResolvedValue()
+    })
+
+    it('should fail the step when the PR is over budget', async () => {
+      setBudgetInputs({})
+      mockDevExMetricsCollector.checkBudgets.mockResolvedValue({
+        passed: false,
+        exempt: false,
+        violations: ['size XL exceeds max-pr-size M']
+      })
+
+      await run()
+
+      expect(mockOutputManager.processOutputs).toHaveBeenCalled()
+      expect(mockCore.setOutput).toHaveBeenCalledWith('budget-exceeded', 'true')
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        'PR is over budget: size XL exceeds max-pr-size M. Add the size/exempt label to exempt it'
+      )
+    })
+
+    it('should only warn in warn mode', async () => {
+      setBudgetInputs({ 'budget-mode': 'warn' })
+      mockDevExMetricsCollector.checkBudgets.mockResolvedValue({
+        passed: false,
+        exempt: false,
+        violations: ['size XL exceeds max-pr-size M']
+      })
+
+      await run()
+
+      expect(mockCore.setFailed).not.toHaveBeenCalled()
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        expect.stringContaining('PR is over budget')
+      )
+    })
+
+    it('should not fail an exempt PR', async () => {
+      setBudgetInputs({ 'budget-exempt-label': 'big-change-ok' })
+      mockDevExMetricsCollector.checkBudgets.mockResolvedValue({
+        passed: true,
+        exempt: true,
+        violations: ['size XL exceeds max-pr-size M']
+      })
+
+      await run()
+
+      expect(mockCore.setFailed).not.toHaveBeenCalled()
+      expect(mockCore.setOutput).toHaveBeenCalledWith(
+        'budget-exceeded',
+        'false'
+      )
+    })
+
+    it('should publish a failing check run instead of a comment', async () => {
+      setBudgetInputs({ 'pr-report': 'check-run' })
+      mockDevExMetricsCollector.checkBudgets.mockResolvedValue({
+        passed: false,
+        exempt: false,
+        violations: ['size XL exceeds max-pr-size M']
+      })
+
+      await run()
+
+      expect(mockDevExMetricsCollector.addPRComment).not.toHaveBeenCalled()
+      expect(mockDevExMetricsCollector.publishCheckRun).toHaveBeenCalledWith(
+        42,
+        expect.objectContaining({ size: 'xl' }),
+        undefined,
+        'failure'
+      )
+    })
+
+    it('should only comment by default', async () => {
+      setBudgetInputs({ 'max-pr-size': '' })
+      mockDevExMetricsCollector.checkBudgets.mockResolvedValue(null)
+
+      await run()
+
+      expect(mockDevExMetricsCollector.addPRComment).toHaveBeenCalled()
+      expect(mockDevExMetricsCollector.publishCheckRun).not.toHaveBeenCalled()
+    })
+
+    it('should reject an unknown max-pr-size', async () => {
+      setBudgetInputs({ 'max-pr-size': 'huge' })
+
+      await run()
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        'max-pr-size must be one of xs, s, m, l, xl, got: huge'
+      )
+    })
+
+    it('should reject a size budget when PR size is disabled', async () => {
+      setBudgetInputs({ 'pr-size': 'false', 'pr-maturity': 'true' })
+
+      await run()
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        'max-pr-size requires pr-size to be enabled'
+      )
+      expect(mockDevExMetricsCollector.collectMetrics).not.toHaveBeenCalled()
+    })
+
+    it('should reject a maturity budget when PR maturity is disabled', async () => {
+      setBudgetInputs({ 'max-pr-size': '', 'min-pr-maturity': '80' })
+
+      await run()
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        'min-pr-maturity requires pr-maturity to be enabled'
+      )
+    })
+
+    it('should pass maturity settings to the DevEx collector', async () => {
+      const { DevExMetricsCollector } = await import(
+        '../src/devex-metrics-collector.js'
+      )
+      setBudgetInputs({
+        'maturity-grace-period': '0',
+        'maturity-commit-timestamp': 'committer'
+      })
+      mockDevExMetricsCollector.checkBudgets.mockResolvedValue(null)
+
+      await run()
+
+      expect(DevExMetricsCollector).toHaveBeenCalledWith(
+        mockGitHubClient,
+        expect.objectContaining({
+          gracePeriodMinutes: 0,
+          commitTimestamp: 'committer'
+        })
+      )
+    })
+
+    it('should reject an unknown maturity-commit-timestamp', async () => {
+      setBudgetInputs({ 'maturity-commit-timestamp': 'merge' })
+
+      await run()
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        'maturity-commit-timestamp must be one of author, committer, timeline, got: merge'
+      )
+    })
+  })
 })
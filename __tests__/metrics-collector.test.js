@@ -17,7 +17,11 @@ const mockGitHubClient = {
   listTags: jest.fn(),
   resolveTag: jest.fn(),
   compareCommits: jest.fn(),
-  getCommit: jest.fn()
+  getCommit: jest.fn(),
+  getPullRequestsForCommit: jest.fn(),
+  listIncidentIssues: jest.fn(),
+  listSuccessfulDeployments: jest.fn(),
+  listSuccessfulWorkflowRuns: jest.fn()
 }
 
 jest.unstable_mockModule('@actions/core', () => mockCore)
@@ -142,6 +146,264 @@ describe('MetricsCollector', () => {
     })
   })
 
+  describe('deployment sources', () => {
+    const mockDeployments = [
+      {
+        id: 3,
+        sha: 'abcdef1234',
+        ref: 'main',
+        environment: 'production',
+        created_at: '2023-01-08T00:00:00Z'
+      },
+      {
+        id: 2,
+        sha: '123456abcd',
+        ref: 'main',
+        environment: 'production',
+        created_at: '2023-01-01T00:00:00Z'
+      }
+    ]
+
+    it('should use consecutive successful deployments as the commit range', async () => {
+      collector.options.deploymentSource = 'deployments'
+      collector.options.environment = 'production'
+      mockGitHubClient.listSuccessfulDeployments.mockResolvedValue(
+        mockDeployments
+      )
+      mockGitHubClient.compareCommits.mockResolvedValue({ commits: [] })
+
+      const result = await collector.collectMetrics()
+
+      expect(mockGitHubClient.listReleases).not.toHaveBeenCalled()
+      expect(mockGitHubClient.compareCommits).toHaveBeenCalledWith(
+        '123456abcd',
+        'abcdef1234'
+      )
+      expect(result.source).toBe('deployment')
+      expect(result.latest.name).toBe('production@abcdef1')
+      // 2 deployments over 1 week
+      expect(result.metrics.deploy_frequency_days).toBe(2)
+      expect(result.metrics.deploy_count).toBe(2)
+    })
+
+    it('should fetch deployment records once for all metrics', async () => {
+      collector.options.deploymentSource = 'deployments'
+      collector.options.releaseWindow = 2
+      collector.options.enabledMetrics = {
+        deploymentFrequency: true,
+        leadTime: true,
+        changeFailureRate: true,
+        timeToRestore: true
+      }
+      mockGitHubClient.listSuccessfulDeployments.mockResolvedValue(
+        mockDeployments
+      )
+      mockGitHubClient.compareCommits.mockResolvedValue({ commits: [] })
+      mockGitHubClient.getCommit.mockResolvedValue(null)
+      mockGitHubClient.listIncidentIssues.mockResolvedValue([])
+
+      await collector.collectMetrics()
+
+      expect(mockGitHubClient.listSuccessfulDeployments).toHaveBeenCalledTimes(
+        1
+      )
+    })
+
+    it('should list deployments once for all metrics', async () => {
+      collector.options.deploymentSource = 'tags'
+      collector.options.releaseWindow = 2
+      collector.options.enabledMetrics = {
+        deploymentFrequency: true,
+        leadTime: true,
+        changeFailureRate: true,
+        timeToRestore: true
+      }
+      const fetchDeployments = jest.spyOn(collector, 'fetchDeployments')
+      mockGitHubClient.listTags.mockResolvedValue([
+        { name: 'v2.0.0' },
+        { name: 'v1.0.0' }
+      ])
+      mockGitHubClient.resolveTag.mockImplementation(async (tag) => ({
+        sha: `${tag}-sha`,
+        created_at:
+          tag === 'v2.0.0' ? '2023-01-08T00:00:00Z' : '2023-01-01T00:00:00Z'
+      }))
+      mockGitHubClient.compareCommits.mockResolvedValue({ commits: [] })
+      mockGitHubClient.getCommit.mockResolvedValue(null)
+      mockGitHubClient.listIncidentIssues.mockResolvedValue([])
+
+      await collector.collectMetrics()
+
+      expect(fetchDeployments).toHaveBeenCalledTimes(1)
+      expect(mockGitHubClient.listIncidentIssues).toHaveBeenCalled()
+    })
+
+    it('should report missing deployments for the environment', async () => {
+      collector.options.deploymentSource = 'deployments'
+      collector.options.environment = 'staging'
+      mockGitHubClient.listSuccessfulDeployments.mockResolvedValue([])
+
+      const result = await collector.collectMetrics()
+
+      expect(result.error).toContain(
+        'No successful deployments found for environment staging'
+      )
+    })
+
+    it('should use successful workflow runs as deployments', async () => {
+      collector.options.deploymentSource = 'workflow'
+      collector.options.deployWorkflow = 'deploy.yml'
+      collector.options.deployBranch = 'main'
+      mockGitHubClient.listSuccessfulWorkflowRuns.mockResolvedValue([
+        {
+          id: 2,
+          name: 'deploy.yml#2',
+          sha: 'run2sha',
+          ref: 'main',
+          created_at: '2023-01-02T00:00:00Z'
+        },
+        {
+          id: 1,
+          name: 'deploy.yml#1',
+          sha: 'run1sha',
+          ref: 'main',
+          created_at: '2023-01-01T00:00:00Z'
+        }
+      ])
+      mockGitHubClient.compareCommits.mockResolvedValue({ commits: [] })
+
+      const result = await collector.collectMetrics()
+
+      expect(mockGitHubClient.listSuccessfulWorkflowRuns).toHaveBeenCalledWith(
+        'deploy.yml',
+        'main',
+        100
+      )
+      expect(mockGitHubClient.compareCommits).toHaveBeenCalledWith(
+        'run1sha',
+        'run2sha'
+      )
+      expect(result.source).toBe('workflow')
+      expect(result.latest.name).toBe('deploy.yml#2')
+      expect(result.metrics.deploy_count).toBe(2)
+    })
+
+    it('should tell workflow runs on the same branch apart', async () => {
+      collector.options.deploymentSource = 'workflow'
+      collector.options.deployWorkflow = 'deploy.yml'
+      collector.options.releaseWindow = 2
+      mockGitHubClient.listSuccessfulWorkflowRuns.mockResolvedValue([
+        {
+          id: 2,
+          name: 'deploy.yml#2',
+          sha: 'run2sha',
+          ref: 'main',
+          created_at: '2023-01-02T00:00:00Z'
+        },
+        {
+          id: 1,
+          name: 'deploy.yml#1',
+          sha: 'run1sha',
+          ref: 'main',
+          created_at: '2023-01-01T00:00:00Z'
+        }
+      ])
+      mockGitHubClient.compareCommits.mockResolvedValue({ commits: [] })
+      mockGitHubClient.getCommit.mockResolvedValue(null)
+
+      const result = await collector.collectMetrics()
+
+      expect(result.latest.tag).toBe('deploy.yml#2')
+      expect(result.previous.tag).toBe('deploy.yml#1')
+      expect(
+        result.metrics.cycle_time_history.releases.map((r) => r.tag)
+      ).toEqual(['deploy.yml#2', 'deploy.yml#1'])
+    })
+
+    it('should not fall back to tags when pinned to releases', async () => {
+      collector.options.deploymentSource = 'releases'
+      mockGitHubClient.listReleases.mockResolvedValue([])
+
+      const result = await collector.collectMetrics()
+
+      expect(result.error).toContain('No releases found')
+      expect(mockGitHubClient.listTags).not.toHaveBeenCalled()
+    })
+
+    it('should skip releases when pinned to tags', async () => {
+      collector.options.deploymentSource = 'tags'
+      mockGitHubClient.listTags.mockResolvedValue([{ name: 'v1.0.0' }])
+      mockGitHubClient.resolveTag.mockResolvedValue({
+        name: 'v1.0.0',
+        sha: 'sha1',
+        created_at: '2023-01-01T00:00:00Z'
+      })
+      mockGitHubClient.getCommit.mockResolvedValue(null)
+
+      const result = await collector.collectMetrics()
+
+      expect(mockGitHubClient.listReleases).not.toHaveBeenCalled()
+      expect(result.source).toBe('tag')
+    })
+  })
+
+  describe('tag filters', () => {
+    it('should only compare releases from the same stream', async () => {
+      collector.options.tagPrefix = 'api/'
+      collector.options.semverSort = true
+      collector.options.excludePrereleases = true
+      collector.options.enabledMetrics.deploymentFrequency = false
+      mockGitHubClient.listReleases.mockResolvedValue([
+        { tag_name: 'web/v4.0.0', created_at: '2023-01-05T00:00:00Z' },
+        {
+          tag_name: 'api/v1.3.0-rc.1',
+          prerelease: true,
+          created_at: '2023-01-04T00:00:00Z'
+        },
+        { tag_name: 'api/v1.2.1', created_at: '2023-01-03T00:00:00Z' },
+        { tag_name: 'api/v1.10.0', created_at: '2023-01-02T00:00:00Z' }
+      ])
+      mockGitHubClient.resolveTag.mockImplementation((tag) => ({
+        sha: `${tag}-sha`
+      }))
+      mockGitHubClient.compareCommits.mockResolvedValue({ commits: [] })
+
+      const result = await collector.collectMetrics()
+
+      expect(result.latest.tag).toBe('api/v1.10.0')
+      expect(result.previous.tag).toBe('api/v1.2.1')
+      expect(mockGitHubClient.compareCommits).toHaveBeenCalledWith(
+        'api/v1.2.1-sha',
+        'api/v1.10.0-sha'
+      )
+    })
+
+    it('should pass the since date when listing releases', async () => {
+      collector.options.since = '2024-01-01T00:00:00.000Z'
+      mockGitHubClient.listReleases.mockResolvedValue([])
+
+      await collector.listReleases()
+
+      expect(mockGitHubClient.listReleases).toHaveBeenCalledWith(
+        100,
+        '2024-01-01T00:00:00.000Z'
+      )
+    })
+
+    it('should filter tags by pattern', async () => {
+      collector.options.deploymentSource = 'tags'
+      collector.options.tagPattern = '^web/v\\d+'
+      mockGitHubClient.listTags.mockResolvedValue([
+        { name: 'api/v2.0.0' },
+        { name: 'web/v4.0.0' }
+      ])
+
+      const tags = await collector.listTags()
+
+      expect(tags).toEqual([{ name: 'web/v4.0.0' }])
+    })
+  })
+
   describe('calculateCycleTime', () => {
     it('should exclude merge commits from newest calculation', async () => {
       const latest = { created_at: '2023-01-02T00:00:00Z' }
@@ -173,6 +435,8 @@ describe('MetricsCollector', () => {
       const result = await collector.calculateCycleTime(latest, previous)
 
       expect(result.commit_count).toBe(2)
+      expect(result.median_hours).toBe(9)
+      expect(result.statistics).toMatchObject({ min: 6, max: 12, p90: 11.4 })
       expect(result.newest_excludes_merges).toBe(true)
       expect(result.newest_commit_sha).toBe('commit1') // Regular commit, not merge
     })
@@ -204,4 +468,284 @@ describe('MetricsCollector', () => {
       expect(result.newest_excludes_merges).toBe(false)
     })
   })
+
+  describe('calculateCycleTimeHistory', () => {
+    const commitAt = (sha, date) => ({
+      sha,
+      commit: { committer: { date } },
+      parents: [{ sha: 'parent' }]
+    })
+
+    beforeEach(() => {
+      collector.options.releaseWindow = 2
+      mockGitHubClient.listReleases.mockResolvedValue([
+        { tag_name: 'v1.2.0', created_at: '2023-01-10T00:00:00Z' },
+        { tag_name: 'v1.1.0', created_at: '2023-01-05T00:00:00Z' },
+        { tag_name: 'v1.0.0', created_at: '2023-01-01T00:00:00Z' },
+        { tag_name: 'v0.9.0', created_at: '2022-12-20T00:00:00Z' }
+      ])
+      mockGitHubClient.resolveTag.mockImplementation((tag) => ({
+        sha: `${tag}-sha`
+      }))
+      mockGitHubClient.compareCommits.mockImplementation((base) => ({
+        commits:
+          base === 'v1.1.0-sha'
+            ? [
+                commitAt('a', '2023-01-09T00:00:00Z'),
+                commitAt('b', '2023-01-09T12:00:00Z')
+              ]
+            : [commitAt('c', '2023-01-01T00:00:00Z')]
+      }))
+    })
+
+    it('should report cycle time for each release in the window', async () => {
+      const result = await collector.calculateCycleTimeHistory()
+
+      expect(mockGitHubClient.compareCommits).toHaveBeenCalledTimes(2)
+      expect(mockGitHubClient.compareCommits).toHaveBeenCalledWith(
+        'v1.0.0-sha',
+        'v1.1.0-sha'
+      )
+      expect(result.window).toBe(2)
+      expect(result.release_count).toBe(2)
+      expect(result.releases.map((r) => [r.tag, r.avg_hours])).toEqual([
+        ['v1.2.0', 18],
+        ['v1.1.0', 96]
+      ])
+    })
+
+    it('should calculate statistics across all commits in the window', async () => {
+      const result = await collector.calculateCycleTimeHistory()
+
+      expect(result.commit_count).toBe(3)
+      expect(result.mean_hours).toBe(44)
+      expect(result.median_hours).toBe(24)
+      expect(result.p75_hours).toBe(60)
+      expect(result.p90_hours).toBe(81.6)
+    })
+
+    it('should compare release ranges concurrently in release order', async () => {
+      collector.options.releaseWindow = 3
+      collector.options.concurrency = 2
+      let inFlight = 0
+      let maxInFlight = 0
+      mockGitHubClient.compareCommits.mockImplementation(async (base) => {
+        inFlight++
+        maxInFlight = Math.max(maxInFlight, inFlight)
+        // Older ranges answer first
+        await new Promise((resolve) =>
+          setTimeout(resolve, base === 'v0.9.0-sha' ? 1 : 10)
+        )
+        inFlight--
+        return { commits: [commitAt(base, '2022-12-31T00:00:00Z')] }
+      })
+
+      const result = await collector.calculateCycleTimeHistory()
+
+      expect(maxInFlight).toBe(2)
+      expect(result.releases.map((r) => r.tag)).toEqual([
+        'v1.2.0',
+        'v1.1.0',
+        'v1.0.0'
+      ])
+    })
+
+    it('should be included in collected metrics', async () => {
+      collector.options.enabledMetrics.deploymentFrequency = false
+
+      const result = await collector.collectMetrics()
+
+      expect(result.metrics.cycle_time.avg_hours).toBe(18)
+      expect(result.metrics.cycle_time_history.release_count).toBe(2)
+    })
+  })
+
+  describe('calculateChangeFailureRate', () => {
+    it('should flag releases followed by a patch bump within the window', async () => {
+      mockGitHubClient.listReleases.mockResolvedValue([
+        { tag_name: 'v1.1.1', created_at: '2023-01-03T10:00:00Z' },
+        { tag_name: 'v1.1.0', created_at: '2023-01-03T00:00:00Z' },
+        { tag_name: 'v1.0.0', created_at: '2023-01-01T00:00:00Z' }
+      ])
+      mockGitHubClient.resolveTag.mockResolvedValue({ sha: 'sha' })
+      mockGitHubClient.compareCommits.mockResolvedValue({ commits: [] })
+      mockGitHubClient.getPullRequestsForCommit.mockResolvedValue([])
+
+      const result = await collector.calculateChangeFailureRate()
+
+      expect(result.total_deployments).toBe(3)
+      expect(result.failed_deployments).toBe(1)
+      expect(result.percentage).toBe(33)
+      expect(result.failed_releases).toEqual([
+        {
+          tag: 'v1.1.0',
+          created_at: '2023-01-03T00:00:00.000Z',
+          fixed_by: 'v1.1.1',
+          hours_to_fix: 10,
+          reason: 'patch_bump'
+        }
+      ])
+    })
+
+    it('should ignore follow-up releases outside the window', async () => {
+      collector.options.failureWindowHours = 24
+      mockGitHubClient.listReleases.mockResolvedValue([
+        { tag_name: 'v1.0.1', created_at: '2023-01-05T00:00:00Z' },
+        { tag_name: 'v1.0.0', created_at: '2023-01-01T00:00:00Z' }
+      ])
+
+      const result = await collector.calculateChangeFailureRate()
+
+      expect(result.failed_deployments).toBe(0)
+      expect(result.rate).toBe(0)
+      expect(result.window_hours).toBe(24)
+      expect(mockGitHubClient.compareCommits).not.toHaveBeenCalled()
+    })
+
+    it('should detect revert commits between releases', async () => {
+      mockGitHubClient.listReleases.mockResolvedValue([
+        { tag_name: 'v2.0.0', created_at: '2023-01-02T00:00:00Z' },
+        { tag_name: 'v1.0.0', created_at: '2023-01-01T00:00:00Z' }
+      ])
+      mockGitHubClient.resolveTag
+        .mockResolvedValueOnce({ sha: 'sha1' })
+        .mockResolvedValueOnce({ sha: 'sha2' })
+      mockGitHubClient.compareCommits.mockResolvedValue({
+        commits: [{ sha: 'c1', commit: { message: 'Revert "Add feature"' } }]
+      })
+
+      const result = await collector.calculateChangeFailureRate()
+
+      expect(mockGitHubClient.compareCommits).toHaveBeenCalledWith(
+        'sha1',
+        'sha2'
+      )
+      expect(result.failed_releases[0].reason).toBe('commit_message')
+    })
+
+    it('should detect failure labels on merged PRs', async () => {
+      mockGitHubClient.listReleases.mockResolvedValue([
+        { tag_name: 'release-b', created_at: '2023-01-02T00:00:00Z' },
+        { tag_name: 'release-a', created_at: '2023-01-01T00:00:00Z' }
+      ])
+      mockGitHubClient.resolveTag.mockResolvedValue({ sha: 'sha' })
+      mockGitHubClient.compareCommits.mockResolvedValue({
+        commits: [{ sha: 'c1', commit: { message: 'Fix checkout' } }]
+      })
+      mockGitHubClient.getPullRequestsForCommit.mockResolvedValue([
+        { merged_at: '2023-01-01T12:00:00Z', labels: [{ name: 'Hotfix' }] }
+      ])
+
+      const result = await collector.calculateChangeFailureRate()
+
+      expect(mockGitHubClient.getPullRequestsForCommit).toHaveBeenCalledWith(
+        'c1'
+      )
+      expect(result.failed_releases[0].reason).toBe('pr_label')
+    })
+
+    it('should stop looking up PRs after the first labelled one', async () => {
+      collector.options.concurrency = 2
+      mockGitHubClient.listReleases.mockResolvedValue([
+        { tag_name: 'release-b', created_at: '2023-01-02T00:00:00Z' },
+        { tag_name: 'release-a', created_at: '2023-01-01T00:00:00Z' }
+      ])
+      mockGitHubClient.resolveTag.mockResolvedValue({ sha: 'sha' })
+      mockGitHubClient.compareCommits.mockResolvedValue({
+        commits: ['c1', 'c2', 'c3', 'c4', 'c5', 'c6'].map((sha) => ({
+          sha,
+          commit: { message: 'Fix checkout' }
+        }))
+      })
+      mockGitHubClient.getPullRequestsForCommit.mockImplementation((sha) =>
+        sha === 'c1'
+          ? [
+              {
+                merged_at: '2023-01-01T12:00:00Z',
+                labels: [{ name: 'revert' }]
+              }
+            ]
+          : []
+      )
+
+      const result = await collector.calculateChangeFailureRate()
+
+      expect(result.failed_releases[0].reason).toBe('pr_label')
+      // c1 and c2 were already in flight when the label was found
+      expect(mockGitHubClient.getPullRequestsForCommit).toHaveBeenCalledTimes(2)
+    })
+
+    it('should compare follow-up ranges concurrently in release order', async () => {
+      collector.options.concurrency = 2
+      mockGitHubClient.listReleases.mockResolvedValue([
+        { tag_name: 'release-d', created_at: '2023-01-04T00:00:00Z' },
+        { tag_name: 'release-c', created_at: '2023-01-03T00:00:00Z' },
+        { tag_name: 'release-b', created_at: '2023-01-02T00:00:00Z' },
+        { tag_name: 'release-a', created_at: '2023-01-01T00:00:00Z' }
+      ])
+      mockGitHubClient.resolveTag.mockImplementation((tag) => ({
+        sha: `${tag}-sha`
+      }))
+      let inFlight = 0
+      let maxInFlight = 0
+      mockGitHubClient.compareCommits.mockImplementation(async (base) => {
+        inFlight++
+        maxInFlight = Math.max(maxInFlight, inFlight)
+        await new Promise((resolve) =>
+          setTimeout(resolve, base === 'release-a-sha' ? 1 : 10)
+        )
+        inFlight--
+        return {
+          commits: [{ sha: base, commit: { message: 'Revert "Add feature"' } }]
+        }
+      })
+
+      const result = await collector.calculateChangeFailureRate()
+
+      expect(maxInFlight).toBe(2)
+      expect(result.failed_releases.map((r) => r.tag)).toEqual([
+        'release-c',
+        'release-b',
+        'release-a'
+      ])
+    })
+
+    it('should return null rate when there are no deployments', async () => {
+      mockGitHubClient.listReleases.mockResolvedValue([])
+      mockGitHubClient.listTags.mockResolvedValue([])
+
+      const result = await collector.calculateChangeFailureRate()
+
+      expect(result.rate).toBeNull()
+      expect(result.total_deployments).toBe(0)
+    })
+  })
+
+  describe('calculateTimeToRestore', () => {
+    it('should limit incidents to the deployment span', async () => {
+      collector.options.incidentLabels = ['sev1']
+      mockGitHubClient.listReleases.mockResolvedValue([
+        { tag_name: 'v1.0.1', created_at: '2023-01-02T04:00:00Z' },
+        { tag_name: 'v1.0.0', created_at: '2023-01-01T00:00:00Z' }
+      ])
+      mockGitHubClient.listIncidentIssues.mockResolvedValue([
+        {
+          number: 7,
+          title: 'API outage',
+          created_at: '2023-01-02T00:00:00Z',
+          closed_at: '2023-01-02T05:00:00Z'
+        }
+      ])
+
+      const result = await collector.calculateTimeToRestore()
+
+      expect(mockGitHubClient.listIncidentIssues).toHaveBeenCalledWith(
+        ['sev1'],
+        '2023-01-01T00:00:00.000Z'
+      )
+      expect(result.mean_hours).toBe(5)
+      expect(result.incidents[0].restored_by).toBe('v1.0.1')
+      expect(result.incident_labels).toEqual(['sev1'])
+    })
+  })
 })
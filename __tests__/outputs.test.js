@@ -176,6 +176,39 @@ describe('OutputManager', () => {
       expect(mockCore.setOutput).toHaveBeenCalledWith('commit-count', '3')
     })
 
+    it('should fall back to the latest release cycle time percentiles', () => {
+      outputManager.setActionOutputs(
+        {
+          metrics: {
+            dora: {
+              cycle_time: { median_hours: 12, statistics: { p90: 30 } }
+            }
+          }
+        },
+        'test-path.json'
+      )
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('lead-time-median', '12')
+      expect(mockCore.setOutput).toHaveBeenCalledWith('lead-time-p90', '30')
+    })
+
+    it('should prefer the release window cycle time percentiles', () => {
+      outputManager.setActionOutputs(
+        {
+          metrics: {
+            dora: {
+              cycle_time: { median_hours: 12, statistics: { p90: 30 } },
+              cycle_time_history: { median_hours: 20, p90_hours: 48 }
+            }
+          }
+        },
+        'test-path.json'
+      )
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('lead-time-median', '20')
+      expect(mockCore.setOutput).toHaveBeenCalledWith('lead-time-p90', '48')
+    })
+
     it('should handle null metric values', () => {
       const mockMetrics = {
         metrics: {
@@ -230,6 +263,77 @@ describe('OutputManager', () => {
       expect(mockCore.summary.addRaw).toHaveBeenCalledWith(
         expect.stringContaining('**Source:** release')
       )
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(
+        expect.stringContaining('**Durations:** Wall clock (24/7)')
+      )
+    })
+
+    it('should include cycle time history', async () => {
+      const mockMetrics = {
+        source: 'release',
+        latest: { tag: 'v1.2.0', created_at: '2023-01-10T00:00:00Z' },
+        metrics: {
+          dora: {
+            cycle_time_history: {
+              window: 2,
+              release_count: 2,
+              commit_count: 3,
+              mean_hours: 44,
+              median_hours: 24,
+              p75_hours: 60,
+              p90_hours: 81.6,
+              releases: [
+                { tag: 'v1.2.0', avg_hours: 18, commit_count: 2 },
+                { tag: 'v1.1.0', avg_hours: 96, commit_count: 1 }
+              ]
+            }
+          }
+        }
+      }
+
+      await outputManager.createMarkdownSummary(mockMetrics)
+
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(
+        expect.stringContaining('**Cycle Time (last 2 releases):**')
+      )
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(
+        expect.stringContaining('v1.1.0: 4 days (96h) across 1 commits')
+      )
+    })
+
+    it('should include time to restore section', async () => {
+      const mockMetrics = {
+        source: 'release',
+        latest: { tag: 'v1.0.0', created_at: '2023-01-01T00:00:00Z' },
+        metrics: {
+          dora: {
+            time_to_restore: {
+              mean_hours: 12,
+              median_hours: 10,
+              p90_hours: 20,
+              incident_count: 1,
+              resolved_count: 1,
+              incidents: [
+                {
+                  number: 42,
+                  title: 'Database outage',
+                  restore_hours: 12,
+                  restored_by: 'v1.0.1'
+                }
+              ]
+            }
+          }
+        }
+      }
+
+      await outputManager.createMarkdownSummary(mockMetrics)
+
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(
+        expect.stringContaining('**Time to Restore:** 0.5 days (12h) ✅ Good')
+      )
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(
+        expect.stringContaining('#42 Database outage: 12h (restored by v1.0.1)')
+      )
     })
 
     it('should create error summary', async () => {
@@ -248,6 +352,37 @@ describe('OutputManager', () => {
     })
   })
 
+  describe('ratings', () => {
+    it('should use the configured rating engine', async () => {
+      const { RatingEngine } = await import('../src/ratings.js')
+      const manager = new OutputManager({
+        ratings: new RatingEngine({
+          ratings: { pr_maturity: { elite: 60, good: 50, fair: 40 } }
+        })
+      })
+
+      expect(manager.getMaturityLevel(70)).toBe('Elite')
+      expect(manager.getMaturityEmoji(45)).toBe('⚖️')
+      expect(manager.getTimeToRestoreRating(null)).toBe('Unknown')
+    })
+  })
+
+  describe('formatBudget', () => {
+    it('should describe the budget status', () => {
+      const violations = ['size XL exceeds max-pr-size M']
+
+      expect(
+        outputManager.formatBudget({ exempt: false, violations: [] })
+      ).toBe('✅ Within budget')
+      expect(outputManager.formatBudget({ exempt: false, violations })).toBe(
+        '❌ Over budget (size XL exceeds max-pr-size M)'
+      )
+      expect(outputManager.formatBudget({ exempt: true, violations })).toBe(
+        '⚪ Exempt (size XL exceeds max-pr-size M)'
+      )
+    })
+  })
+
   describe('commitResults', () => {
     it('should handle git commit failure gracefully', async () => {
       mockExec.exec.mockImplementation((command, args) => {
@@ -0,0 +1,187 @@
+/**
+ * Unit tests for the rating engine
+ */
+
+import { describe, it, expect, afterEach } from '@jest/globals'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import {
+  RatingEngine,
+  loadRatingConfig,
+  validateRatingConfig
+} from '../src/ratings.js'
+
+describe('RatingEngine', () => {
+  const engine = new RatingEngine()
+
+  describe('rate', () => {
+    it('should rate durations where lower is better', () => {
+      expect(engine.rate('pickup_time', 1.9)).toBe('Elite')
+      expect(engine.rate('pickup_time', 2)).toBe('Good')
+      expect(engine.rate('pickup_time', 6)).toBe('Good')
+      expect(engine.rate('pickup_time', 16)).toBe('Fair')
+      expect(engine.rate('pickup_time', 16.1)).toBe('Needs Focus')
+    })
+
+    it('should rate metrics where higher is better', () => {
+      expect(engine.rate('pr_maturity', 89)).toBe('Elite')
+      expect(engine.rate('pr_maturity', 88)).toBe('Good')
+      expect(engine.rate('pr_maturity', 75)).toBe('Fair')
+      expect(engine.rate('pr_maturity', 74)).toBe('Needs Focus')
+      expect(engine.rate('merge_frequency', 1.7)).toBe('Elite')
+    })
+
+    it('should return Unknown without a value', () => {
+      expect(engine.rate('cycle_time', null)).toBe('Unknown')
+    })
+
+    it('should use configured thresholds over the defaults', () => {
+      const custom = new RatingEngine({
+        ratings: { pickup_time: { elite: 4 } }
+      })
+
+      expect(custom.rate('pickup_time', 3)).toBe('Elite')
+      expect(custom.rate('pickup_time', 17)).toBe('Needs Focus')
+      expect(custom.rate('merge_time', 1)).toBe('Elite')
+    })
+  })
+
+  describe('categorizeSize', () => {
+    it('should bucket PRs by total changes', () => {
+      expect(engine.categorizeSize(9)).toBe('xs')
+      expect(engine.categorizeSize(10)).toBe('s')
+      expect(engine.categorizeSize(104)).toBe('s')
+      expect(engine.categorizeSize(105)).toBe('m')
+      expect(engine.categorizeSize(240)).toBe('l')
+      expect(engine.categorizeSize(241)).toBe('xl')
+    })
+
+    it('should use configured size buckets', () => {
+      const custom = new RatingEngine({ pr_size: { s: 50 } })
+
+      expect(custom.categorizeSize(60)).toBe('m')
+    })
+
+    it('should ignore files changed unless file buckets are configured', () => {
+      expect(engine.categorizeSize(5, 200)).toBe('xs')
+    })
+
+    it('should take the larger of the line and file buckets', () => {
+      const custom = new RatingEngine({ pr_size_files: {} })
+
+      expect(custom.categorizeSize(5, 60)).toBe('l')
+      expect(custom.categorizeSize(5, 61)).toBe('xl')
+      expect(custom.categorizeSize(200, 1)).toBe('l')
+    })
+
+    it('should describe the configured thresholds', () => {
+      expect(engine.formatSizeThresholds()).toBe(
+        'XS < 10, S < 105, M ≤ 160, L ≤ 240, XL > 240 changes'
+      )
+      expect(
+        new RatingEngine({ pr_size_files: { l: 50 } }).formatSizeThresholds()
+      ).toContain('at least XS < 2, S < 10, M ≤ 20, L ≤ 50, XL > 50 files')
+    })
+  })
+
+  it('should merge configured size label styles over the defaults', () => {
+    const custom = new RatingEngine({
+      size_labels: { xl: { color: 'ff0000' } }
+    })
+
+    expect(custom.getSizeLabelStyle('xl')).toEqual({
+      color: 'ff0000',
+      description: 'Extra large PR'
+    })
+    expect(custom.getSizeLabelStyle('s').color).toBe('5d9801')
+    expect(custom.getSizeLabelStyle('unknown')).toBeNull()
+  })
+
+  it('should map sizes and ratings to labels and emojis', () => {
+    expect(engine.rateSize('xl')).toBe('Needs Focus')
+    expect(engine.rateSize('huge')).toBe('Unknown')
+    expect(engine.getEmoji('Elite')).toBe('⭐')
+    expect(engine.getEmoji('Unknown')).toBe('❓')
+  })
+})
+
+describe('loadRatingConfig', () => {
+  let dir
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('should fall back to defaults when the file does not exist', () => {
+    const engine = loadRatingConfig('does-not-exist.yml')
+
+    expect(engine.rate('pickup_time', 3)).toBe('Good')
+  })
+
+  it('should load thresholds from YAML', () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ratings-'))
+    const file = path.join(dir, 'agile-metrics.yml')
+    fs.writeFileSync(
+      file,
+      'ratings:\n  cycle_time: { elite: 24, good: 48, fair: 96 }\npr_size:\n  s: 50\n  m: 100\n  l: 200\n'
+    )
+
+    const engine = loadRatingConfig(file)
+
+    expect(engine.rate('cycle_time', 30)).toBe('Good')
+    expect(engine.categorizeSize(150)).toBe('l')
+  })
+})
+
+describe('validateRatingConfig', () => {
+  it('should reject unknown metrics', () => {
+    expect(() =>
+      validateRatingConfig({ ratings: { lunch_time: {} } }, 'config.yml')
+    ).toThrow('Unknown rating metric in config.yml: lunch_time')
+  })
+
+  it('should reject thresholds out of order', () => {
+    expect(() =>
+      validateRatingConfig(
+        { ratings: { merge_time: { elite: 10, good: 5 } } },
+        'config.yml'
+      )
+    ).toThrow(
+      'Rating thresholds for merge_time in config.yml must be ordered elite, good, fair'
+    )
+    expect(() =>
+      validateRatingConfig(
+        { ratings: { pr_maturity: { elite: 50 } } },
+        'config.yml'
+      )
+    ).toThrow()
+  })
+
+  it('should reject non-numeric size buckets', () => {
+    expect(() =>
+      validateRatingConfig({ pr_size: { s: 'small' } }, 'config.yml')
+    ).toThrow(
+      'pr_size in config.yml must be increasing numbers for xs, s, m and l'
+    )
+    expect(() =>
+      validateRatingConfig({ pr_size_files: { xs: 20 } }, 'config.yml')
+    ).toThrow(
+      'pr_size_files in config.yml must be increasing numbers for xs, s, m and l'
+    )
+  })
+
+  it('should reject unknown sizes and invalid label colours', () => {
+    expect(() =>
+      validateRatingConfig({ size_labels: { xxl: {} } }, 'config.yml')
+    ).toThrow('Unknown size label in config.yml: xxl')
+    expect(() =>
+      validateRatingConfig(
+        { size_labels: { m: { color: '#abc' } } },
+        'config.yml'
+      )
+    ).toThrow(
+      'Label colour for m in config.yml must be a 6-digit hex code, got: #abc'
+    )
+  })
+})
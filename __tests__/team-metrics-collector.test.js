@@ -15,12 +15,26 @@ const mockCore = {
 const mockGitHubClient = {
   getPullRequestsByDateRange: jest.fn(),
   getPullRequestTimeline: jest.fn(),
-  getPullRequestReviews: jest.fn()
+  getPullRequestReviews: jest.fn(),
+  listIncidentIssues: jest.fn(),
+  listReleases: jest.fn(),
+  listSuccessfulWorkflowRuns: jest.fn(),
+  getReleasesByDateRange: jest.fn(),
+  resolveTag: jest.fn(),
+  listCommits: jest.fn(),
+  getCommit: jest.fn(),
+  compareCommits: jest.fn()
 }
 
 // Setup mocks
 jest.unstable_mockModule('@actions/core', () => mockCore)
 
+const { WorkingCalendar } = await import('../src/working-calendar.js')
+const { RatingEngine } = await import('../src/ratings.js')
+const { TeamMetricsCollector } = await import(
+  '../src/team-metrics-collector.js'
+)
+
 // Create a simple test class
 class TestTeamMetricsCollector {
   constructor(githubClient, options = {}) {
@@ -34,7 +48,7 @@ class TestTeamMetricsCollector {
   getDateRange() {
     const now = new Date()
     const end = now.toISOString()
-    let start = new Date()
+    let start = new Date(now)
 
     switch (this.options.timePeriod) {
       case 'fortnightly':
@@ -223,28 +237,6 @@ class TestTeamMetricsCollector {
     return emojiMap[rating] || '❓'
   }
 
-  getReadyForReviewTime(pr, createdAt, timeline) {
-    if (!pr.draft) {
-      const readyEvent = timeline?.find(
-        (event) => event.event === 'ready_for_review'
-      )
-      if (readyEvent) {
-        return new Date(readyEvent.created_at)
-      }
-      return createdAt
-    }
-
-    const readyEvent = timeline?.find(
-      (event) => event.event === 'ready_for_review'
-    )
-
-    if (readyEvent) {
-      return new Date(readyEvent.created_at)
-    }
-
-    return createdAt
-  }
-
   rateCycleTime(hours) {
     if (hours < 45) return 'Elite'
     if (hours <= 95) return 'Good'
@@ -654,50 +646,6 @@ describe('TeamMetricsCollector', () => {
     })
   })
 
-  describe('getReadyForReviewTime', () => {
-    it('should return creation time for non-draft PR', () => {
-      const createdAt = new Date('2024-01-01T10:00:00Z')
-      const pr = { draft: false }
-      const timeline = []
-
-      const result = collector.getReadyForReviewTime(pr, createdAt, timeline)
-      expect(result).toEqual(createdAt)
-    })
-
-    it('should return ready_for_review event time for converted PR', () => {
-      const createdAt = new Date('2024-01-01T10:00:00Z')
-      const readyTime = new Date('2024-01-02T10:00:00Z')
-      const pr = { draft: false }
-      const timeline = [
-        { event: 'ready_for_review', created_at: readyTime.toISOString() }
-      ]
-
-      const result = collector.getReadyForReviewTime(pr, createdAt, timeline)
-      expect(result).toEqual(readyTime)
-    })
-
-    it('should return ready_for_review event time for draft PR', () => {
-      const createdAt = new Date('2024-01-01T10:00:00Z')
-      const readyTime = new Date('2024-01-03T14:00:00Z')
-      const pr = { draft: true }
-      const timeline = [
-        { event: 'ready_for_review', created_at: readyTime.toISOString() }
-      ]
-
-      const result = collector.getReadyForReviewTime(pr, createdAt, timeline)
-      expect(result).toEqual(readyTime)
-    })
-
-    it('should fallback to creation time if no ready event found', () => {
-      const createdAt = new Date('2024-01-01T10:00:00Z')
-      const pr = { draft: true }
-      const timeline = []
-
-      const result = collector.getReadyForReviewTime(pr, createdAt, timeline)
-      expect(result).toEqual(createdAt)
-    })
-  })
-
   describe('rating methods - additional', () => {
     describe('rateCycleTime', () => {
       it('should rate as Elite for < 45 hours', () => {
@@ -789,3 +737,653 @@ describe('TeamMetricsCollector', () => {
     })
   })
 })
+
+describe('TeamMetricsCollector time to restore', () => {
+  let collector
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    collector = new TeamMetricsCollector(mockGitHubClient, {
+      incidentLabels: ['incident', 'sev1']
+    })
+  })
+
+  describe('calculateTimeToRestore', () => {
+    it('should summarize incidents opened in the date range', async () => {
+      mockGitHubClient.listIncidentIssues.mockResolvedValue([
+        {
+          number: 2,
+          title: 'Checkout down',
+          created_at: '2024-01-10T00:00:00Z',
+          closed_at: '2024-01-10T04:00:00Z'
+        },
+        {
+          number: 1,
+          title: 'Login errors',
+          created_at: '2024-01-08T00:00:00Z',
+          closed_at: '2024-01-08T02:00:00Z'
+        },
+        {
+          number: 3,
+          title: 'After the period',
+          created_at: '2024-02-01T00:00:00Z',
+          closed_at: null
+        }
+      ])
+      mockGitHubClient.listReleases.mockResolvedValue([
+        { tag_name: 'v1.0.2', created_at: '2024-01-10T03:00:00Z' },
+        { tag_name: 'v1.0.1', created_at: '2024-01-08T01:00:00Z' }
+      ])
+
+      const result = await collector.calculateTimeToRestore({
+        start: '2024-01-07T00:00:00Z',
+        end: '2024-01-14T00:00:00Z'
+      })
+
+      expect(mockGitHubClient.listIncidentIssues).toHaveBeenCalledWith(
+        ['incident', 'sev1'],
+        '2024-01-07T00:00:00Z'
+      )
+      expect(result.incident_count).toBe(2)
+      expect(result.mean_hours).toBe(3)
+      expect(result.median_hours).toBe(3)
+      expect(result.incidents.map((i) => i.restored_by)).toEqual([
+        'v1.0.2',
+        'v1.0.1'
+      ])
+    })
+  })
+
+  describe('filterReleases', () => {
+    it('should keep only releases matching the tag filters', () => {
+      const filtered = new TeamMetricsCollector(mockGitHubClient, {
+        tagPrefix: 'api/',
+        excludePrereleases: true
+      }).filterReleases([
+        { tag_name: 'api/v1.1.0' },
+        { tag_name: 'api/v1.2.0-rc.1' },
+        { tag_name: 'web/v2.0.0' }
+      ])
+
+      expect(filtered).toEqual([{ tag_name: 'api/v1.1.0' }])
+    })
+  })
+
+  describe('rateTimeToRestore', () => {
+    it('should rate restore times', () => {
+      expect(collector.rateTimeToRestore(0.5)).toBe('Elite')
+      expect(collector.rateTimeToRestore(12)).toBe('Good')
+      expect(collector.rateTimeToRestore(72)).toBe('Fair')
+      expect(collector.rateTimeToRestore(200)).toBe('Needs Focus')
+    })
+  })
+
+  describe('generateMarkdownReport', () => {
+    it('should include a time to restore section', () => {
+      const report = collector.generateMarkdownReport({
+        period: 'weekly',
+        date_range: {
+          start: '2024-01-07T00:00:00Z',
+          end: '2024-01-14T00:00:00Z'
+        },
+        total_prs: 0,
+        unique_authors: 0,
+        metrics: {
+          pickup_time: { average_hours: null },
+          approve_time: { average_hours: null },
+          merge_time: { average_hours: null },
+          merge_frequency: {
+            value: 0,
+            rating: 'Needs Focus',
+            merged_prs: 0,
+            total_prs: 0,
+            unique_authors: 0
+          },
+          size_distribution: {
+            xs_percent: 0,
+            small_percent: 0,
+            medium_percent: 0,
+            large_percent: 0,
+            xl_percent: 0,
+            unknown_percent: 0,
+            predominant_size: 'unknown',
+            predominant_rating: 'Unknown',
+            predominant_percent: 0
+          }
+        },
+        dora_metrics: {
+          time_to_restore: {
+            mean_hours: 3,
+            median_hours: 3,
+            p90_hours: 3.8,
+            incident_count: 2,
+            resolved_count: 2
+          }
+        },
+        timestamp: '2024-01-14T00:00:00Z'
+      })
+
+      expect(report).toContain('Time to Restore — **3h** (*Good*)')
+      expect(report).toContain('**P90:** 3.8h')
+    })
+  })
+})
+
+describe('TeamMetricsCollector first release', () => {
+  const dateRange = {
+    start: '2024-01-07T00:00:00Z',
+    end: '2024-01-14T00:00:00Z'
+  }
+  const release = {
+    tag_name: 'v1.0.0',
+    created_at: '2024-01-10T12:00:00Z'
+  }
+  let collector
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    collector = new TeamMetricsCollector(mockGitHubClient)
+    mockGitHubClient.getReleasesByDateRange.mockResolvedValue([release])
+    mockGitHubClient.listReleases.mockResolvedValue([release])
+    mockGitHubClient.resolveTag.mockResolvedValue({ sha: 'tagsha' })
+  })
+
+  it('should list commits up to the tag through the client', async () => {
+    mockGitHubClient.listCommits.mockResolvedValue([
+      {
+        sha: 'tagsha',
+        commit: { committer: { date: '2024-01-10T10:00:00Z' } }
+      },
+      { sha: 'c1', commit: { committer: { date: '2024-01-10T06:00:00Z' } } }
+    ])
+
+    const result = await collector.calculateCycleTime(dateRange)
+
+    expect(mockGitHubClient.listCommits).toHaveBeenCalledWith('tagsha')
+    expect(mockGitHubClient.getCommit).not.toHaveBeenCalled()
+    // The tag commit itself is excluded from cycle time
+    expect(result.cycle_time.commit_count).toBe(1)
+    expect(result.cycle_time.avg_hours).toBe(6)
+  })
+
+  it('should fall back to the tag commit when no commits are listed', async () => {
+    mockGitHubClient.listCommits.mockResolvedValue([])
+    mockGitHubClient.getCommit.mockResolvedValue({
+      sha: 'tagsha',
+      commit: { committer: { date: '2024-01-10T10:00:00Z' } }
+    })
+
+    await collector.calculateCycleTime(dateRange)
+
+    expect(mockGitHubClient.getCommit).toHaveBeenCalledWith('tagsha')
+  })
+})
+
+describe('TeamMetricsCollector workflow deployments', () => {
+  let collector
+  const dateRange = {
+    start: '2024-01-07T00:00:00Z',
+    end: '2024-01-14T00:00:00Z'
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    collector = new TeamMetricsCollector(mockGitHubClient, {
+      deploymentSource: 'workflow',
+      deployWorkflow: 'deploy.yml',
+      deployBranch: 'main'
+    })
+    mockGitHubClient.listSuccessfulWorkflowRuns.mockResolvedValue([
+      {
+        name: 'deploy.yml#3',
+        sha: 'run3sha',
+        created_at: '2024-01-10T12:00:00Z'
+      },
+      {
+        name: 'deploy.yml#2',
+        sha: 'run2sha',
+        created_at: '2024-01-08T00:00:00Z'
+      },
+      {
+        name: 'deploy.yml#1',
+        sha: 'run1sha',
+        created_at: '2024-01-01T00:00:00Z'
+      }
+    ])
+  })
+
+  it('should calculate cycle time between consecutive runs', async () => {
+    mockGitHubClient.compareCommits.mockImplementation((base, head) => ({
+      commits:
+        head === 'run3sha'
+          ? [
+              {
+                sha: 'c1',
+                commit: { committer: { date: '2024-01-10T00:00:00Z' } }
+              },
+              {
+                sha: 'run3sha',
+                commit: { committer: { date: '2024-01-10T11:00:00Z' } }
+              }
+            ]
+          : [
+              {
+                sha: 'c0',
+                commit: { committer: { date: '2024-01-07T00:00:00Z' } }
+              }
+            ]
+    }))
+
+    const result = await collector.calculateCycleTime(dateRange)
+
+    expect(mockGitHubClient.compareCommits).toHaveBeenCalledWith(
+      'run2sha',
+      'run3sha'
+    )
+    expect(mockGitHubClient.compareCommits).toHaveBeenCalledWith(
+      'run1sha',
+      'run2sha'
+    )
+    expect(result.cycle_time).toMatchObject({
+      avg_hours: 18,
+      median_hours: 18,
+      commit_count: 2,
+      oldest_hours: 24,
+      newest_hours: 12
+    })
+  })
+
+  it('should count runs in the period as deployments', async () => {
+    const result = await collector.calculateDeployFrequency(dateRange)
+
+    expect(result.deploy_count).toBe(2)
+    expect(result.deploy_frequency_days).toBe(2)
+  })
+  it('should correlate incidents with runs instead of releases', async () => {
+    mockGitHubClient.listIncidentIssues.mockResolvedValue([
+      {
+        number: 1,
+        title: 'Outage',
+        created_at: '2024-01-09T00:00:00Z',
+        closed_at: '2024-01-10T12:00:00Z'
+      }
+    ])
+
+    const result = await collector.calculateTimeToRestore(dateRange)
+
+    expect(mockGitHubClient.listReleases).not.toHaveBeenCalled()
+    expect(result.incidents[0].restored_by).toBe('deploy.yml#3')
+  })
+
+  it('should fetch the runs once for all DORA metrics', async () => {
+    mockGitHubClient.getPullRequestsByDateRange.mockResolvedValue([
+      {
+        number: 1,
+        created_at: '2024-01-08T00:00:00Z',
+        merged_at: null,
+        state: 'open',
+        user: { login: 'dev' },
+        labels: []
+      }
+    ])
+    mockGitHubClient.getPullRequestTimeline.mockResolvedValue([])
+    mockGitHubClient.getPullRequestReviews.mockResolvedValue([])
+    mockGitHubClient.listIncidentIssues.mockResolvedValue([])
+    mockGitHubClient.compareCommits.mockResolvedValue({ commits: [] })
+
+    const result = await collector.collectMetrics()
+
+    expect(result.error).toBeUndefined()
+    expect(mockGitHubClient.listSuccessfulWorkflowRuns).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('TeamMetricsCollector statistics', () => {
+  let collector
+
+  beforeEach(() => {
+    collector = new TeamMetricsCollector(mockGitHubClient)
+  })
+
+  it('should report percentiles for PR durations', () => {
+    const prMetrics = [1, 2, 3, 4, 40].map((hours) => ({
+      author: 'dev',
+      merged: true,
+      pickup_time_hours: hours,
+      approve_time_hours: null,
+      merge_time_hours: null,
+      pr_size: 's'
+    }))
+
+    const stats = collector.calculateAggregateStats(prMetrics)
+
+    expect(stats.pickup_time.average_hours).toBe(10)
+    expect(stats.pickup_time.median_hours).toBe(3)
+    expect(stats.pickup_time.statistics).toEqual({
+      min: 1,
+      max: 40,
+      mean: 10,
+      median: 3,
+      p75: 4,
+      p90: 25.6,
+      p95: 32.8,
+      stddev: 15.03
+    })
+    expect(stats.approve_time.median_hours).toBeNull()
+  })
+
+  it('should show the median next to the mean in the report', () => {
+    const metrics = collector.calculateAggregateStats([
+      {
+        author: 'dev',
+        merged: true,
+        pickup_time_hours: 2,
+        approve_time_hours: 4,
+        merge_time_hours: 6,
+        pr_size: 's'
+      }
+    ])
+
+    const report = collector.generateMarkdownReport({
+      period: 'weekly',
+      date_range: { start: '2024-01-01', end: '2024-01-08' },
+      total_prs: 1,
+      metrics
+    })
+
+    expect(report).toContain('**Median:** 2h &nbsp;|&nbsp; **P90:** 2h')
+  })
+})
+
+describe('TeamMetricsCollector business hours', () => {
+  it('should measure PR durations in working time', () => {
+    const collector = new TeamMetricsCollector(mockGitHubClient, {
+      calendar: new WorkingCalendar()
+    })
+
+    // Friday 16:00 UTC to Monday 10:00 UTC
+    const pickup = collector.calculatePickupTime(
+      new Date('2024-01-05T16:00:00Z'),
+      [],
+      [{ submitted_at: '2024-01-08T10:00:00Z', user: { type: 'User' } }]
+    )
+
+    expect(pickup).toBe(2)
+  })
+
+  it('should state the duration mode in the report', () => {
+    const collector = new TeamMetricsCollector(mockGitHubClient)
+    const report = collector.generateMarkdownReport({
+      period: 'weekly',
+      date_range: { start: '2024-01-01', end: '2024-01-08' },
+      total_prs: 0,
+      duration_mode: new WorkingCalendar().getMode(),
+      metrics: collector.calculateAggregateStats([])
+    })
+
+    expect(report).toContain(
+      '**Durations:** Business hours (Mon, Tue, Wed, Thu, Fri 09:00-17:00 UTC)'
+    )
+  })
+})
+
+describe('TeamMetricsCollector rating thresholds', () => {
+  it('should rate with the configured thresholds', () => {
+    const collector = new TeamMetricsCollector(mockGitHubClient, {
+      ratings: new RatingEngine({
+        ratings: { pickup_time: { elite: 8, good: 12, fair: 24 } }
+      })
+    })
+
+    expect(collector.ratePickupTime(7)).toBe('Elite')
+    expect(collector.rateMergeTime(7)).toBe('Fair')
+    expect(collector.getRatingEmoji('Elite')).toBe('⭐')
+  })
+})
+
+describe('TeamMetricsCollector size labels', () => {
+  it('should read sizes from labels with the configured prefix', () => {
+    const collector = new TeamMetricsCollector(mockGitHubClient, {
+      labelPrefix: 'pr-size:'
+    })
+
+    expect(
+      collector.getPRSizeFromLabels([{ name: 'bug' }, { name: 'PR-Size:L' }])
+    ).toBe('l')
+    expect(collector.getPRSizeFromLabels([{ name: 'size/m' }])).toBeNull()
+  })
+
+  it('should skip prefixed labels that are not sizes', () => {
+    const collector = new TeamMetricsCollector(mockGitHubClient)
+
+    expect(
+      collector.getPRSizeFromLabels([
+        { name: 'size/exempt' },
+        { name: 'size/xs' }
+      ])
+    ).toBe('xs')
+    expect(collector.getPRSizeFromLabels([{ name: 'size/exempt' }])).toBeNull()
+  })
+})
+
+describe('TeamMetricsCollector truncated PR listings', () => {
+  const pr = {
+    number: 12,
+    created_at: '2024-01-01T10:00:00Z',
+    merged_at: '2024-01-02T10:00:00Z',
+    state: 'closed',
+    user: { login: 'dev' },
+    labels: []
+  }
+
+  it('should flag a PR whose reviews reach the listing limit', async () => {
+    mockGitHubClient.getPullRequestTimeline.mockResolvedValueOnce([])
+    mockGitHubClient.getPullRequestReviews.mockResolvedValueOnce(
+      Array.from({ length: 1000 }, () => ({
+        state: 'COMMENTED',
+        submitted_at: '2024-01-01T12:00:00Z',
+        user: { type: 'User' }
+      }))
+    )
+    const collector = new TeamMetricsCollector(mockGitHubClient)
+
+    const metrics = await collector.calculatePRMetrics(pr)
+
+    expect(metrics.truncated).toBe(true)
+    expect(mockCore.warning).toHaveBeenCalledWith(
+      expect.stringContaining('PR #12 has more timeline events or reviews')
+    )
+  })
+
+  it('should not flag a PR with complete listings', async () => {
+    mockGitHubClient.getPullRequestTimeline.mockResolvedValueOnce([])
+    mockGitHubClient.getPullRequestReviews.mockResolvedValueOnce([
+      {
+        state: 'APPROVED',
+        submitted_at: '2024-01-01T12:00:00Z',
+        user: { type: 'User' }
+      }
+    ])
+    const collector = new TeamMetricsCollector(mockGitHubClient)
+
+    const metrics = await collector.calculatePRMetrics(pr)
+
+    expect(metrics.truncated).toBe(false)
+    expect(mockCore.warning).not.toHaveBeenCalled()
+  })
+
+  it('should list truncated PRs in the report', () => {
+    const collector = new TeamMetricsCollector(mockGitHubClient)
+    const report = collector.generateMarkdownReport({
+      period: 'weekly',
+      date_range: { start: '2024-01-01', end: '2024-01-08' },
+      total_prs: 2,
+      truncated_prs: [12, 15],
+      metrics: collector.calculateAggregateStats([])
+    })
+
+    expect(report).toContain(
+      '**Truncated:** review timings of #12, #15 may be incomplete'
+    )
+  })
+})
+
+describe('TeamMetricsCollector PR concurrency', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('should keep PR order and bound the requests in flight', async () => {
+    const collector = new TeamMetricsCollector(mockGitHubClient, {
+      concurrency: 2
+    })
+    const calculateAggregateStats = jest.spyOn(
+      collector,
+      'calculateAggregateStats'
+    )
+    mockGitHubClient.getPullRequestsByDateRange.mockResolvedValue(
+      [1, 2, 3, 4, 5, 6].map((number) => ({
+        number,
+        created_at: new Date().toISOString(),
+        state: 'open',
+        user: { login: `dev${number}` },
+        labels: []
+      }))
+    )
+    let inFlight = 0
+    let maxInFlight = 0
+    mockGitHubClient.getPullRequestTimeline.mockImplementation(
+      async (number) => {
+        inFlight++
+        maxInFlight = Math.max(maxInFlight, inFlight)
+        // Later PRs answer first
+        await new Promise((resolve) => setTimeout(resolve, 14 - number * 2))
+        inFlight--
+        return []
+      }
+    )
+    mockGitHubClient.getPullRequestReviews.mockResolvedValue([])
+    mockGitHubClient.getReleasesByDateRange.mockResolvedValue([])
+    mockGitHubClient.listReleases.mockResolvedValue([])
+    mockGitHubClient.listIncidentIssues.mockResolvedValue([])
+
+    const result = await collector.collectMetrics()
+
+    expect(result.analyzed_prs).toBe(6)
+    expect(maxInFlight).toBe(2)
+    expect(
+      calculateAggregateStats.mock.calls[0][0].map((m) => m.pr_number)
+    ).toEqual([1, 2, 3, 4, 5, 6])
+  })
+})
+
+describe('TeamMetricsCollector cycle time concurrency', () => {
+  const dateRange = {
+    start: '2024-01-07T00:00:00Z',
+    end: '2024-01-15T00:00:00Z'
+  }
+  let inFlight
+  let maxInFlight
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    inFlight = 0
+    maxInFlight = 0
+    // Each deployment ships one commit made `n` hours before it; later
+    // deployments answer first
+    mockGitHubClient.compareCommits.mockImplementation(async (base, head) => {
+      const n = Number(head.slice(1))
+      inFlight++
+      maxInFlight = Math.max(maxInFlight, inFlight)
+      await new Promise((resolve) => setTimeout(resolve, 10 - n * 2))
+      inFlight--
+      return {
+        commits: [
+          {
+            sha: `c${n}`,
+            commit: {
+              committer: {
+                date: new Date(
+                  Date.parse(`2024-01-1${n}T12:00:00Z`) - n * 3600000
+                ).toISOString()
+              }
+            }
+          }
+        ]
+      }
+    })
+  })
+
+  it('should keep release order and bound the requests in flight', async () => {
+    const collector = new TeamMetricsCollector(mockGitHubClient, {
+      concurrency: 2
+    })
+    const summarizeCycleTimes = jest.spyOn(collector, 'summarizeCycleTimes')
+    const releases = [4, 3, 2, 1].map((n) => ({
+      tag_name: `v${n}`,
+      created_at: `2024-01-1${n}T12:00:00Z`
+    }))
+    mockGitHubClient.getReleasesByDateRange.mockResolvedValue(
+      releases.slice(0, 3)
+    )
+    mockGitHubClient.listReleases.mockResolvedValue(releases)
+    mockGitHubClient.resolveTag.mockImplementation(async (tag) => ({
+      sha: `s${tag.slice(1)}`
+    }))
+
+    await collector.calculateCycleTime(dateRange)
+
+    expect(maxInFlight).toBe(2)
+    expect(summarizeCycleTimes).toHaveBeenCalledWith([4, 3, 2])
+  })
+
+  it('should keep deployment record order and bound the requests in flight', async () => {
+    const collector = new TeamMetricsCollector(mockGitHubClient, {
+      concurrency: 2,
+      deploymentSource: 'workflow'
+    })
+    const summarizeCycleTimes = jest.spyOn(collector, 'summarizeCycleTimes')
+    const records = [4, 3, 2, 1].map((n) => ({
+      sha: `s${n}`,
+      created_at: `2024-01-1${n}T12:00:00Z`
+    }))
+
+    await collector.calculateCycleTime(dateRange, records)
+
+    expect(maxInFlight).toBe(2)
+    expect(summarizeCycleTimes).toHaveBeenCalledWith([4, 3, 2])
+  })
+})
+
+describe('TeamMetricsCollector GraphQL data source', () => {
+  it('should use review activity fetched with the PR', async () => {
+    const collector = new TeamMetricsCollector(mockGitHubClient)
+
+    const metrics = await collector.calculatePRMetrics({
+      number: 5,
+      created_at: '2024-01-01T08:00:00Z',
+      merged_at: '2024-01-01T14:00:00Z',
+      state: 'closed',
+      user: { login: 'dev' },
+      labels: [{ name: 'size/s' }],
+      timeline: [],
+      reviews: [
+        {
+          state: 'APPROVED',
+          submitted_at: '2024-01-01T10:00:00Z',
+          user: { type: 'User' }
+        }
+      ],
+      activity_truncated: true
+    })
+
+    expect(mockGitHubClient.getPullRequestTimeline).not.toHaveBeenCalled()
+    expect(mockGitHubClient.getPullRequestReviews).not.toHaveBeenCalled()
+    expect(metrics).toMatchObject({
+      pickup_time_hours: 2,
+      merge_time_hours: 4,
+      pr_size: 's',
+      truncated: true
+    })
+  })
+})
@@ -9,8 +9,20 @@ import {
   daysBetween,
   formatHoursToDays,
   validatePositiveInteger,
+  validateNonNegativeInteger,
   validateBoolean,
-  sanitizeFilePath
+  validateOneOf,
+  validateDate,
+  sanitizeFilePath,
+  parseSemver,
+  isPatchBump,
+  compareSemver,
+  filterTags,
+  percentile,
+  calculateStatistics,
+  summarizeIncidents,
+  getReadyForReviewTime,
+  mapWithConcurrency
 } from '../src/utils.js'
 
 describe('utils', () => {
@@ -39,6 +51,11 @@ describe('utils', () => {
       const earlier = new Date('2023-01-01T12:00:00Z')
       expect(hoursBetween(later, earlier)).toBe(-2)
     })
+
+    it('should delegate to a working calendar when given', () => {
+      const calendar = { hoursBetween: () => 5 }
+      expect(hoursBetween('2023-01-02', '2023-01-01', calendar)).toBe(5)
+    })
   })
 
   describe('daysBetween', () => {
@@ -91,6 +108,22 @@ describe('utils', () => {
     })
   })
 
+  describe('validateNonNegativeInteger', () => {
+    it('should accept zero and positive integers', () => {
+      expect(validateNonNegativeInteger('0', 'test')).toBe(0)
+      expect(validateNonNegativeInteger('15', 'test')).toBe(15)
+    })
+
+    it('should throw error for negative or non-numeric values', () => {
+      expect(() => validateNonNegativeInteger('-1', 'test')).toThrow(
+        'test must be a non-negative integer, got: -1'
+      )
+      expect(() => validateNonNegativeInteger('abc', 'test')).toThrow(
+        'test must be a non-negative integer, got: abc'
+      )
+    })
+  })
+
   describe('validateBoolean', () => {
     it('should validate true/false strings', () => {
       expect(validateBoolean('true', 'test')).toBe(true)
@@ -106,6 +139,32 @@ describe('utils', () => {
     })
   })
 
+  describe('validateOneOf', () => {
+    it('should accept allowed values', () => {
+      expect(validateOneOf('tags', ['auto', 'tags'], 'test')).toBe('tags')
+    })
+
+    it('should throw error for values outside the allowed set', () => {
+      expect(() => validateOneOf('nope', ['auto', 'tags'], 'test')).toThrow(
+        'test must be one of auto, tags, got: nope'
+      )
+    })
+  })
+
+  describe('validateDate', () => {
+    it('should return the date as an ISO string', () => {
+      expect(validateDate('2024-01-01', 'since')).toBe(
+        '2024-01-01T00:00:00.000Z'
+      )
+    })
+
+    it('should throw for invalid dates', () => {
+      expect(() => validateDate('last week', 'since')).toThrow(
+        'since must be a valid date, got: last week'
+      )
+    })
+  })
+
   describe('sanitizeFilePath', () => {
     it('should allow normal file paths', () => {
       expect(sanitizeFilePath('metrics/file.json')).toBe('metrics/file.json')
@@ -123,4 +182,226 @@ describe('utils', () => {
       )
     })
   })
+
+  describe('parseSemver', () => {
+    it('should parse versions with prefixes', () => {
+      expect(parseSemver('v1.2.3')).toEqual({
+        major: 1,
+        minor: 2,
+        patch: 3,
+        prerelease: null
+      })
+      expect(parseSemver('api/v10.0.1-rc.1')).toEqual({
+        major: 10,
+        minor: 0,
+        patch: 1,
+        prerelease: 'rc.1'
+      })
+    })
+
+    it('should return null for non-semver tags', () => {
+      expect(parseSemver('release-2023')).toBeNull()
+      expect(parseSemver(undefined)).toBeNull()
+    })
+  })
+
+  describe('isPatchBump', () => {
+    it('should detect patch-only bumps', () => {
+      expect(isPatchBump('v1.2.4', 'v1.2.3')).toBe(true)
+      expect(isPatchBump('v1.3.0', 'v1.2.3')).toBe(false)
+      expect(isPatchBump('v1.2.3', 'latest')).toBe(false)
+    })
+  })
+
+  describe('compareSemver', () => {
+    it('should order by version and put prereleases first', () => {
+      expect(compareSemver('v1.10.0', 'v1.9.0')).toBeGreaterThan(0)
+      expect(compareSemver('v2.0.0-rc.1', 'v2.0.0')).toBeLessThan(0)
+      expect(compareSemver('v2.0.0-rc.2', 'v2.0.0-rc.10')).toBeLessThan(0)
+      expect(compareSemver('api/v1.0.0', 'web/v1.0.0')).toBe(0)
+    })
+  })
+
+  describe('filterTags', () => {
+    const tags = [
+      { name: 'web/v4.0.0' },
+      { name: 'api/v1.2.0' },
+      { name: 'api/v1.10.0-beta.1' },
+      { name: 'api/latest' },
+      { name: 'api/v1.9.0' }
+    ]
+    const getTag = (tag) => tag.name
+
+    it('should return all items without filters', () => {
+      expect(filterTags(tags, getTag)).toEqual(tags)
+    })
+
+    it('should filter by prefix and pattern', () => {
+      expect(
+        filterTags(tags, getTag, { tagPrefix: 'api/' }).map(getTag)
+      ).toEqual([
+        'api/v1.2.0',
+        'api/v1.10.0-beta.1',
+        'api/latest',
+        'api/v1.9.0'
+      ])
+      expect(
+        filterTags(tags, getTag, { tagPattern: '^web/' }).map(getTag)
+      ).toEqual(['web/v4.0.0'])
+    })
+
+    it('should sort by semver and drop prereleases', () => {
+      expect(
+        filterTags(tags, getTag, {
+          tagPrefix: 'api/',
+          semverSort: true,
+          excludePrereleases: true
+        }).map(getTag)
+      ).toEqual(['api/v1.9.0', 'api/v1.2.0'])
+    })
+
+    it('should honour the release prerelease flag', () => {
+      const releases = [
+        { tag_name: 'v1.0.0', prerelease: true },
+        { tag_name: 'v0.9.0' }
+      ]
+      expect(
+        filterTags(releases, (r) => r.tag_name, { excludePrereleases: true })
+      ).toEqual([{ tag_name: 'v0.9.0' }])
+    })
+  })
+
+  describe('percentile', () => {
+    it('should interpolate between closest ranks', () => {
+      expect(percentile([1, 2, 3, 4], 50)).toBe(2.5)
+      expect(percentile([10, 1, 5], 50)).toBe(5)
+      expect(percentile([1, 2, 3, 4, 5], 90)).toBeCloseTo(4.6)
+    })
+
+    it('should return null for empty input', () => {
+      expect(percentile([], 50)).toBeNull()
+    })
+  })
+
+  describe('calculateStatistics', () => {
+    it('should describe the distribution of values', () => {
+      expect(calculateStatistics([2, 4, 4, 4, 5, 5, 7, 9])).toEqual({
+        min: 2,
+        max: 9,
+        mean: 5,
+        median: 4.5,
+        p75: 5.5,
+        p90: 7.6,
+        p95: 8.3,
+        stddev: 2
+      })
+    })
+
+    it('should return nulls for empty input', () => {
+      expect(calculateStatistics([])).toEqual({
+        min: null,
+        max: null,
+        mean: null,
+        median: null,
+        p75: null,
+        p90: null,
+        p95: null,
+        stddev: null
+      })
+    })
+  })
+
+  describe('summarizeIncidents', () => {
+    it('should compute restore statistics and correlate deployments', () => {
+      const result = summarizeIncidents(
+        [
+          {
+            number: 1,
+            title: 'Outage',
+            created_at: '2023-01-01T00:00:00Z',
+            closed_at: '2023-01-01T06:00:00Z'
+          },
+          {
+            number: 2,
+            title: 'Still open',
+            created_at: '2023-01-05T00:00:00Z',
+            closed_at: null
+          }
+        ],
+        [
+          { tag: 'v1.0.1', created_at: '2023-01-01T05:00:00Z' },
+          { tag: 'v1.0.0', created_at: '2022-12-31T00:00:00Z' }
+        ]
+      )
+
+      expect(result.mean_hours).toBe(6)
+      expect(result.incident_count).toBe(2)
+      expect(result.resolved_count).toBe(1)
+      expect(result.incidents[0].restored_by).toBe('v1.0.1')
+      expect(result.incidents[1].restore_hours).toBeNull()
+      expect(result.incidents[1].restored_by).toBeNull()
+    })
+
+    it('should return null statistics without incidents', () => {
+      const result = summarizeIncidents([])
+
+      expect(result.mean_hours).toBeNull()
+      expect(result.p90_hours).toBeNull()
+      expect(result.incidents).toEqual([])
+    })
+  })
+
+  describe('getReadyForReviewTime', () => {
+    const createdAt = new Date('2024-01-01T10:00:00Z')
+
+    it('should return creation time when there is no ready event', () => {
+      expect(getReadyForReviewTime(createdAt, [])).toEqual(createdAt)
+      expect(getReadyForReviewTime(createdAt, null)).toEqual(createdAt)
+    })
+
+    it('should return the ready_for_review event time', () => {
+      const readyTime = new Date('2024-01-02T10:00:00Z')
+      const timeline = [
+        { event: 'committed', sha: 'abc' },
+        { event: 'ready_for_review', created_at: readyTime.toISOString() }
+      ]
+
+      expect(getReadyForReviewTime(createdAt, timeline)).toEqual(readyTime)
+    })
+  })
+
+  describe('mapWithConcurrency', () => {
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+    it('should keep results in item order', async () => {
+      const results = await mapWithConcurrency(
+        [30, 5, 20, 1],
+        2,
+        async (ms, index) => {
+          await wait(ms)
+          return index
+        }
+      )
+
+      expect(results).toEqual([0, 1, 2, 3])
+    })
+
+    it('should run at most the limit at once', async () => {
+      let running = 0
+      let maxRunning = 0
+
+      await mapWithConcurrency([1, 2, 3, 4, 5, 6], 3, async () => {
+        running++
+        maxRunning = Math.max(maxRunning, running)
+        await wait(5)
+        running--
+      })
+
+      expect(maxRunning).toBe(3)
+    })
+
+    it('should handle no items', async () => {
+      expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([])
+    })
+  })
 })
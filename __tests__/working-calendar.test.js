@@ -0,0 +1,162 @@
+/**
+ * Unit tests for the working calendar
+ */
+
+import { jest, describe, it, expect, afterEach } from '@jest/globals'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import {
+  WorkingCalendar,
+  getDurationMode,
+  formatDurationMode,
+  parseWorkingDays,
+  parseWorkingHours,
+  loadHolidays
+} from '../src/working-calendar.js'
+
+describe('WorkingCalendar', () => {
+  describe('hoursBetween', () => {
+    it('should only count working hours', () => {
+      const calendar = new WorkingCalendar()
+
+      expect(
+        calendar.hoursBetween('2024-01-02T17:00:00Z', '2024-01-01T09:00:00Z')
+      ).toBe(16)
+      expect(
+        calendar.hoursBetween('2024-01-01T20:00:00Z', '2024-01-01T18:00:00Z')
+      ).toBe(0)
+    })
+
+    it('should skip weekends in the calendar timezone', () => {
+      const calendar = new WorkingCalendar({ timezone: 'Europe/Berlin' })
+
+      // Friday 16:00 to Monday 10:00 Berlin time
+      expect(
+        calendar.hoursBetween('2024-01-08T09:00:00Z', '2024-01-05T15:00:00Z')
+      ).toBe(2)
+    })
+
+    it('should honour daylight saving time changes', () => {
+      const calendar = new WorkingCalendar({ timezone: 'Europe/Berlin' })
+
+      // Friday before the switch to CEST until Monday 10:00 CEST
+      expect(
+        calendar.hoursBetween('2024-04-01T08:00:00Z', '2024-03-29T00:00:00Z')
+      ).toBe(9)
+    })
+
+    it('should skip holidays', () => {
+      const calendar = new WorkingCalendar({
+        timezone: 'America/New_York',
+        holidays: ['2024-01-01']
+      })
+
+      expect(
+        calendar.hoursBetween('2024-01-03T00:00:00Z', '2023-12-29T00:00:00Z')
+      ).toBe(16)
+    })
+
+    it('should count long spans without walking every day', () => {
+      const calendar = new WorkingCalendar({
+        holidays: ['2024-12-25', '2025-12-25', '2026-12-26']
+      })
+      const getLocalParts = jest.spyOn(calendar, 'getLocalParts')
+
+      // 2607 working days, as the 2026 holiday falls on a Saturday
+      expect(
+        calendar.hoursBetween('2030-01-01T00:00:00Z', '2020-01-01T00:00:00Z')
+      ).toBe(20856)
+      expect(getLocalParts.mock.calls.length).toBeLessThan(20)
+    })
+
+    it('should return negative hours for reversed dates', () => {
+      const calendar = new WorkingCalendar()
+
+      expect(
+        calendar.hoursBetween('2024-01-01T09:00:00Z', '2024-01-01T11:00:00Z')
+      ).toBe(-2)
+    })
+  })
+
+  describe('getDurationMode', () => {
+    it('should describe wall-clock mode without a calendar', () => {
+      expect(getDurationMode(null)).toEqual({ type: 'wall_clock' })
+      expect(formatDurationMode(getDurationMode(null))).toBe(
+        'Wall clock (24/7)'
+      )
+    })
+
+    it('should describe the business hours calendar', () => {
+      const mode = getDurationMode(
+        new WorkingCalendar({
+          timezone: 'Europe/Berlin',
+          workingHours: { start: 8 * 60 + 30, end: 17 * 60 },
+          holidays: ['2024-12-25']
+        })
+      )
+
+      expect(mode).toEqual({
+        type: 'business_hours',
+        timezone: 'Europe/Berlin',
+        working_days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+        working_hours: '08:30-17:00',
+        holidays: 1
+      })
+      expect(formatDurationMode(mode)).toBe(
+        'Business hours (Mon, Tue, Wed, Thu, Fri 08:30-17:00 Europe/Berlin, 1 holidays)'
+      )
+    })
+  })
+})
+
+describe('parseWorkingDays', () => {
+  it('should parse day names', () => {
+    expect(parseWorkingDays('Sun, mon,Tuesday')).toEqual([0, 1, 2])
+  })
+
+  it('should reject unknown days', () => {
+    expect(() => parseWorkingDays('mon,funday')).toThrow(
+      'working-days must be a list of weekdays (mon-sun), got: mon,funday'
+    )
+  })
+})
+
+describe('parseWorkingHours', () => {
+  it('should parse a range into minutes', () => {
+    expect(parseWorkingHours('08:30-17:00')).toEqual({ start: 510, end: 1020 })
+  })
+
+  it('should reject malformed or empty ranges', () => {
+    expect(() => parseWorkingHours('9-5')).toThrow(
+      'working-hours must look like 09:00-17:00, got: 9-5'
+    )
+    expect(() => parseWorkingHours('17:00-09:00')).toThrow()
+  })
+})
+
+describe('loadHolidays', () => {
+  let dir
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('should read dates and ignore comments', () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'holidays-'))
+    const file = path.join(dir, 'holidays.txt')
+    fs.writeFileSync(file, '# 2024\n2024-12-25\n\n- 2024-12-26 # Boxing Day\n')
+
+    expect(loadHolidays(file)).toEqual(['2024-12-25', '2024-12-26'])
+  })
+
+  it('should reject invalid dates', () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'holidays-'))
+    const file = path.join(dir, 'holidays.txt')
+    fs.writeFileSync(file, 'Christmas\n')
+
+    expect(() => loadHolidays(file)).toThrow(
+      `Invalid holiday date in ${file}: Christmas`
+    )
+  })
+})
@@ -0,0 +1,53 @@
+/**
+ * Deployment records shared by the DORA and team metrics collectors
+ *
+ * With the `deployments` and `workflow` sources, each successful deployment
+ * or workflow run is read as a record with its SHA and completion time, rather
+ * than resolved from a release or tag.
+ */
+
+// Sources whose deployments are read as records
+export const DEPLOYMENT_RECORD_SOURCES = ['deployments', 'workflow']
+
+/**
+ * List successful deployment records (deployments or workflow runs), newest first
+ * @param {GitHubClient} githubClient - GitHub API client
+ * @param {Object} options - Collector options (deploymentSource, environment,
+ *   deployWorkflow, deployBranch and maxDeployments)
+ * @returns {Promise<Array>} Array of records with sha, ref and created_at
+ */
+export function listDeploymentRecords(githubClient, options) {
+  if (options.deploymentSource === 'workflow') {
+    return githubClient.listSuccessfulWorkflowRuns(
+      options.deployWorkflow,
+      options.deployBranch,
+      options.maxDeployments
+    )
+  }
+
+  return githubClient.listSuccessfulDeployments(
+    options.environment,
+    options.maxDeployments
+  )
+}
+
+/**
+ * Convert a deployment record into the latest/previous reference shape
+ * The record's ref is usually a branch shared by every deployment, so the
+ * per-deployment name is used as its tag
+ * @param {Object} record - Successful deployment or workflow run
+ * @param {string} environment - Environment to name deployments without one
+ * @returns {Object} Deployment reference with name, tag, sha and created_at
+ */
+export function toDeploymentRef(record, environment) {
+  const name =
+    record.name ||
+    `${record.environment || environment}@${record.sha.substring(0, 7)}`
+
+  return {
+    name,
+    tag: name,
+    sha: record.sha,
+    created_at: record.created_at
+  }
+}
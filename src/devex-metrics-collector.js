@@ -1,6 +1,22 @@
 import * as core from '@actions/core'
 import * as github from '@actions/github'
-import { GitHubClient } from './github-client.js'
+import { GitHubClient, MAX_PR_FILES, MAX_PR_COMMITS } from './github-client.js'
+import { RatingEngine, PR_SIZES } from './ratings.js'
+import { getReadyForReviewTime } from './utils.js'
+import {
+  createIgnoreMatcher,
+  parseGeneratedAttributes
+} from './ignore-patterns.js'
+
+// Hidden marker identifying the comment posted by this action, so later runs
+// can find it again
+const COMMENT_MARKER = '<!-- agile-metrics-action:devex -->'
+
+// Name of the check run the DevEx report is published to
+const CHECK_RUN_NAME = 'Agile Metrics: PR Size'
+
+// Number of files that get a check run annotation
+const MAX_ANNOTATED_FILES = 5
 
 /**
  * DevEx metrics collection class - independent from DORA metrics
@@ -17,12 +33,24 @@ export class DevExMetricsCollector {
       filesToIgnore: [],
       ignoreLineDeletions: false,
       ignoreFileDeletions: false,
+      ignoreGeneratedFiles: false,
+      ratings: new RatingEngine(),
+      commentMode: 'update', // update, recreate
+      labelPrefix: 'size/',
+      maxPRSize: null, // Largest allowed size category, null for no budget
+      minPRMaturity: null, // Lowest allowed maturity percentage, null for no budget
+      exemptLabel: 'size/exempt',
+      gracePeriodMinutes: 5, // Commits this soon after publication still count as published
+      commitTimestamp: 'timeline', // author, committer, timeline
       enabledMetrics: {
         prSize: true,
         prMaturity: true
       },
       ...options
     }
+    this.ignoreMatcher = createIgnoreMatcher(this.options.filesToIgnore)
+    this.generatedMatcher = null
+    this.pullRequestData = new Map()
   }
 
   /**
@@ -95,7 +123,7 @@ export class DevExMetricsCollector {
    */
   async calculatePRSize(prNumber) {
     try {
-      const prDetails = await this.githubClient.getPullRequest(prNumber)
+      const prDetails = await this.getPullRequest(prNumber)
 
       // Skip calculation for draft PRs
       if (prDetails?.draft) {
@@ -114,12 +142,13 @@ export class DevExMetricsCollector {
         }
       }
 
-      const prFiles = await this.githubClient.getPullRequestFiles(prNumber)
+      await this.loadGeneratedFiles(prDetails)
+      const prFiles = await this.getPullRequestFiles(prNumber)
 
       if (!prFiles || prFiles.length === 0) {
         return {
           size: 'xs',
-          category: 'size/xs',
+          category: `${this.options.labelPrefix}xs`,
           details: {
             total_additions: 0,
             total_deletions: 0,
@@ -137,16 +166,31 @@ export class DevExMetricsCollector {
       const sizeDetails = this.calculateSizeDetails(filteredFiles)
       const sizeCategory = this.categorizePRSize(sizeDetails)
 
+      const ignoredFiles = prFiles.filter(
+        (file) => !filteredFiles.includes(file)
+      )
+      const generatedFiles = ignoredFiles.filter((file) =>
+        this.isGeneratedFile(file)
+      )
+
       return {
         size: sizeCategory,
-        category: `size/${sizeCategory}`,
-        details: sizeDetails
+        category: `${this.options.labelPrefix}${sizeCategory}`,
+        details: {
+          ...sizeDetails,
+          ...this.getTruncation(prFiles),
+          ignored_files: ignoredFiles.map((file) => file.filename),
+          generated_files: generatedFiles.map((file) => file.filename),
+          generated_lines_skipped:
+            this.calculateSizeDetails(generatedFiles).total_changes,
+          largest_files: this.findLargestFiles(filteredFiles)
+        }
       }
     } catch (error) {
       core.warning(`Failed to calculate PR size: ${error.message}`)
       return {
         size: 'unknown',
-        category: 'size/unknown',
+        category: `${this.options.labelPrefix}unknown`,
         details: {
           error: error.message
         }
@@ -160,34 +204,60 @@ export class DevExMetricsCollector {
    * @returns {Array} Filtered files
    */
   filterFiles(files) {
-    if (!this.options.filesToIgnore.length) {
-      return files
-    }
-
     return files.filter((file) => {
-      // Check if file matches any ignore pattern
-      const shouldIgnore = this.options.filesToIgnore.some((pattern) => {
-        // Convert glob pattern to regex (basic implementation)
-        const regexPattern = pattern.replace(/\*/g, '.*').replace(/\?/g, '.')
-        const regex = new RegExp(`^${regexPattern}$`)
-        return regex.test(file.filename)
-      })
-
-      if (shouldIgnore) {
+      if (this.isIgnoredFile(file)) {
         core.debug(`Ignoring file: ${file.filename}`)
         return false
       }
-
-      // Check if we should ignore deleted files
-      if (this.options.ignoreFileDeletions && file.status === 'removed') {
-        core.debug(`Ignoring deleted file: ${file.filename}`)
-        return false
-      }
-
       return true
     })
   }
 
+  /**
+   * Check whether a file is excluded from size calculations
+   * @param {Object} file - PR file object
+   * @returns {boolean} True if the file matches files-to-ignore, is generated or is an ignored deletion
+   */
+  isIgnoredFile(file) {
+    if (this.ignoreMatcher(file.filename) || this.isGeneratedFile(file)) {
+      return true
+    }
+
+    return this.options.ignoreFileDeletions && file.status === 'removed'
+  }
+
+  /**
+   * Check whether a file is marked as generated or vendored in .gitattributes
+   * @param {Object} file - PR file object
+   * @returns {boolean} True if the file is generated and generated files are ignored
+   */
+  isGeneratedFile(file) {
+    return this.generatedMatcher ? this.generatedMatcher(file.filename) : false
+  }
+
+  /**
+   * Load the generated file patterns from .gitattributes on the PR base ref
+   * Does nothing unless ignoreGeneratedFiles is enabled, and only reads the
+   * file once per collector
+   * @param {Object} prDetails - Pull request details
+   * @returns {Promise<void>}
+   */
+  async loadGeneratedFiles(prDetails) {
+    if (!this.options.ignoreGeneratedFiles || this.generatedMatcher) {
+      return
+    }
+
+    const content = await this.githubClient.getFileContent(
+      '.gitattributes',
+      prDetails?.base?.ref
+    )
+    const patterns = parseGeneratedAttributes(content)
+    core.info(
+      `Loaded ${patterns.length} generated file patterns from .gitattributes`
+    )
+    this.generatedMatcher = createIgnoreMatcher(patterns)
+  }
+
   /**
    * Calculate detailed size metrics from filtered files
    * @param {Array} files - Filtered PR files
@@ -217,19 +287,41 @@ export class DevExMetricsCollector {
     }
   }
 
+  /**
+   * Find the files contributing the most changes
+   * @param {Array} files - Filtered PR files
+   * @returns {Array<Object>} Largest files with their line counts, biggest first
+   */
+  findLargestFiles(files) {
+    return files
+      .map((file) => {
+        const additions = file.additions || 0
+        const deletions = this.options.ignoreLineDeletions
+          ? 0
+          : file.deletions || 0
+        return {
+          filename: file.filename,
+          status: file.status,
+          additions,
+          deletions,
+          changes: additions + deletions
+        }
+      })
+      .filter((file) => file.changes > 0)
+      .sort((a, b) => b.changes - a.changes)
+      .slice(0, MAX_ANNOTATED_FILES)
+  }
+
   /**
    * Categorize PR size based on change metrics
    * @param {Object} sizeDetails - Size details object
-   * @returns {string} Size category (s, m, l, xl)
+   * @returns {string} Size category (xs, s, m, l, xl)
    */
   categorizePRSize(sizeDetails) {
-    const { total_changes } = sizeDetails
-
-    // Define size thresholds based on common PR size conventions
-    if (total_changes < 105) return 's'
-    if (total_changes <= 160) return 'm'
-    if (total_changes <= 240) return 'l'
-    return 'xl'
+    return this.options.ratings.categorizeSize(
+      sizeDetails.total_changes,
+      sizeDetails.files_changed
+    )
   }
 
   /**
@@ -241,7 +333,7 @@ export class DevExMetricsCollector {
     try {
       core.debug(`=== Calculating PR Maturity for PR #${prNumber} ===`)
 
-      const prDetails = await this.githubClient.getPullRequest(prNumber)
+      const prDetails = await this.getPullRequest(prNumber)
       if (!prDetails) {
         core.warning('Could not fetch PR details for maturity calculation')
         return {
@@ -265,7 +357,8 @@ export class DevExMetricsCollector {
         }
       }
 
-      const prCommits = await this.githubClient.getPullRequestCommits(prNumber)
+      await this.loadGeneratedFiles(prDetails)
+      const prCommits = await this.getPullRequestCommits(prNumber)
       core.debug(`Found ${prCommits?.length || 0} commits in PR #${prNumber}`)
 
       if (!prCommits || prCommits.length === 0) {
@@ -279,30 +372,57 @@ export class DevExMetricsCollector {
         }
       }
 
-      // Get PR creation time
+      // The PR is published when it is marked ready for review, or when it
+      // is created if it never was a draft
+      const timeline = await this.githubClient.getPullRequestTimeline(prNumber)
       const prCreatedAt = new Date(prDetails.created_at)
-      core.debug(`PR created at: ${prCreatedAt.toISOString()}`)
+      const publishedAt = getReadyForReviewTime(prCreatedAt, timeline)
+      core.debug(
+        `PR created at: ${prCreatedAt.toISOString()}, published at: ${publishedAt.toISOString()}`
+      )
 
-      // Filter commits that are after PR creation time
+      // The timeline places commits by committer date, which rebases and
+      // amends reset, and force-pushes by when they happened
+      let timestamp = this.options.commitTimestamp
+      let timelineFallback = false
+      if (timestamp === 'timeline') {
+        const timelineMaturity = await this.calculateTimelineMaturity(
+          prNumber,
+          prDetails,
+          prCommits,
+          timeline,
+          publishedAt
+        )
+        if (timelineMaturity) {
+          return timelineMaturity
+        }
+        core.warning(
+          `Head commit of PR #${prNumber} at publication not found in the timeline - PR maturity falls back to author dates`
+        )
+        timestamp = 'author'
+        timelineFallback = true
+      }
+      const gracePeriodMinutes = this.options.gracePeriodMinutes
+      const settings = this.getMaturitySettings(timestamp, timelineFallback)
+
+      // Filter commits that are after PR publication
       const commitsAfterPR = prCommits.filter((commit) => {
-        const commitDate = new Date(commit.commit.author.date)
-        return commitDate > prCreatedAt
+        const commitDate = this.getCommitDate(commit, timestamp)
+        return commitDate > publishedAt
       })
 
-      core.debug(
-        `Found ${commitsAfterPR.length} commits after PR creation time`
-      )
+      core.debug(`Found ${commitsAfterPR.length} commits after PR publication`)
 
-      // If there's only one commit, check if it was pushed within 5 minutes of PR creation
+      // If there's only one commit, check if it was pushed within the grace period of PR publication
       if (prCommits.length === 1) {
-        const commitDate = new Date(prCommits[0].commit.author.date)
-        const timeDiffMinutes = (commitDate - prCreatedAt) / (1000 * 60)
+        const commitDate = this.getCommitDate(prCommits[0], timestamp)
+        const timeDiffMinutes = (commitDate - publishedAt) / (1000 * 60)
 
         core.debug(
-          `Single commit time difference: ${timeDiffMinutes.toFixed(2)} minutes from PR creation`
+          `Single commit time difference: ${timeDiffMinutes.toFixed(2)} minutes from PR publication`
         )
 
-        const prFiles = await this.githubClient.getPullRequestFiles(prNumber)
+        const prFiles = await this.getPullRequestFiles(prNumber)
         const filteredFiles = this.filterFiles(prFiles || [])
         const sizeDetails = this.calculateSizeDetails(filteredFiles)
 
@@ -321,24 +441,29 @@ export class DevExMetricsCollector {
             first_commit_sha: prCommits[0].sha,
             last_commit_sha: prCommits[0].sha,
             pr_created_at: prCreatedAt.toISOString(),
+            published_at: publishedAt.toISOString(),
+            ...settings,
+            ...this.getTruncation(prFiles, prCommits),
             reason: 'Single commit PR'
           }
         }
       }
 
-      // Check if all commits are older than PR creation (or within 5 minutes)
+      // Check if all commits are older than PR publication (or within the grace period)
       const commitsWithinGracePeriod = prCommits.filter((commit) => {
-        const commitDate = new Date(commit.commit.author.date)
-        const timeDiffMinutes = Math.abs(commitDate - prCreatedAt) / (1000 * 60)
-        return timeDiffMinutes <= 5 || commitDate <= prCreatedAt
+        const commitDate = this.getCommitDate(commit, timestamp)
+        const timeDiffMinutes = Math.abs(commitDate - publishedAt) / (1000 * 60)
+        return (
+          timeDiffMinutes <= gracePeriodMinutes || commitDate <= publishedAt
+        )
       })
 
       if (commitsWithinGracePeriod.length === prCommits.length) {
         core.debug(
-          'All commits are within 5 minutes of PR creation or older - 100% maturity'
+          `All commits are within ${gracePeriodMinutes} minutes of PR publication or older - 100% maturity`
         )
 
-        const prFiles = await this.githubClient.getPullRequestFiles(prNumber)
+        const prFiles = await this.getPullRequestFiles(prNumber)
         const filteredFiles = this.filterFiles(prFiles || [])
         const sizeDetails = this.calculateSizeDetails(filteredFiles)
 
@@ -353,22 +478,27 @@ export class DevExMetricsCollector {
             first_commit_sha: prCommits[0].sha,
             last_commit_sha: prCommits[prCommits.length - 1].sha,
             pr_created_at: prCreatedAt.toISOString(),
+            published_at: publishedAt.toISOString(),
+            ...settings,
+            ...this.getTruncation(prFiles, prCommits),
             reason: 'All commits within grace period or pre-existing'
           }
         }
       }
 
-      // Find commits that are meaningfully after PR creation (>5 minutes)
+      // Find commits that are meaningfully after PR publication (past the grace period)
       const significantCommitsAfterPR = prCommits.filter((commit) => {
-        const commitDate = new Date(commit.commit.author.date)
-        const timeDiffMinutes = (commitDate - prCreatedAt) / (1000 * 60)
-        return timeDiffMinutes > 5
+        const commitDate = this.getCommitDate(commit, timestamp)
+        const timeDiffMinutes = (commitDate - publishedAt) / (1000 * 60)
+        return timeDiffMinutes > gracePeriodMinutes
       })
 
       if (significantCommitsAfterPR.length === 0) {
-        core.debug('No significant commits after PR creation - 100% maturity')
+        core.debug(
+          'No significant commits after PR publication - 100% maturity'
+        )
 
-        const prFiles = await this.githubClient.getPullRequestFiles(prNumber)
+        const prFiles = await this.getPullRequestFiles(prNumber)
         const filteredFiles = this.filterFiles(prFiles || [])
         const sizeDetails = this.calculateSizeDetails(filteredFiles)
 
@@ -383,6 +513,9 @@ export class DevExMetricsCollector {
             first_commit_sha: prCommits[0].sha,
             last_commit_sha: prCommits[prCommits.length - 1].sha,
             pr_created_at: prCreatedAt.toISOString(),
+            published_at: publishedAt.toISOString(),
+            ...settings,
+            ...this.getTruncation(prFiles, prCommits),
             reason: 'No significant commits after PR publication'
           }
         }
@@ -397,7 +530,7 @@ export class DevExMetricsCollector {
       )
 
       // Get total PR changes
-      const prFiles = await this.githubClient.getPullRequestFiles(prNumber)
+      const prFiles = await this.getPullRequestFiles(prNumber)
       const filteredFiles = this.filterFiles(prFiles || [])
       const totalPRChanges = this.calculateSizeDetails(filteredFiles)
 
@@ -437,7 +570,8 @@ export class DevExMetricsCollector {
       }
 
       const changesAfterPublication = this.calculateDiffSize(
-        changesAfterPublicationDiff.files || []
+        changesAfterPublicationDiff.files || [],
+        prFiles || []
       )
 
       core.debug(
@@ -473,6 +607,9 @@ export class DevExMetricsCollector {
           baseline_commit_sha: baselineCommit.sha,
           first_significant_commit_sha: firstSignificantCommit.sha,
           pr_created_at: prCreatedAt.toISOString(),
+          published_at: publishedAt.toISOString(),
+          ...settings,
+          ...this.getTruncation(prFiles, prCommits),
           reason: 'Calculated based on meaningful commits after publication'
         }
       }
@@ -489,39 +626,269 @@ export class DevExMetricsCollector {
   }
 
   /**
-   * Calculate the size of changes in a diff
-   * @param {Array} files - Array of file diff objects
-   * @returns {number} Total number of changes
+   * Calculate PR maturity from the PR timeline
+   * Compares the head commit at publication with the final head, so rebased,
+   * amended and force-pushed commits are measured by when they were pushed
+   * rather than by their author dates
+   * @param {number} prNumber - Pull request number
+   * @param {Object} prDetails - Pull request details
+   * @param {Array} prCommits - Commits currently in the PR
+   * @param {Array} timeline - PR timeline events
+   * @param {Date} publishedAt - When the PR was published for review
+   * @returns {Promise<Object|null>} PR maturity metrics, or null if the head at publication is unknown
    */
-  calculateDiffSize(files) {
-    let totalChanges = 0
+  async calculateTimelineMaturity(
+    prNumber,
+    prDetails,
+    prCommits,
+    timeline,
+    publishedAt
+  ) {
+    const cutoff = new Date(
+      publishedAt.getTime() + this.options.gracePeriodMinutes * 60 * 1000
+    )
+    const publicationHead = this.findHeadAtTime(timeline, cutoff)
+    if (!publicationHead) {
+      return null
+    }
 
-    files.forEach((file) => {
-      // Apply the same filtering logic as for PR size
-      if (this.options.filesToIgnore.length > 0) {
-        const shouldIgnore = this.options.filesToIgnore.some((pattern) => {
-          const regexPattern = pattern.replace(/\*/g, '.*').replace(/\?/g, '.')
-          const regex = new RegExp(`^${regexPattern}$`)
-          return regex.test(file.filename)
-        })
-
-        if (shouldIgnore) {
-          return
+    const finalHead = prDetails.head?.sha || prCommits[prCommits.length - 1].sha
+    const forcePushes = (timeline || []).filter(
+      (event) =>
+        event.event === 'head_ref_force_pushed' &&
+        new Date(event.created_at) > cutoff
+    )
+    const pushedCommits = (timeline || []).filter(
+      (event) =>
+        event.event === 'committed' && new Date(event.committer?.date) > cutoff
+    )
+
+    const prFiles = await this.getPullRequestFiles(prNumber)
+    const totalPRChanges = this.calculateSizeDetails(
+      this.filterFiles(prFiles || [])
+    )
+
+    let changesAfterPublication = 0
+    if (publicationHead !== finalHead) {
+      const diff = await this.githubClient.compareCommitsDiff(
+        publicationHead,
+        finalHead
+      )
+      if (!diff) {
+        core.warning('Could not compare commits for maturity calculation')
+        return {
+          maturity_ratio: null,
+          maturity_percentage: null,
+          details: {
+            error: 'Could not compare commits for maturity analysis'
+          }
         }
       }
+      changesAfterPublication = this.calculateDiffSize(
+        diff.files || [],
+        prFiles || []
+      )
+    }
 
-      if (this.options.ignoreFileDeletions && file.status === 'removed') {
-        return
+    const stableChanges = Math.max(
+      0,
+      totalPRChanges.total_changes - changesAfterPublication
+    )
+    const maturityRatio =
+      totalPRChanges.total_changes > 0
+        ? stableChanges / totalPRChanges.total_changes
+        : 1.0
+
+    core.debug(
+      `Timeline maturity: head at publication ${publicationHead}, final head ${finalHead}, ${changesAfterPublication} changes after publication`
+    )
+
+    return {
+      maturity_ratio: Math.round(maturityRatio * 1000) / 1000,
+      maturity_percentage: Math.round(maturityRatio * 100),
+      details: {
+        total_commits: prCommits.length,
+        commits_after_publication: pushedCommits.length,
+        force_pushes_after_publication: forcePushes.length,
+        total_changes: totalPRChanges.total_changes,
+        changes_after_publication: changesAfterPublication,
+        stable_changes: stableChanges,
+        publication_head_sha: publicationHead,
+        final_head_sha: finalHead,
+        pr_created_at: prDetails.created_at,
+        published_at: publishedAt.toISOString(),
+        ...this.getMaturitySettings('timeline'),
+        ...this.getTruncation(prFiles, prCommits),
+        reason:
+          publicationHead === finalHead
+            ? 'No changes pushed after PR publication'
+            : 'Calculated from the PR timeline'
       }
+    }
+  }
 
-      totalChanges += file.additions || 0
+  /**
+   * Find the PR head commit at a point in time from timeline events
+   * `committed` events are placed by committer date, which rebases and amends
+   * update, and `head_ref_force_pushed` events by when the push happened
+   * @param {Array} timeline - PR timeline events
+   * @param {Date} time - Point in time
+   * @returns {string|null} Head commit SHA, or null if no event precedes the time
+   */
+  findHeadAtTime(timeline, time) {
+    let head = null
+    let headTime = null
+
+    for (const event of timeline || []) {
+      let sha = null
+      let eventTime = null
+      if (event.event === 'committed') {
+        sha = event.sha
+        eventTime = new Date(event.committer?.date)
+      } else if (event.event === 'head_ref_force_pushed') {
+        sha = event.commit_id
+        eventTime = new Date(event.created_at)
+      }
 
-      if (!this.options.ignoreLineDeletions) {
-        totalChanges += file.deletions || 0
+      // Later events win ties, as the timeline is in push order
+      if (sha && eventTime <= time && (!headTime || eventTime >= headTime)) {
+        head = sha
+        headTime = eventTime
+      }
+    }
+
+    return head
+  }
+
+  /**
+   * Fetch PR data once per collector
+   * Size, maturity, the label, the budgets and the check run read the same PR
+   * and lists, so each request is only sent the first time
+   * @param {string} key - Cache key naming the data and the PR
+   * @param {Function} fetch - Fetches the data
+   * @returns {Promise<*>} Fetched data
+   */
+  fetchOnce(key, fetch) {
+    if (!this.pullRequestData.has(key)) {
+      this.pullRequestData.set(key, fetch())
+    }
+    return this.pullRequestData.get(key)
+  }
+
+  /**
+   * Get the details of a PR
+   * @param {number} prNumber - Pull request number
+   * @returns {Promise<Object|null>} Pull request object or null if failed
+   */
+  getPullRequest(prNumber) {
+    return this.fetchOnce(`pr:${prNumber}`, () =>
+      this.githubClient.getPullRequest(prNumber)
+    )
+  }
+
+  /**
+   * Get the files changed by a PR, warning if they reach the API limit
+   * @param {number} prNumber - Pull request number
+   * @returns {Promise<Array>} Array of file objects
+   */
+  getPullRequestFiles(prNumber) {
+    return this.fetchOnce(`files:${prNumber}`, async () => {
+      const files = await this.githubClient.getPullRequestFiles(prNumber)
+      if (files?.length >= MAX_PR_FILES) {
+        core.warning(
+          `PR lists ${MAX_PR_FILES} or more files, the most the GitHub API returns - changes beyond them are not counted`
+        )
+      }
+      return files
+    })
+  }
+
+  /**
+   * Get the commits of a PR, warning if they reach the API limit
+   * @param {number} prNumber - Pull request number
+   * @returns {Promise<Array>} Array of commit objects
+   */
+  getPullRequestCommits(prNumber) {
+    return this.fetchOnce(`commits:${prNumber}`, async () => {
+      const commits = await this.githubClient.getPullRequestCommits(prNumber)
+      if (commits?.length >= MAX_PR_COMMITS) {
+        core.warning(
+          `PR lists ${MAX_PR_COMMITS} or more commits, the most the GitHub API returns - later commits are not counted`
+        )
       }
+      return commits
     })
+  }
+
+  /**
+   * Describe which PR lists were cut off at the API limits
+   * @param {Array|null} files - Files listed for the PR
+   * @param {Array|null} commits - Commits listed for the PR
+   * @returns {Object} `truncated` flag and the `truncated_lists` that hit their limit
+   */
+  getTruncation(files, commits = null) {
+    const lists = []
+    if (files?.length >= MAX_PR_FILES) lists.push('files')
+    if (commits?.length >= MAX_PR_COMMITS) lists.push('commits')
+    return { truncated: lists.length > 0, truncated_lists: lists }
+  }
 
-    return totalChanges
+  /**
+   * Format the report line for lists cut off at the API limits
+   * @param {Object} details - Size or maturity details
+   * @returns {string} Report line, or an empty string if nothing was cut off
+   */
+  formatTruncation(details) {
+    const limits = {
+      files: `${MAX_PR_FILES} files`,
+      commits: `${MAX_PR_COMMITS} commits`
+    }
+    const lists = details?.truncated_lists || []
+    if (lists.length === 0) return ''
+
+    return `\n- **Truncated:** only the first ${lists.map((list) => limits[list]).join(' and ')} are counted`
+  }
+
+  /**
+   * Get the time of a commit from the chosen timestamp
+   * @param {Object} commit - Commit from the pull request commits API
+   * @param {string} timestamp - 'author' or 'committer'
+   * @returns {Date} Commit time
+   */
+  getCommitDate(commit, timestamp) {
+    return new Date(commit.commit[timestamp]?.date || commit.commit.author.date)
+  }
+
+  /**
+   * Get the settings a maturity result was calculated with, so results can be
+   * reproduced
+   * @param {string} timestamp - Commit timestamp actually used
+   * @param {boolean} timelineFallback - Whether `timeline` fell back to author dates
+   * @returns {Object} Settings for the maturity details
+   */
+  getMaturitySettings(timestamp, timelineFallback = false) {
+    return {
+      grace_period_minutes: this.options.gracePeriodMinutes,
+      commit_timestamp: timestamp,
+      timeline_fallback: timelineFallback
+    }
+  }
+
+  /**
+   * Calculate the size of changes in a diff
+   * When the PR's files are given, only those files count: a diff between two
+   * heads also carries upstream changes brought in by a rebase or by merging
+   * the base branch, which are not the PR's own changes
+   * @param {Array} files - Array of file diff objects
+   * @param {Array|null} prFiles - Files changed by the PR
+   * @returns {number} Total number of changes
+   */
+  calculateDiffSize(files, prFiles = null) {
+    const prFilenames = prFiles ? new Set(prFiles.map((f) => f.filename)) : null
+    const ownFiles = prFilenames
+      ? files.filter((file) => prFilenames.has(file.filename))
+      : files
+    return this.calculateSizeDetails(this.filterFiles(ownFiles)).total_changes
   }
 
   /**
@@ -533,31 +900,50 @@ export class DevExMetricsCollector {
    */
   async addPRComment(prNumber, prSizeMetrics, prMaturityMetrics = null) {
     try {
-      const { size, details } = prSizeMetrics
-      const sizeEmoji = this.getSizeEmoji(size)
-      const sizeRating = this.getSizeRating(size)
-      const sizeRatingEmoji = this.getRatingEmoji(sizeRating)
+      const comment = `${COMMENT_MARKER}
+${this.buildReport(prSizeMetrics, prMaturityMetrics)}
+
+*This comment was generated automatically by the Agile Metrics Action.*`
+
+      await this.upsertPRComment(prNumber, comment)
+    } catch (error) {
+      core.warning(`Failed to add PR comment: ${error.message}`)
+    }
+  }
+
+  /**
+   * Build the markdown report shared by the PR comment and the check run
+   * @param {Object} prSizeMetrics - PR size metrics
+   * @param {Object} prMaturityMetrics - PR maturity metrics (optional)
+   * @returns {string} Markdown report
+   */
+  buildReport(prSizeMetrics, prMaturityMetrics = null) {
+    const { size, details } = prSizeMetrics
+    const sizeEmoji = this.getSizeEmoji(size)
+    const sizeRating = this.getSizeRating(size)
+    const sizeRatingEmoji = this.getRatingEmoji(sizeRating)
 
-      let comment = `## ${sizeEmoji} PR Size: ${size.toUpperCase()} ${sizeRatingEmoji} ${sizeRating}
+    let report = `## ${sizeEmoji} PR Size: ${size.toUpperCase()} ${sizeRatingEmoji} ${sizeRating}
 
 This pull request has been automatically categorized as **${size}** with a **${sizeRating}** rating based on the following metrics:
 
 - **Lines added:** ${details.total_additions}
 - **Lines removed:** ${details.total_deletions}
 - **Total changes:** ${details.total_changes}
-- **Files changed:** ${details.files_changed}`
+- **Files changed:** ${details.files_changed}${details.ignored_files?.length ? `\n- **Files ignored:** ${details.ignored_files.length}` : ''}${details.generated_lines_skipped ? `\n- **Generated lines skipped:** ${details.generated_lines_skipped}` : ''}${this.formatTruncation(details)}
+- **Size thresholds:** ${this.options.ratings.formatSizeThresholds()}`
 
-      // Add PR maturity information if available
-      if (prMaturityMetrics && prMaturityMetrics.maturity_percentage !== null) {
-        const maturityEmoji = this.getMaturityEmoji(
-          prMaturityMetrics.maturity_percentage
-        )
-        const maturityLevel = this.getMaturityLevel(
-          prMaturityMetrics.maturity_percentage
-        )
-        const maturityRatingEmoji = this.getRatingEmoji(maturityLevel)
+    // Add PR maturity information if available
+    if (prMaturityMetrics && prMaturityMetrics.maturity_percentage !== null) {
+      const maturityEmoji = this.getMaturityEmoji(
+        prMaturityMetrics.maturity_percentage
+      )
+      const maturityLevel = this.getMaturityLevel(
+        prMaturityMetrics.maturity_percentage
+      )
+      const maturityRatingEmoji = this.getRatingEmoji(maturityLevel)
 
-        comment += `
+      report += `
 
 ## ${maturityEmoji} PR Maturity: ${prMaturityMetrics.maturity_percentage}% ${maturityRatingEmoji} ${maturityLevel}
 
@@ -566,28 +952,133 @@ This pull request has a **${maturityLevel}** maturity rating based on code stabi
 - **Maturity ratio:** ${prMaturityMetrics.maturity_ratio}
 - **Total commits:** ${prMaturityMetrics.details?.total_commits || 'N/A'}
 - **Stable changes:** ${prMaturityMetrics.details?.stable_changes || 'N/A'}
-- **Changes after publication:** ${prMaturityMetrics.details?.changes_after_publication || 'N/A'}`
-      }
+- **Changes after publication:** ${prMaturityMetrics.details?.changes_after_publication || 'N/A'}${prMaturityMetrics.details?.timeline_fallback ? '\n- **Commit times:** author dates, as the PR timeline has no commit from before publication' : ''}${this.formatTruncation(prMaturityMetrics.details)}`
+    }
 
-      comment += `
+    return report
+  }
 
-*This comment was generated automatically by the Agile Metrics Action.*`
+  /**
+   * Publish the DevEx report as a check run on the PR head commit
+   * The largest files driving the size are annotated
+   * @param {number} prNumber - Pull request number
+   * @param {Object} prSizeMetrics - PR size metrics
+   * @param {Object} prMaturityMetrics - PR maturity metrics (optional)
+   * @param {string} conclusion - Check run conclusion (success, neutral, failure)
+   * @returns {Promise<void>}
+   */
+  async publishCheckRun(
+    prNumber,
+    prSizeMetrics,
+    prMaturityMetrics = null,
+    conclusion = 'success'
+  ) {
+    try {
+      const pr = await this.getPullRequest(prNumber)
+      if (!pr?.head?.sha) {
+        core.warning(`Could not find the head commit of PR #${prNumber}`)
+        return
+      }
 
-      await this.githubClient.createPRComment(prNumber, comment)
-      core.info(`Added DevEx comment to PR #${prNumber}`)
+      const { size, details } = prSizeMetrics
+      const totalChanges = details.total_changes || 0
+      const annotations = (details.largest_files || [])
+        .filter((file) => file.status !== 'removed')
+        .map((file) => ({
+          path: file.filename,
+          start_line: 1,
+          end_line: 1,
+          annotation_level: 'notice',
+          title: `${file.changes} lines changed`,
+          message: `${file.additions} additions and ${file.deletions} deletions, ${Math.round((file.changes / Math.max(totalChanges, 1)) * 100)}% of this PR's changes`
+        }))
+
+      await this.githubClient.createCheckRun({
+        name: CHECK_RUN_NAME,
+        headSha: pr.head.sha,
+        conclusion,
+        title: `PR Size: ${size.toUpperCase()} (${this.getSizeRating(size)})`,
+        summary: this.buildReport(prSizeMetrics, prMaturityMetrics),
+        annotations
+      })
+      core.info(`Published DevEx check run for PR #${prNumber}`)
     } catch (error) {
-      core.warning(`Failed to add PR comment: ${error.message}`)
+      core.warning(`Failed to publish check run: ${error.message}`)
     }
   }
 
   /**
-   * Add size label to PR
+   * Post the DevEx comment, replacing the one from a previous run
+   * In `update` mode the existing comment is edited in place; in `recreate`
+   * mode it is deleted and a new comment is posted at the bottom of the PR
+   * @param {number} prNumber - Pull request number
+   * @param {string} comment - Comment body including the marker
+   * @returns {Promise<void>}
+   */
+  async upsertPRComment(prNumber, comment) {
+    const comments = await this.githubClient.listPRComments(prNumber)
+    const previous = comments.filter((c) => c.body?.includes(COMMENT_MARKER))
+
+    if (this.options.commentMode === 'update' && previous.length > 0) {
+      await this.githubClient.updatePRComment(previous[0].id, comment)
+      core.info(`Updated DevEx comment on PR #${prNumber}`)
+      return
+    }
+
+    for (const previousComment of previous) {
+      await this.githubClient.deletePRComment(previousComment.id)
+    }
+
+    await this.githubClient.createPRComment(prNumber, comment)
+    core.info(`Added DevEx comment to PR #${prNumber}`)
+  }
+
+  /**
+   * Add size label to PR, replacing any other size label
+   * The label is created with its configured colour if it does not exist yet
    * @param {number} prNumber - Pull request number
    * @param {string} sizeCategory - Size category (e.g., 'size/m')
    * @returns {Promise<void>}
    */
   async addPRLabel(prNumber, sizeCategory) {
     try {
+      const { labelPrefix, ratings } = this.options
+      const size = sizeCategory.startsWith(labelPrefix)
+        ? sizeCategory.slice(labelPrefix.length)
+        : null
+      const style = size ? ratings.getSizeLabelStyle(size) : null
+      if (!style) {
+        core.info(`Skipping size label for category '${sizeCategory}'`)
+        return
+      }
+
+      // Drop size labels from earlier runs so the PR carries only one
+      const pr = await this.getPullRequest(prNumber)
+      const currentLabels = (pr?.labels || []).map((label) => label.name)
+      const staleLabels = currentLabels.filter(
+        (name) =>
+          name !== sizeCategory &&
+          name.toLowerCase() !== this.options.exemptLabel.toLowerCase() &&
+          name.toLowerCase().startsWith(labelPrefix.toLowerCase())
+      )
+      for (const label of staleLabels) {
+        await this.githubClient.removePRLabel(prNumber, label)
+        core.info(`Removed stale label '${label}' from PR #${prNumber}`)
+      }
+
+      if (currentLabels.includes(sizeCategory)) {
+        core.info(`PR #${prNumber} already has label '${sizeCategory}'`)
+        return
+      }
+
+      if (!(await this.githubClient.getLabel(sizeCategory))) {
+        await this.githubClient.createLabel(
+          sizeCategory,
+          style.color,
+          style.description
+        )
+      }
+
       await this.githubClient.addPRLabel(prNumber, sizeCategory)
       core.info(`Added label '${sizeCategory}' to PR #${prNumber}`)
     } catch (error) {
@@ -595,6 +1086,51 @@ This pull request has a **${maturityLevel}** maturity rating based on code stabi
     }
   }
 
+  /**
+   * Check the PR against the size and maturity budgets
+   * Draft PRs and metrics that could not be calculated never violate a budget
+   * @param {number} prNumber - Pull request number
+   * @param {Object|null} prSizeMetrics - PR size metrics
+   * @param {Object|null} prMaturityMetrics - PR maturity metrics
+   * @returns {Promise<Object|null>} Budget result, or null if no budget is set
+   */
+  async checkBudgets(prNumber, prSizeMetrics, prMaturityMetrics) {
+    const { maxPRSize, minPRMaturity, exemptLabel } = this.options
+    if (maxPRSize === null && minPRMaturity === null) {
+      return null
+    }
+
+    const violations = []
+    const sizeIndex = PR_SIZES.indexOf(prSizeMetrics?.size)
+    if (maxPRSize !== null && sizeIndex > PR_SIZES.indexOf(maxPRSize)) {
+      violations.push(
+        `size ${prSizeMetrics.size.toUpperCase()} exceeds max-pr-size ${maxPRSize.toUpperCase()}`
+      )
+    }
+
+    const maturity = prMaturityMetrics?.maturity_percentage ?? null
+    if (
+      minPRMaturity !== null &&
+      maturity !== null &&
+      maturity < minPRMaturity
+    ) {
+      violations.push(
+        `maturity ${maturity}% is below min-pr-maturity ${minPRMaturity}%`
+      )
+    }
+
+    const pr = await this.getPullRequest(prNumber)
+    const exempt = (pr?.labels || []).some(
+      (label) => label.name.toLowerCase() === exemptLabel.toLowerCase()
+    )
+
+    return {
+      passed: violations.length === 0 || exempt,
+      exempt,
+      violations
+    }
+  }
+
   /**
    * Get emoji for size category
    * @param {string} size - Size category
@@ -602,6 +1138,7 @@ This pull request has a **${maturityLevel}** maturity rating based on code stabi
    */
   getSizeEmoji(size) {
     const emojiMap = {
+      xs: '▫️',
       s: '🔹',
       m: '🔸',
       l: '🔶',
@@ -616,13 +1153,7 @@ This pull request has a **${maturityLevel}** maturity rating based on code stabi
    * @returns {string} Rating
    */
   getSizeRating(size) {
-    const ratingMap = {
-      s: 'Elite',
-      m: 'Good',
-      l: 'Fair',
-      xl: 'Needs Focus'
-    }
-    return ratingMap[size] || 'Unknown'
+    return this.options.ratings.rateSize(size)
   }
 
   /**
@@ -631,13 +1162,7 @@ This pull request has a **${maturityLevel}** maturity rating based on code stabi
    * @returns {string} Emoji representation
    */
   getRatingEmoji(rating) {
-    const emojiMap = {
-      Elite: '⭐',
-      Good: '✅',
-      Fair: '⚖️',
-      'Needs Focus': '🎯'
-    }
-    return emojiMap[rating] || '❓'
+    return this.options.ratings.getEmoji(rating)
   }
 
   /**
@@ -646,11 +1171,7 @@ This pull request has a **${maturityLevel}** maturity rating based on code stabi
    * @returns {string} Emoji representation
    */
   getMaturityEmoji(percentage) {
-    if (percentage === null || percentage === undefined) return '❓'
-    if (percentage > 88) return '⭐'
-    if (percentage >= 81) return '✅'
-    if (percentage >= 75) return '⚖️'
-    return '🎯'
+    return this.getRatingEmoji(this.getMaturityLevel(percentage))
   }
 
   /**
@@ -659,10 +1180,6 @@ This pull request has a **${maturityLevel}** maturity rating based on code stabi
    * @returns {string} Maturity level description
    */
   getMaturityLevel(percentage) {
-    if (percentage === null || percentage === undefined) return 'Unknown'
-    if (percentage > 88) return 'Elite'
-    if (percentage >= 81) return 'Good'
-    if (percentage >= 75) return 'Fair'
-    return 'Needs Focus'
+    return this.options.ratings.rate('pr_maturity', percentage)
   }
 }
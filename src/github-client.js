@@ -1,5 +1,75 @@
 import * as core from '@actions/core'
 import { getOctokit } from '@actions/github'
+import { mapWithConcurrency } from './utils.js'
+
+// The pull request files and commits endpoints stop listing at these limits
+export const MAX_PR_FILES = 3000
+export const MAX_PR_COMMITS = 250
+
+// Safety limits for PR listings the API does not cap, so a single runaway PR
+// cannot use up the rate limit
+export const MAX_PR_TIMELINE_EVENTS = 3000
+export const MAX_PR_REVIEWS = 1000
+
+// Pull requests fetched per GraphQL page, and the review activity fetched with
+// each of them
+const GRAPHQL_PR_PAGE_SIZE = 50
+const GRAPHQL_ACTIVITY_PAGE_SIZE = 100
+
+const PULL_REQUESTS_QUERY = `
+  query (
+    $owner: String!
+    $repo: String!
+    $first: Int!
+    $activity: Int!
+    $after: String
+  ) {
+    repository(owner: $owner, name: $repo) {
+      pullRequests(
+        first: $first
+        after: $after
+        orderBy: { field: CREATED_AT, direction: DESC }
+      ) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          state
+          createdAt
+          mergedAt
+          author { __typename login }
+          labels(first: 100) { nodes { name } }
+          reviews(first: $activity) {
+            totalCount
+            nodes { state submittedAt author { __typename login } }
+          }
+          timelineItems(
+            first: $activity
+            itemTypes: [
+              READY_FOR_REVIEW_EVENT
+              ISSUE_COMMENT
+              PULL_REQUEST_REVIEW
+            ]
+          ) {
+            totalCount
+            nodes {
+              __typename
+              ... on ReadyForReviewEvent { createdAt }
+              ... on IssueComment { createdAt author { __typename login } }
+              ... on PullRequestReview {
+                submittedAt
+                author { __typename login }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`
+
+// Retries wait no longer than this, so a long primary rate limit reset fails
+// the request instead of stalling the job
+const MAX_RETRY_DELAY_MS = 60 * 1000
 
 /**
  * GitHub API client wrapper for metrics collection
@@ -10,32 +80,198 @@ export class GitHubClient {
    * @param {string} token - GitHub authentication token
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
+   * @param {Object} options - Request options
    */
-  constructor(token, owner, repo) {
+  constructor(token, owner, repo, options = {}) {
     this.octokit = getOctokit(token)
     this.owner = owner
     this.repo = repo
+    this.options = {
+      maxRetries: 3,
+      retryBaseDelayMs: 1000,
+      failOnApiError: true, // Fail instead of reporting partial data
+      concurrency: 4, // Deployment statuses fetched at the same time
+      ...options
+    }
+    this.rateLimit = null
+    this.apiFailure = null
+    this.rateLimitPause = null
   }
 
   /**
-   * List releases for the repository
-   * @param {number} perPage - Number of releases per page
+   * Send an API request, retrying rate limited and server errors
+   * Waits as long as `retry-after` or `x-ratelimit-reset` ask, otherwise backs
+   * off exponentially with jitter. While one request waits out a rate limit,
+   * concurrent requests wait with it instead of hitting the limit again. A
+   * request that still fails is recorded in `apiFailure`; with
+   * `failOnApiError` every later request fails at once. GraphQL reports its
+   * errors, rate limits included, in a successful response, so those are
+   * thrown here too: `RATE_LIMITED` is retried and any other GraphQL error is
+   * recorded, as the query returned partial or no data
+   * @param {string} route - Request route
+   * @param {Object} params - Request parameters
+   * @returns {Promise<Object>} Octokit response
+   */
+  async request(route, params) {
+    if (this.apiFailure && this.options.failOnApiError) {
+      throw this.apiFailure
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      if (this.rateLimitPause) await this.rateLimitPause
+
+      try {
+        const response = await this.octokit.request(route, params)
+        this.trackRateLimit(response?.headers)
+        if (response?.data?.errors?.length) throw toGraphqlError(response)
+        return response
+      } catch (error) {
+        if (!error.graphqlErrors) this.trackRateLimit(error.response?.headers)
+        if (!isRetryableError(error)) {
+          if (error.graphqlErrors) this.apiFailure ??= error
+          throw error
+        }
+
+        const delay = this.getRetryDelay(error, attempt)
+        if (delay === null) {
+          this.apiFailure ??= error
+          throw error
+        }
+
+        core.info(
+          `GitHub API request ${route} failed (${error.type ?? error.status}), retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1} of ${this.options.maxRetries})`
+        )
+        if (error.status >= 500) {
+          await sleep(delay)
+        } else {
+          const pause = sleep(delay).then(() => {
+            if (this.rateLimitPause === pause) this.rateLimitPause = null
+          })
+          this.rateLimitPause = pause
+          await pause
+        }
+      }
+    }
+  }
+
+  /**
+   * Get how long to wait before retrying a failed request
+   * @param {Error} error - Request error
+   * @param {number} attempt - Number of retries made so far
+   * @returns {number|null} Delay in milliseconds, or null to give up
+   */
+  getRetryDelay(error, attempt) {
+    if (attempt >= this.options.maxRetries) return null
+
+    const headers = error.response?.headers || {}
+    let delay
+    if (headers['retry-after'] !== undefined) {
+      delay = Number(headers['retry-after']) * 1000
+    } else if (
+      headers['x-ratelimit-remaining'] === '0' &&
+      headers['x-ratelimit-reset']
+    ) {
+      delay = Number(headers['x-ratelimit-reset']) * 1000 - Date.now()
+    } else {
+      const backoff = this.options.retryBaseDelayMs * 2 ** attempt
+      delay = backoff / 2 + Math.random() * (backoff / 2)
+    }
+
+    if (!(delay >= 0)) delay = 0
+    return delay > MAX_RETRY_DELAY_MS ? null : delay
+  }
+
+  /**
+   * Remember the rate limit reported by a response
+   * @param {Object} headers - Response headers
+   */
+  trackRateLimit(headers) {
+    if (headers?.['x-ratelimit-remaining'] === undefined) return
+
+    this.rateLimit = {
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(headers['x-ratelimit-remaining']),
+      reset: new Date(Number(headers['x-ratelimit-reset']) * 1000)
+    }
+    core.debug(
+      `GitHub API quota: ${this.rateLimit.remaining}/${this.rateLimit.limit} requests left`
+    )
+  }
+
+  /**
+   * Log the remaining API quota
+   */
+  logRateLimit() {
+    if (!this.rateLimit) return
+
+    const { limit, remaining, reset } = this.rateLimit
+    core.info(
+      `GitHub API quota: ${remaining}/${limit} requests left, resets at ${reset.toISOString()}`
+    )
+  }
+
+  /**
+   * Stop when an API request failed after its retries, so partial data is not
+   * published, or warn that results may be incomplete
+   * @throws {Error} If a request failed and `failOnApiError` is set
+   */
+  ensureComplete() {
+    if (!this.apiFailure) return
+
+    const message = `GitHub API request failed after ${this.options.maxRetries} retries: ${this.apiFailure.message}`
+    if (this.options.failOnApiError) {
+      throw new Error(`${message} - metrics would be incomplete`)
+    }
+    core.warning(`${message} - metrics may be incomplete`)
+  }
+
+  /**
+   * List releases for the repository, newest first
+   * Pages through the API until `maxReleases` releases are collected, or
+   * until releases older than `since` are reached
+   * @param {number} maxReleases - Maximum number of releases to return
+   * @param {string|null} since - Only return releases created at or after this date
    * @returns {Promise<Array>} Array of release objects
    */
-  async listReleases(perPage = 100) {
+  async listReleases(maxReleases = 100, since = null) {
     try {
-      const response = await this.octokit.request(
-        'GET /repos/{owner}/{repo}/releases',
-        {
-          owner: this.owner,
-          repo: this.repo,
-          per_page: perPage
-        }
-      )
+      const releases = []
+      let page = 1
+      const perPage = 100
+      const sinceDate = since ? new Date(since) : null
 
-      return response.data
-        .filter((release) => !release.draft) // ignore drafts
+      while (releases.length < maxReleases) {
+        const response = await this.request(
+          'GET /repos/{owner}/{repo}/releases',
+          {
+            owner: this.owner,
+            repo: this.repo,
+            per_page: perPage,
+            page
+          }
+        )
+
+        if (response.data.length === 0) break
+
+        const published = response.data.filter((release) => !release.draft) // ignore drafts
+        releases.push(
+          ...published.filter(
+            (release) => !sinceDate || new Date(release.created_at) >= sinceDate
+          )
+        )
+
+        // Releases are returned newest first, so once one is older than
+        // `since` the remaining pages are too
+        const passedSince =
+          sinceDate &&
+          published.some((release) => new Date(release.created_at) < sinceDate)
+        if (passedSince || response.data.length < perPage) break
+        page++
+      }
+
+      return releases
         .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(0, maxReleases)
     } catch (error) {
       core.warning(`Failed to fetch releases: ${error.message}`)
       return []
@@ -44,23 +280,201 @@ export class GitHubClient {
 
   /**
    * List tags for the repository
-   * @param {number} perPage - Number of tags per page
+   * Pages through the API until `maxTags` tags are collected
+   * @param {number} maxTags - Maximum number of tags to return
    * @returns {Promise<Array>} Array of tag objects
    */
-  async listTags(perPage = 100) {
+  async listTags(maxTags = 100) {
     try {
-      const response = await this.octokit.request(
-        'GET /repos/{owner}/{repo}/tags',
-        {
+      const tags = []
+      let page = 1
+      const perPage = 100
+
+      while (tags.length < maxTags) {
+        const response = await this.request('GET /repos/{owner}/{repo}/tags', {
           owner: this.owner,
           repo: this.repo,
-          per_page: perPage
+          per_page: perPage,
+          page
+        })
+
+        tags.push(...response.data)
+        if (response.data.length < perPage) break
+        page++
+      }
+
+      return tags.slice(0, maxTags)
+    } catch (error) {
+      core.warning(`Failed to fetch tags: ${error.message}`)
+      return []
+    }
+  }
+
+  /**
+   * List commits reachable from a ref, newest first
+   * Pages through the API until `maxCommits` commits are collected
+   * @param {string} sha - Commit SHA or ref to start listing from
+   * @param {number} maxCommits - Maximum number of commits to return
+   * @returns {Promise<Array>} Array of commit objects
+   */
+  async listCommits(sha, maxCommits = 100) {
+    try {
+      const commits = []
+      let page = 1
+      const perPage = 100
+
+      while (commits.length < maxCommits) {
+        const response = await this.request(
+          'GET /repos/{owner}/{repo}/commits',
+          {
+            owner: this.owner,
+            repo: this.repo,
+            sha,
+            per_page: perPage,
+            page
+          }
+        )
+
+        commits.push(...response.data)
+        if (response.data.length < perPage) break
+        page++
+      }
+
+      return commits.slice(0, maxCommits)
+    } catch (error) {
+      core.warning(`Failed to list commits for ${sha}: ${error.message}`)
+      return []
+    }
+  }
+
+  /**
+   * List successful deployments to an environment, newest first
+   * A deployment counts once it has a `success` status; the time of that status
+   * is used as the deployment time
+   * @param {string} environment - Deployment environment (e.g. production)
+   * @param {number} maxDeployments - Maximum number of successful deployments to return
+   * @returns {Promise<Array>} Array of deployments with id, sha, ref and created_at
+   */
+  async listSuccessfulDeployments(environment, maxDeployments = 100) {
+    try {
+      const successful = []
+      let page = 1
+      const perPage = 100
+
+      while (successful.length < maxDeployments) {
+        const response = await this.request(
+          'GET /repos/{owner}/{repo}/deployments',
+          {
+            owner: this.owner,
+            repo: this.repo,
+            environment,
+            per_page: perPage,
+            page
+          }
+        )
+
+        if (response.data.length === 0) break
+
+        const statusResponses = await mapWithConcurrency(
+          response.data,
+          this.options.concurrency,
+          (deployment) =>
+            this.request(
+              'GET /repos/{owner}/{repo}/deployments/{deployment_id}/statuses',
+              {
+                owner: this.owner,
+                repo: this.repo,
+                deployment_id: deployment.id,
+                per_page: 100
+              }
+            )
+        )
+
+        for (const [i, deployment] of response.data.entries()) {
+          const successStatus = statusResponses[i].data.find(
+            (status) => status.state === 'success'
+          )
+          if (!successStatus) continue
+
+          successful.push({
+            id: deployment.id,
+            sha: deployment.sha,
+            ref: deployment.ref,
+            environment: deployment.environment,
+            created_at: successStatus.created_at
+          })
+
+          if (successful.length >= maxDeployments) break
         }
+
+        if (response.data.length < perPage) break
+        page++
+      }
+
+      return successful.sort(
+        (a, b) => new Date(b.created_at) - new Date(a.created_at)
       )
+    } catch (error) {
+      core.warning(
+        `Failed to fetch deployments for ${environment}: ${error.message}`
+      )
+      return []
+    }
+  }
 
-      return response.data
+  /**
+   * List successful runs of a workflow on a branch, newest first
+   * Each run is treated as a deployment of its head commit, completed at the
+   * time the run was last updated
+   * @param {string} workflowFile - Workflow file name (e.g. deploy.yml)
+   * @param {string} branch - Branch the workflow runs on
+   * @param {number} maxRuns - Maximum number of runs to return
+   * @returns {Promise<Array>} Array of runs with id, name, sha, ref and created_at
+   */
+  async listSuccessfulWorkflowRuns(workflowFile, branch, maxRuns = 100) {
+    try {
+      const runs = []
+      let page = 1
+      const perPage = 100
+
+      while (runs.length < maxRuns) {
+        const response = await this.request(
+          'GET /repos/{owner}/{repo}/actions/workflows/{workflow_id}/runs',
+          {
+            owner: this.owner,
+            repo: this.repo,
+            workflow_id: workflowFile,
+            branch,
+            status: 'success',
+            per_page: perPage,
+            page
+          }
+        )
+
+        const pageRuns = response.data.workflow_runs || []
+        if (pageRuns.length === 0) break
+
+        runs.push(
+          ...pageRuns.map((run) => ({
+            id: run.id,
+            name: `${workflowFile}#${run.run_number}`,
+            sha: run.head_sha,
+            ref: run.head_branch,
+            created_at: run.updated_at
+          }))
+        )
+
+        if (pageRuns.length < perPage) break
+        page++
+      }
+
+      return runs
+        .slice(0, maxRuns)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
     } catch (error) {
-      core.warning(`Failed to fetch tags: ${error.message}`)
+      core.warning(
+        `Failed to fetch runs for workflow ${workflowFile}: ${error.message}`
+      )
       return []
     }
   }
@@ -73,7 +487,7 @@ export class GitHubClient {
   async resolveTag(tagName) {
     try {
       // Try to get the tag reference
-      const refResponse = await this.octokit.request(
+      const refResponse = await this.request(
         'GET /repos/{owner}/{repo}/git/ref/{ref}',
         {
           owner: this.owner,
@@ -86,7 +500,7 @@ export class GitHubClient {
 
       if (obj.type === 'tag') {
         // Annotated tag - get the tag object
-        const tagResponse = await this.octokit.request(
+        const tagResponse = await this.request(
           'GET /repos/{owner}/{repo}/git/tags/{tag_sha}',
           {
             owner: this.owner,
@@ -100,7 +514,7 @@ export class GitHubClient {
 
         // If it points to another tag, follow once
         if (tagResponse.data.object.type === 'tag') {
-          const tagResponse2 = await this.octokit.request(
+          const tagResponse2 = await this.request(
             'GET /repos/{owner}/{repo}/git/tags/{tag_sha}',
             {
               owner: this.owner,
@@ -114,7 +528,7 @@ export class GitHubClient {
         return { name: tagName, sha, created_at: createdAt }
       } else if (obj.type === 'commit') {
         // Lightweight tag - get commit details
-        const commitResponse = await this.octokit.request(
+        const commitResponse = await this.request(
           'GET /repos/{owner}/{repo}/commits/{ref}',
           {
             owner: this.owner,
@@ -144,7 +558,7 @@ export class GitHubClient {
    */
   async compareCommits(base, head) {
     try {
-      const response = await this.octokit.request(
+      const response = await this.request(
         'GET /repos/{owner}/{repo}/compare/{base}...{head}',
         {
           owner: this.owner,
@@ -174,7 +588,7 @@ export class GitHubClient {
    */
   async getCommit(ref) {
     try {
-      const response = await this.octokit.request(
+      const response = await this.request(
         'GET /repos/{owner}/{repo}/commits/{ref}',
         {
           owner: this.owner,
@@ -190,6 +604,29 @@ export class GitHubClient {
     }
   }
 
+  /**
+   * List pull requests associated with a commit
+   * @param {string} sha - Commit SHA
+   * @returns {Promise<Array>} Array of pull request objects or empty array if failed
+   */
+  async getPullRequestsForCommit(sha) {
+    try {
+      const response = await this.request(
+        'GET /repos/{owner}/{repo}/commits/{commit_sha}/pulls',
+        {
+          owner: this.owner,
+          repo: this.repo,
+          commit_sha: sha
+        }
+      )
+
+      return response.data
+    } catch (error) {
+      core.warning(`Failed to get PRs for commit ${sha}: ${error.message}`)
+      return []
+    }
+  }
+
   /**
    * Get pull request details
    * @param {number} prNumber - Pull request number
@@ -197,7 +634,7 @@ export class GitHubClient {
    */
   async getPullRequest(prNumber) {
     try {
-      const response = await this.octokit.request(
+      const response = await this.request(
         'GET /repos/{owner}/{repo}/pulls/{pull_number}',
         {
           owner: this.owner,
@@ -215,24 +652,64 @@ export class GitHubClient {
 
   /**
    * Get pull request files
+   * Pages through the API up to its limit of MAX_PR_FILES files
    * @param {number} prNumber - Pull request number
    * @returns {Promise<Array>} Array of file objects or empty array if failed
    */
   async getPullRequestFiles(prNumber) {
     try {
-      const response = await this.octokit.request(
-        'GET /repos/{owner}/{repo}/pulls/{pull_number}/files',
+      const files = []
+      let page = 1
+      const perPage = 100
+
+      while (files.length < MAX_PR_FILES) {
+        const response = await this.request(
+          'GET /repos/{owner}/{repo}/pulls/{pull_number}/files',
+          {
+            owner: this.owner,
+            repo: this.repo,
+            pull_number: prNumber,
+            per_page: perPage,
+            page
+          }
+        )
+
+        files.push(...response.data)
+        if (response.data.length < perPage) break
+        page++
+      }
+
+      return files.slice(0, MAX_PR_FILES)
+    } catch (error) {
+      core.warning(`Failed to get PR files ${prNumber}: ${error.message}`)
+      return []
+    }
+  }
+
+  /**
+   * Get the text content of a repository file
+   * @param {string} filePath - Path of the file in the repository
+   * @param {string} ref - Branch, tag or commit SHA to read from
+   * @returns {Promise<string|null>} File content or null if missing or failed
+   */
+  async getFileContent(filePath, ref) {
+    try {
+      const response = await this.request(
+        'GET /repos/{owner}/{repo}/contents/{path}',
         {
           owner: this.owner,
           repo: this.repo,
-          pull_number: prNumber
+          path: filePath,
+          ref
         }
       )
 
-      return response.data
+      return Buffer.from(response.data.content, 'base64').toString('utf8')
     } catch (error) {
-      core.warning(`Failed to get PR files ${prNumber}: ${error.message}`)
-      return []
+      if (error.status !== 404) {
+        core.warning(`Failed to get file ${filePath}: ${error.message}`)
+      }
+      return null
     }
   }
 
@@ -244,7 +721,7 @@ export class GitHubClient {
    */
   async createPRComment(prNumber, body) {
     try {
-      const response = await this.octokit.request(
+      const response = await this.request(
         'POST /repos/{owner}/{repo}/issues/{issue_number}/comments',
         {
           owner: this.owner,
@@ -261,6 +738,89 @@ export class GitHubClient {
     }
   }
 
+  /**
+   * List comments on a pull request
+   * @param {number} prNumber - Pull request number
+   * @returns {Promise<Array>} Array of comment objects or empty array if failed
+   */
+  async listPRComments(prNumber) {
+    try {
+      const comments = []
+      let page = 1
+      const perPage = 100
+
+      while (true) {
+        const response = await this.request(
+          'GET /repos/{owner}/{repo}/issues/{issue_number}/comments',
+          {
+            owner: this.owner,
+            repo: this.repo,
+            issue_number: prNumber,
+            per_page: perPage,
+            page
+          }
+        )
+
+        comments.push(...response.data)
+        if (response.data.length < perPage) break
+        page++
+      }
+
+      return comments
+    } catch (error) {
+      core.warning(`Failed to list PR comments ${prNumber}: ${error.message}`)
+      return []
+    }
+  }
+
+  /**
+   * Update an existing pull request comment
+   * @param {number} commentId - Comment ID
+   * @param {string} body - New comment body
+   * @returns {Promise<Object|null>} Comment object or null if failed
+   */
+  async updatePRComment(commentId, body) {
+    try {
+      const response = await this.request(
+        'PATCH /repos/{owner}/{repo}/issues/comments/{comment_id}',
+        {
+          owner: this.owner,
+          repo: this.repo,
+          comment_id: commentId,
+          body
+        }
+      )
+
+      return response.data
+    } catch (error) {
+      core.warning(`Failed to update PR comment ${commentId}: ${error.message}`)
+      return null
+    }
+  }
+
+  /**
+   * Delete a pull request comment
+   * @param {number} commentId - Comment ID
+   * @returns {Promise<boolean>} True if successful, false otherwise
+   */
+  async deletePRComment(commentId) {
+    try {
+      await this.request(
+        'DELETE /repos/{owner}/{repo}/issues/comments/{comment_id}',
+        {
+          owner: this.owner,
+          repo: this.repo,
+          comment_id: commentId
+        }
+      )
+
+      return true
+    } catch (error) {
+      core.warning(`Failed to delete PR comment ${commentId}: ${error.message}`)
+      return false
+    }
+  }
+
   /**
    * Add a label to a pull request
    * @param {number} prNumber - Pull request number
@@ -269,7 +829,7 @@ export class GitHubClient {
    */
   async addPRLabel(prNumber, label) {
     try {
-      await this.octokit.request(
+      await this.request(
         'POST /repos/{owner}/{repo}/issues/{issue_number}/labels',
         {
           owner: this.owner,
@@ -287,22 +847,153 @@ export class GitHubClient {
   }
 
   /**
-   * Get commits in a pull request
+   * Remove a label from a pull request
    * @param {number} prNumber - Pull request number
-   * @returns {Promise<Array>} Array of commit objects or empty array if failed
+   * @param {string} label - Label name
+   * @returns {Promise<boolean>} True if successful, false otherwise
    */
-  async getPullRequestCommits(prNumber) {
+  async removePRLabel(prNumber, label) {
     try {
-      const response = await this.octokit.request(
-        'GET /repos/{owner}/{repo}/pulls/{pull_number}/commits',
+      await this.request(
+        'DELETE /repos/{owner}/{repo}/issues/{issue_number}/labels/{name}',
         {
           owner: this.owner,
           repo: this.repo,
-          pull_number: prNumber
+          issue_number: prNumber,
+          name: label
+        }
+      )
+
+      return true
+    } catch (error) {
+      core.warning(`Failed to remove PR label ${prNumber}: ${error.message}`)
+      return false
+    }
+  }
+
+  /**
+   * Get a repository label
+   * @param {string} name - Label name
+   * @returns {Promise<Object|null>} Label object or null if missing or failed
+   */
+  async getLabel(name) {
+    try {
+      const response = await this.request(
+        'GET /repos/{owner}/{repo}/labels/{name}',
+        {
+          owner: this.owner,
+          repo: this.repo,
+          name
+        }
+      )
+
+      return response.data
+    } catch (error) {
+      if (error.status !== 404) {
+        core.warning(`Failed to get label ${name}: ${error.message}`)
+      }
+      return null
+    }
+  }
+
+  /**
+   * Create a repository label
+   * @param {string} name - Label name
+   * @param {string} color - Hex colour without the leading #
+   * @param {string} description - Label description
+   * @returns {Promise<Object|null>} Label object or null if failed
+   */
+  async createLabel(name, color, description) {
+    try {
+      const response = await this.request('POST /repos/{owner}/{repo}/labels', {
+        owner: this.owner,
+        repo: this.repo,
+        name,
+        color,
+        description
+      })
+
+      return response.data
+    } catch (error) {
+      core.warning(`Failed to create label ${name}: ${error.message}`)
+      return null
+    }
+  }
+
+  /**
+   * Create a completed check run
+   * @param {Object} checkRun - Check run details
+   * @param {string} checkRun.name - Check run name
+   * @param {string} checkRun.headSha - Commit SHA the check run belongs to
+   * @param {string} checkRun.conclusion - Conclusion (success, neutral, failure)
+   * @param {string} checkRun.title - Output title
+   * @param {string} checkRun.summary - Output summary in markdown
+   * @param {Array} [checkRun.annotations] - Output annotations (at most 50)
+   * @returns {Promise<Object|null>} Check run object or null if failed
+   */
+  async createCheckRun({
+    name,
+    headSha,
+    conclusion,
+    title,
+    summary,
+    annotations = []
+  }) {
+    try {
+      const response = await this.request(
+        'POST /repos/{owner}/{repo}/check-runs',
+        {
+          owner: this.owner,
+          repo: this.repo,
+          name,
+          head_sha: headSha,
+          status: 'completed',
+          conclusion,
+          output: {
+            title,
+            summary,
+            annotations: annotations.slice(0, 50)
+          }
         }
       )
 
       return response.data
+    } catch (error) {
+      core.warning(`Failed to create check run ${name}: ${error.message}`)
+      return null
+    }
+  }
+
+  /**
+   * Get commits in a pull request
+   * Pages through the API up to its limit of MAX_PR_COMMITS commits
+   * @param {number} prNumber - Pull request number
+   * @returns {Promise<Array>} Array of commit objects or empty array if failed
+   */
+  async getPullRequestCommits(prNumber) {
+    try {
+      const commits = []
+      let page = 1
+      const perPage = 100
+
+      while (commits.length < MAX_PR_COMMITS) {
+        const response = await this.request(
+          'GET /repos/{owner}/{repo}/pulls/{pull_number}/commits',
+          {
+            owner: this.owner,
+            repo: this.repo,
+            pull_number: prNumber,
+            per_page: perPage,
+            page
+          }
+        )
+
+        commits.push(...response.data)
+        if (response.data.length < perPage) break
+        page++
+      }
+
+      return commits.slice(0, MAX_PR_COMMITS)
     } catch (error) {
       core.warning(`Failed to get PR commits ${prNumber}: ${error.message}`)
       return []
@@ -317,7 +1008,7 @@ export class GitHubClient {
    */
   async compareCommitsDiff(base, head) {
     try {
-      const response = await this.octokit.request(
+      const response = await this.request(
         'GET /repos/{owner}/{repo}/compare/{base}...{head}',
         {
           owner: this.owner,
@@ -349,7 +1040,7 @@ export class GitHubClient {
       const perPage = 100
 
       while (true) {
-        const response = await this.octokit.request(
+        const response = await this.request(
           'GET /repos/{owner}/{repo}/releases',
           {
             owner: this.owner,
@@ -401,18 +1092,15 @@ export class GitHubClient {
 
       // Fetch all PRs (we'll filter by date client-side)
       while (true) {
-        const response = await this.octokit.request(
-          'GET /repos/{owner}/{repo}/pulls',
-          {
-            owner: this.owner,
-            repo: this.repo,
-            state: 'all',
-            sort: 'created',
-            direction: 'desc',
-            per_page: perPage,
-            page
-          }
-        )
+        const response = await this.request('GET /repos/{owner}/{repo}/pulls', {
+          owner: this.owner,
+          repo: this.repo,
+          state: 'all',
+          sort: 'created',
+          direction: 'desc',
+          per_page: perPage,
+          page
+        })
 
         if (response.data.length === 0) break
 
@@ -441,24 +1129,155 @@ export class GitHubClient {
     }
   }
 
+  /**
+   * Get pull requests created in a date range together with their reviews and
+   * review timeline, using the GraphQL API
+   * Fetches in a few paginated queries what the REST API needs a timeline and
+   * a reviews call per PR for. PRs, reviews and timeline events are returned
+   * in their REST shapes, with the reviews and events embedded as `reviews`
+   * and `timeline`; `activity_truncated` is set when a PR has more of either
+   * than one query returns. When a page fails, the PRs of earlier pages are
+   * still returned
+   * @param {string} since - Start date (ISO 8601 format)
+   * @param {string} until - End date (ISO 8601 format)
+   * @returns {Promise<Array>} Array of pull requests
+   */
+  async getPullRequestsWithReviewActivity(since, until) {
+    const prs = []
+
+    try {
+      let after = null
+
+      while (true) {
+        const response = await this.request('POST /graphql', {
+          query: PULL_REQUESTS_QUERY,
+          variables: {
+            owner: this.owner,
+            repo: this.repo,
+            first: GRAPHQL_PR_PAGE_SIZE,
+            activity: GRAPHQL_ACTIVITY_PAGE_SIZE,
+            after
+          }
+        })
+
+        const { nodes, pageInfo } = response.data.data.repository.pullRequests
+        prs.push(
+          ...nodes
+            .filter(
+              (pr) =>
+                new Date(pr.createdAt) >= new Date(since) &&
+                new Date(pr.createdAt) <= new Date(until)
+            )
+            .map(toRestPullRequest)
+        )
+
+        // PRs are newest first, so stop once the range is left behind
+        const oldestPR = nodes[nodes.length - 1]
+        if (!oldestPR || new Date(oldestPR.createdAt) < new Date(since)) break
+        if (!pageInfo.hasNextPage) break
+        after = pageInfo.endCursor
+      }
+
+      return prs
+    } catch (error) {
+      core.warning(
+        `Failed to fetch PRs by date range with GraphQL: ${error.message}`
+      )
+      return prs
+    }
+  }
+
+  /**
+   * List issues carrying any of the given incident labels
+   * Each label is queried separately because the API treats multiple labels as
+   * an AND filter, and results are de-duplicated by issue number
+   * @param {Array<string>} labels - Incident labels (e.g. incident, sev1)
+   * @param {string|null} since - Only issues created at or after this date (ISO 8601 format)
+   * @returns {Promise<Array>} Array of issues, newest first
+   */
+  async listIncidentIssues(labels, since = null) {
+    try {
+      const issuesByNumber = new Map()
+      const perPage = 100
+
+      for (const label of labels) {
+        let page = 1
+
+        while (true) {
+          const params = {
+            owner: this.owner,
+            repo: this.repo,
+            labels: label,
+            state: 'all',
+            sort: 'created',
+            direction: 'desc',
+            per_page: perPage,
+            page
+          }
+          if (since) params.since = since
+
+          const response = await this.request(
+            'GET /repos/{owner}/{repo}/issues',
+            params
+          )
+
+          if (response.data.length === 0) break
+
+          response.data
+            .filter((issue) => !issue.pull_request) // the issues API also returns PRs
+            .filter(
+              (issue) => !since || new Date(issue.created_at) >= new Date(since)
+            )
+            .forEach((issue) => issuesByNumber.set(issue.number, issue))
+
+          // Sorted by creation date, so stop once we're past the start date
+          const oldestIssue = response.data[response.data.length - 1]
+          if (since && new Date(oldestIssue.created_at) < new Date(since)) break
+
+          if (response.data.length < perPage) break
+          page++
+        }
+      }
+
+      return [...issuesByNumber.values()].sort(
+        (a, b) => new Date(b.created_at) - new Date(a.created_at)
+      )
+    } catch (error) {
+      core.warning(`Failed to fetch incident issues: ${error.message}`)
+      return []
+    }
+  }
+
   /**
    * Get pull request timeline events
+   * Pages through the API up to MAX_PR_TIMELINE_EVENTS events
    * @param {number} pullNumber - Pull request number
    * @returns {Promise<Array>} Array of timeline events
    */
   async getPullRequestTimeline(pullNumber) {
     try {
-      const response = await this.octokit.request(
-        'GET /repos/{owner}/{repo}/issues/{issue_number}/timeline',
-        {
-          owner: this.owner,
-          repo: this.repo,
-          issue_number: pullNumber,
-          per_page: 100
-        }
-      )
+      const events = []
+      let page = 1
+      const perPage = 100
 
-      return response.data
+      while (events.length < MAX_PR_TIMELINE_EVENTS) {
+        const response = await this.request(
+          'GET /repos/{owner}/{repo}/issues/{issue_number}/timeline',
+          {
+            owner: this.owner,
+            repo: this.repo,
+            issue_number: pullNumber,
+            per_page: perPage,
+            page
+          }
+        )
+
+        events.push(...response.data)
+        if (response.data.length < perPage) break
+        page++
+      }
+
+      return events.slice(0, MAX_PR_TIMELINE_EVENTS)
     } catch (error) {
       core.warning(
         `Failed to fetch timeline for PR #${pullNumber}: ${error.message}`
@@ -469,22 +1288,34 @@ export class GitHubClient {
 
   /**
    * Get pull request reviews
+   * Pages through the API up to MAX_PR_REVIEWS reviews
    * @param {number} pullNumber - Pull request number
    * @returns {Promise<Array>} Array of reviews
    */
   async getPullRequestReviews(pullNumber) {
     try {
-      const response = await this.octokit.request(
-        'GET /repos/{owner}/{repo}/pulls/{pull_number}/reviews',
-        {
-          owner: this.owner,
-          repo: this.repo,
-          pull_number: pullNumber,
-          per_page: 100
-        }
-      )
+      const reviews = []
+      let page = 1
+      const perPage = 100
 
-      return response.data
+      while (reviews.length < MAX_PR_REVIEWS) {
+        const response = await this.request(
+          'GET /repos/{owner}/{repo}/pulls/{pull_number}/reviews',
+          {
+            owner: this.owner,
+            repo: this.repo,
+            pull_number: pullNumber,
+            per_page: perPage,
+            page
+          }
+        )
+
+        reviews.push(...response.data)
+        if (response.data.length < perPage) break
+        page++
+      }
+
+      return reviews.slice(0, MAX_PR_REVIEWS)
     } catch (error) {
       core.warning(
         `Failed to fetch reviews for PR #${pullNumber}: ${error.message}`
@@ -493,3 +1324,97 @@ export class GitHubClient {
     }
   }
 }
+
+/**
+ * Convert a GraphQL pull request into the REST shape used by the collectors
+ * @param {Object} pr - GraphQL pull request node
+ * @returns {Object} Pull request with embedded `reviews` and `timeline`
+ */
+function toRestPullRequest(pr) {
+  const toUser = (author) => ({
+    login: author?.login ?? 'ghost',
+    type: author?.__typename === 'Bot' ? 'Bot' : 'User'
+  })
+
+  const timeline = pr.timelineItems.nodes.map((item) => {
+    switch (item.__typename) {
+      case 'ReadyForReviewEvent':
+        return { event: 'ready_for_review', created_at: item.createdAt }
+      case 'IssueComment':
+        return {
+          event: 'commented',
+          created_at: item.createdAt,
+          user: toUser(item.author)
+        }
+      default:
+        // REST `reviewed` events carry the submission time only
+        return {
+          event: 'reviewed',
+          submitted_at: item.submittedAt,
+          user: toUser(item.author)
+        }
+    }
+  })
+
+  return {
+    number: pr.number,
+    state: pr.state === 'OPEN' ? 'open' : 'closed',
+    created_at: pr.createdAt,
+    merged_at: pr.mergedAt,
+    user: toUser(pr.author),
+    labels: pr.labels.nodes.map((label) => ({ name: label.name })),
+    reviews: pr.reviews.nodes.map((review) => ({
+      state: review.state,
+      submitted_at: review.submittedAt,
+      user: toUser(review.author)
+    })),
+    timeline,
+    activity_truncated:
+      pr.reviews.totalCount > pr.reviews.nodes.length ||
+      pr.timelineItems.totalCount > pr.timelineItems.nodes.length
+  }
+}
+
+/**
+ * Build an error from the errors of a GraphQL response
+ * The first error's type, e.g. `RATE_LIMITED`, is kept as the error type
+ * @param {Object} response - Octokit response with `data.errors`
+ * @returns {Error} Error with the response and its GraphQL errors
+ */
+function toGraphqlError(response) {
+  const [first] = response.data.errors
+  return Object.assign(new Error(first.message), {
+    status: response.status,
+    type: first.type,
+    response,
+    graphqlErrors: response.data.errors
+  })
+}
+
+/**
+ * Check whether a request error is worth retrying: rate limits, abuse
+ * detection and server errors
+ * @param {Error} error - Request error
+ * @returns {boolean} True if the request may succeed when retried
+ */
+function isRetryableError(error) {
+  if (error.type === 'RATE_LIMITED') return true
+  if (error.status === 429 || error.status >= 500) return true
+  if (error.status !== 403) return false
+
+  const headers = error.response?.headers || {}
+  return (
+    headers['retry-after'] !== undefined ||
+    headers['x-ratelimit-remaining'] === '0' ||
+    /rate limit|abuse/i.test(error.message)
+  )
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
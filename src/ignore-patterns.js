@@ -0,0 +1,217 @@
+/**
+ * Gitignore-style file matching for `files-to-ignore`
+ *
+ * Supported syntax:
+ * - `*` and `?` match within a single path segment, `**` spans directories
+ * - `[abc]`, `[a-z]` and `[!abc]` character classes
+ * - `{a,b}` brace expansion
+ * - a leading `!` re-includes files matched by an earlier pattern
+ * - patterns without a slash match at any depth, patterns with one are
+ *   relative to the repository root, and a trailing slash matches directories
+ */
+
+/**
+ * Split a `files-to-ignore` input into patterns
+ * Patterns are separated by commas or newlines; commas inside braces belong
+ * to the pattern
+ * @param {string} value - Raw input value
+ * @returns {Array<string>} Patterns
+ */
+export function parseIgnorePatterns(value) {
+  const patterns = []
+  let current = ''
+  let depth = 0
+
+  for (const char of value || '') {
+    if (char === '{') depth++
+    if (char === '}') depth = Math.max(0, depth - 1)
+
+    if ((char === ',' && depth === 0) || char === '\n') {
+      patterns.push(current)
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  patterns.push(current)
+
+  return patterns.map((p) => p.trim()).filter((p) => p && !p.startsWith('#'))
+}
+
+/**
+ * Expand `{a,b}` alternatives in a pattern
+ * @param {string} pattern - Glob pattern
+ * @returns {Array<string>} Patterns without braces
+ */
+export function expandBraces(pattern) {
+  let depth = 0
+  let start = -1
+  const commas = []
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    if (char === '\\') {
+      i++
+    } else if (char === '{') {
+      if (depth === 0) start = i
+      depth++
+    } else if (char === ',' && depth === 1) {
+      commas.push(i)
+    } else if (char === '}' && depth > 0) {
+      depth--
+      if (depth === 0 && commas.length > 0) {
+        const prefix = pattern.slice(0, start)
+        const suffix = pattern.slice(i + 1)
+        const bounds = [start, ...commas, i]
+        return bounds
+          .slice(1)
+          .flatMap((end, index) =>
+            expandBraces(
+              prefix + pattern.slice(bounds[index] + 1, end) + suffix
+            )
+          )
+      }
+      if (depth === 0) commas.length = 0
+    }
+  }
+
+  return [pattern]
+}
+
+/**
+ * Compile a single gitignore-style pattern
+ * @param {string} pattern - Glob pattern, optionally starting with `!`
+ * @returns {Object} Rule with `negate` flag and `regex` matching file paths
+ */
+export function compileIgnorePattern(pattern) {
+  let glob = pattern.trim()
+  const negate = glob.startsWith('!')
+  if (negate) glob = glob.slice(1)
+
+  const directoryOnly = glob.endsWith('/')
+  if (directoryOnly) glob = glob.replace(/\/+$/, '')
+
+  const anchored = glob.includes('/')
+  if (glob.startsWith('/')) glob = glob.slice(1)
+
+  const alternatives = expandBraces(glob).map(globToRegexSource).join('|')
+  const prefix = anchored ? '^' : '^(?:.*/)?'
+  // A directory match also covers every file below it
+  const suffix = directoryOnly ? '/.*$' : '(?:/.*)?$'
+
+  return {
+    pattern,
+    negate,
+    regex: new RegExp(`${prefix}(?:${alternatives})${suffix}`)
+  }
+}
+
+/**
+ * Create a matcher for a list of patterns
+ * Patterns are applied in order and the last one that matches a path decides
+ * whether it is ignored
+ * @param {Array<string>} patterns - Glob patterns
+ * @returns {Function} Function taking a file path and returning true if ignored
+ */
+export function createIgnoreMatcher(patterns = []) {
+  const rules = patterns
+    .map((p) => p.trim())
+    .filter((p) => p && !p.startsWith('#'))
+    .map(compileIgnorePattern)
+
+  return (filePath) => {
+    let ignored = false
+    for (const rule of rules) {
+      if (ignored === rule.negate && rule.regex.test(filePath)) {
+        ignored = !rule.negate
+      }
+    }
+    return ignored
+  }
+}
+
+/**
+ * Translate a brace-free glob into a regular expression source
+ * @param {string} glob - Glob pattern
+ * @returns {string} Regular expression source
+ */
+function globToRegexSource(glob) {
+  let source = ''
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+
+    if (char === '*' && glob[i + 1] === '*') {
+      const atSegmentStart = i === 0 || glob[i - 1] === '/'
+      if (atSegmentStart && glob[i + 2] === '/') {
+        // `**/` matches zero or more directories
+        source += '(?:.*/)?'
+        i += 2
+      } else {
+        source += '.*'
+        i += 1
+      }
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2)
+      if (end === -1) {
+        source += '\\['
+      } else {
+        let body = glob.slice(i + 1, end).replace(/\\/g, '\\\\')
+        // Negated classes never match the path separator
+        if (body.startsWith('!')) body = `^/${body.slice(1)}`
+        source += `[${body}]`
+        i = end
+      }
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegex(glob[i + 1])
+      i += 1
+    } else {
+      source += escapeRegex(char)
+    }
+  }
+
+  return source
+}
+
+/**
+ * Escape a character for use in a regular expression
+ * @param {string} char - Character
+ * @returns {string} Escaped character
+ */
+function escapeRegex(char) {
+  return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+}
+
+/**
+ * Extract the patterns marked as generated or vendored in a .gitattributes file
+ * Lines that unset the attributes (`-linguist-generated`,
+ * `linguist-generated=false`) become negated patterns, so the last matching
+ * line wins as it does in git
+ * @param {string} content - .gitattributes content
+ * @returns {Array<string>} Patterns for createIgnoreMatcher
+ */
+export function parseGeneratedAttributes(content) {
+  const patterns = []
+
+  for (const line of (content || '').split('\n')) {
+    const [pattern, ...attributes] = line.trim().split(/\s+/)
+    if (!pattern || pattern.startsWith('#')) continue
+
+    const states = attributes
+      .map((attribute) =>
+        /^([-!]?)linguist-(?:generated|vendored)(?:=(\w+))?$/.exec(attribute)
+      )
+      .filter(Boolean)
+      .map((match) => !match[1] && match[2] !== 'false')
+    if (states.length === 0) continue
+
+    // Either attribute being set is enough to treat the file as generated
+    patterns.push(states.includes(true) ? pattern : `!${pattern}`)
+  }
+
+  return patterns
+}
@@ -7,9 +7,20 @@ import { MetricsCollector } from './metrics-collector.js'
 import { DevExMetricsCollector } from './devex-metrics-collector.js'
 import { TeamMetricsCollector } from './team-metrics-collector.js'
 import { OutputManager } from './outputs.js'
+import { loadRatingConfig, PR_SIZES } from './ratings.js'
+import { parseIgnorePatterns } from './ignore-patterns.js'
+import {
+  WorkingCalendar,
+  parseWorkingDays,
+  parseWorkingHours,
+  loadHolidays
+} from './working-calendar.js'
 import {
   validatePositiveInteger,
+  validateNonNegativeInteger,
   validateBoolean,
+  validateOneOf,
+  validateDate,
   sanitizeFilePath
 } from './utils.js'
 
@@ -41,6 +52,58 @@ export async function run() {
       core.getInput('max-tags') || '100',
       'max-tags'
     )
+    const since = core.getInput('since')
+      ? validateDate(core.getInput('since'), 'since')
+      : null
+    const releaseWindow = validatePositiveInteger(
+      core.getInput('release-window') || '1',
+      'release-window'
+    )
+    const maxDeployments = validatePositiveInteger(
+      core.getInput('max-deployments') || '100',
+      'max-deployments'
+    )
+    const deploymentSource = validateOneOf(
+      core.getInput('deployment-source') || 'auto',
+      ['auto', 'releases', 'tags', 'deployments', 'workflow'],
+      'deployment-source'
+    )
+    const environment = core.getInput('environment') || 'production'
+    const deployWorkflow = core.getInput('deploy-workflow') || null
+    const deployBranch = core.getInput('deploy-branch') || 'main'
+    if (deploymentSource === 'workflow' && !deployWorkflow) {
+      throw new Error(
+        'deploy-workflow is required when deployment-source is workflow'
+      )
+    }
+    const tagPattern = core.getInput('tag-pattern') || null
+    if (tagPattern) {
+      try {
+        new RegExp(tagPattern)
+      } catch (error) {
+        throw new Error(
+          `tag-pattern is not a valid regular expression: ${error.message}`
+        )
+      }
+    }
+    const tagFilters = {
+      tagPrefix: core.getInput('tag-prefix') || null,
+      tagPattern,
+      semverSort: validateBoolean(
+        core.getInput('semver-sort') || 'false',
+        'semver-sort'
+      ),
+      excludePrereleases: validateBoolean(
+        core.getInput('exclude-prereleases') || 'false',
+        'exclude-prereleases'
+      )
+    }
+    const calendar = createWorkingCalendar()
+    const ratings = loadRatingConfig(
+      sanitizeFilePath(
+        core.getInput('config-file') || '.github/agile-metrics.yml'
+      )
+    )
     const enableDeploymentFrequency = validateBoolean(
       core.getInput('deployment-frequency') || 'false',
       'deployment-frequency'
@@ -49,6 +112,26 @@ export async function run() {
       core.getInput('lead-time') || 'false',
       'lead-time'
     )
+    const enableChangeFailureRate = validateBoolean(
+      core.getInput('change-failure-rate') || 'false',
+      'change-failure-rate'
+    )
+    const failureWindowHours = validatePositiveInteger(
+      core.getInput('failure-window-hours') || '72',
+      'failure-window-hours'
+    )
+    const failureLabels = (core.getInput('failure-labels') || 'hotfix,revert')
+      .split(',')
+      .map((l) => l.trim())
+      .filter((l) => l.length > 0)
+    const enableTimeToRestore = validateBoolean(
+      core.getInput('time-to-restore') || 'false',
+      'time-to-restore'
+    )
+    const incidentLabels = (core.getInput('incident-labels') || 'incident')
+      .split(',')
+      .map((l) => l.trim())
+      .filter((l) => l.length > 0)
     const enablePrSize = validateBoolean(
       core.getInput('pr-size') || 'false',
       'pr-size'
@@ -57,11 +140,7 @@ export async function run() {
       core.getInput('pr-maturity') || 'false',
       'pr-maturity'
     )
-    const filesToIgnore = core
-      .getInput('files-to-ignore')
-      .split(',')
-      .map((f) => f.trim())
-      .filter((f) => f.length > 0)
+    const filesToIgnore = parseIgnorePatterns(core.getInput('files-to-ignore'))
     const ignoreLineDeletions = validateBoolean(
       core.getInput('ignore-line-deletions') || 'false',
       'ignore-line-deletions'
@@ -70,11 +149,84 @@ export async function run() {
       core.getInput('ignore-file-deletions') || 'false',
       'ignore-file-deletions'
     )
+    const ignoreGeneratedFiles = validateBoolean(
+      core.getInput('ignore-generated-files') || 'false',
+      'ignore-generated-files'
+    )
+    const commentMode = validateOneOf(
+      core.getInput('comment-mode') || 'update',
+      ['update', 'recreate'],
+      'comment-mode'
+    )
+    const prReport = validateOneOf(
+      core.getInput('pr-report') || 'comment',
+      ['comment', 'check-run', 'both'],
+      'pr-report'
+    )
+    const labelPrefix = core.getInput('size-label-prefix') || 'size/'
+    const maxPRSizeInput = core.getInput('max-pr-size')
+    const maxPRSize = maxPRSizeInput
+      ? validateOneOf(maxPRSizeInput.toLowerCase(), PR_SIZES, 'max-pr-size')
+      : null
+    const minPRMaturityInput = core.getInput('min-pr-maturity')
+    const minPRMaturity = minPRMaturityInput
+      ? validatePositiveInteger(minPRMaturityInput, 'min-pr-maturity')
+      : null
+    if (minPRMaturity !== null && minPRMaturity > 100) {
+      throw new Error(
+        `min-pr-maturity must be a percentage between 1 and 100, got: ${minPRMaturityInput}`
+      )
+    }
+    // A budget on a disabled metric would never be checked
+    if (maxPRSize && !enablePrSize) {
+      throw new Error('max-pr-size requires pr-size to be enabled')
+    }
+    if (minPRMaturity !== null && !enablePrMaturity) {
+      throw new Error('min-pr-maturity requires pr-maturity to be enabled')
+    }
+    const maturityGracePeriod = validateNonNegativeInteger(
+      core.getInput('maturity-grace-period') || '5',
+      'maturity-grace-period'
+    )
+    const maturityTimestamp = validateOneOf(
+      core.getInput('maturity-commit-timestamp') || 'timeline',
+      ['author', 'committer', 'timeline'],
+      'maturity-commit-timestamp'
+    )
+    const budgetMode = validateOneOf(
+      core.getInput('budget-mode') || 'fail',
+      ['fail', 'warn'],
+      'budget-mode'
+    )
+    const exemptLabel =
+      core.getInput('budget-exempt-label') || `${labelPrefix}exempt`
+    const apiConcurrency = validatePositiveInteger(
+      core.getInput('api-concurrency') || '4',
+      'api-concurrency'
+    )
+    const clientOptions = {
+      concurrency: apiConcurrency,
+      maxRetries: validateNonNegativeInteger(
+        core.getInput('api-retries') || '3',
+        'api-retries'
+      ),
+      failOnApiError:
+        validateOneOf(
+          core.getInput('api-error-mode') || 'fail',
+          ['fail', 'warn'],
+          'api-error-mode'
+        ) === 'fail'
+    }
     const enableTeamMetrics = validateBoolean(
       core.getInput('team-metrics') || 'false',
       'team-metrics'
     )
     const timePeriod = core.getInput('time-period') || 'weekly'
+    const teamMetricsApi = validateOneOf(
+      core.getInput('team-metrics-api') || 'rest',
+      ['rest', 'graphql'],
+      'team-metrics-api'
+    )
     const teamMetricsOutputPath = sanitizeFilePath(
       core.getInput('team-metrics-output-path') ||
         'metrics/team_metrics_report.md'
@@ -84,12 +236,14 @@ export async function run() {
     if (
       !enableDeploymentFrequency &&
       !enableLeadTime &&
+      !enableChangeFailureRate &&
+      !enableTimeToRestore &&
       !enablePrSize &&
       !enablePrMaturity &&
       !enableTeamMetrics
     ) {
       throw new Error(
-        'At least one metric must be enabled (deployment-frequency, lead-time, pr-size, pr-maturity, or team-metrics)'
+        'At least one metric must be enabled (deployment-frequency, lead-time, change-failure-rate, time-to-restore, pr-size, pr-maturity, or team-metrics)'
       )
     }
 
@@ -99,13 +253,32 @@ export async function run() {
         githubToken,
         timePeriod,
         teamMetricsOutputPath,
-        commitResults
+        commitResults,
+        {
+          incidentLabels,
+          deploymentSource,
+          environment,
+          deployWorkflow,
+          deployBranch,
+          maxDeployments,
+          ...tagFilters,
+          calendar,
+          ratings,
+          labelPrefix,
+          concurrency: apiConcurrency,
+          dataSource: teamMetricsApi
+        },
+        clientOptions
       )
       return
     }
 
     // Determine if we need DORA or DevEx collectors based on enabled metrics
-    const needDoraMetrics = enableDeploymentFrequency || enableLeadTime
+    const needDoraMetrics =
+      enableDeploymentFrequency ||
+      enableLeadTime ||
+      enableChangeFailureRate ||
+      enableTimeToRestore
     const needDevExMetrics = enablePrSize || enablePrMaturity
 
     // Get repository context
@@ -113,17 +286,23 @@ export async function run() {
 
     core.info(`Collecting metrics for ${owner}/${repo}`)
     core.debug(
-      `Configuration: outputPath=${outputPath}, commitResults=${commitResults}, includeMergeCommits=${includeMergeCommits}`
+      `Configuration: outputPath=${outputPath}, commitResults=${commitResults}, includeMergeCommits=${includeMergeCommits}, deploymentSource=${deploymentSource}, environment=${environment}`
     )
     core.debug(
-      `Metrics enabled: Deploy Frequency=${enableDeploymentFrequency}, Cycle Time=${enableLeadTime}, PR Size=${enablePrSize}, PR Maturity=${enablePrMaturity}`
+      `Metrics enabled: Deploy Frequency=${enableDeploymentFrequency}, Cycle Time=${enableLeadTime}, Change Failure Rate=${enableChangeFailureRate}, Time to Restore=${enableTimeToRestore}, PR Size=${enablePrSize}, PR Maturity=${enablePrMaturity}`
     )
 
     // Initialize components
-    const githubClient = new GitHubClient(githubToken, owner, repo)
+    const githubClient = new GitHubClient(
+      githubToken,
+      owner,
+      repo,
+      clientOptions
+    )
     const outputManager = new OutputManager({
       commitResults,
-      outputPath
+      outputPath,
+      ratings
     })
 
     let combinedMetricsData = {
@@ -131,6 +310,7 @@ export async function run() {
       repository: `${owner}/${repo}`,
       metrics: {}
     }
+    let budget = null
 
     // Collect DORA metrics if any are enabled
     if (needDoraMetrics) {
@@ -141,18 +321,40 @@ export async function run() {
       if (enableLeadTime) {
         enabledDoraMetrics.push('cycle time')
       }
+      if (enableChangeFailureRate) {
+        enabledDoraMetrics.push('change failure rate')
+      }
+      if (enableTimeToRestore) {
+        enabledDoraMetrics.push('time to restore')
+      }
 
       core.info(`Collecting DORA metrics: ${enabledDoraMetrics.join(', ')}...`)
       const metricsCollector = new MetricsCollector(githubClient, {
         includeMergeCommits,
         maxReleases,
         maxTags,
+        maxDeployments,
+        since,
+        releaseWindow,
+        ...tagFilters,
+        calendar,
+        deploymentSource,
+        environment,
+        deployWorkflow,
+        deployBranch,
+        failureWindowHours,
+        failureLabels,
+        incidentLabels,
+        concurrency: apiConcurrency,
         enabledMetrics: {
           deploymentFrequency: enableDeploymentFrequency,
-          leadTime: enableLeadTime
+          leadTime: enableLeadTime,
+          changeFailureRate: enableChangeFailureRate,
+          timeToRestore: enableTimeToRestore
         }
       })
       const doraMetrics = await metricsCollector.collectMetrics()
+      githubClient.ensureComplete()
 
       // Merge DORA metrics into combined data
       combinedMetricsData = {
@@ -178,12 +380,22 @@ export async function run() {
         filesToIgnore,
         ignoreLineDeletions,
         ignoreFileDeletions,
+        ignoreGeneratedFiles,
+        ratings,
+        commentMode,
+        labelPrefix,
+        maxPRSize,
+        minPRMaturity,
+        exemptLabel,
+        gracePeriodMinutes: maturityGracePeriod,
+        commitTimestamp: maturityTimestamp,
         enabledMetrics: {
           prSize: enablePrSize,
           prMaturity: enablePrMaturity
         }
       })
       const devexMetrics = await devexCollector.collectMetrics()
+      githubClient.ensureComplete()
 
       // Merge DevEx metrics into combined data
       combinedMetricsData.metrics.devex = devexMetrics.metrics || {}
@@ -194,17 +406,49 @@ export async function run() {
         devexMetrics.metrics?.pr_size &&
         enablePrSize
       ) {
-        await devexCollector.addPRComment(
-          devexMetrics.pr_number,
-          devexMetrics.metrics.pr_size,
-          devexMetrics.metrics.pr_maturity
-        )
+        if (prReport !== 'check-run') {
+          await devexCollector.addPRComment(
+            devexMetrics.pr_number,
+            devexMetrics.metrics.pr_size,
+            devexMetrics.metrics.pr_maturity
+          )
+        }
         await devexCollector.addPRLabel(
           devexMetrics.pr_number,
           devexMetrics.metrics.pr_size.category
         )
       }
 
+      if (devexMetrics.pr_number) {
+        budget = await devexCollector.checkBudgets(
+          devexMetrics.pr_number,
+          devexMetrics.metrics?.pr_size,
+          devexMetrics.metrics?.pr_maturity
+        )
+        if (budget) {
+          combinedMetricsData.metrics.devex.budget = budget
+          core.setOutput('budget-exceeded', (!budget.passed).toString())
+        }
+      }
+
+      if (
+        prReport !== 'comment' &&
+        devexMetrics.pr_number &&
+        devexMetrics.metrics?.pr_size &&
+        enablePrSize
+      ) {
+        let conclusion = 'success'
+        if (budget && !budget.passed) {
+          conclusion = budgetMode === 'fail' ? 'failure' : 'neutral'
+        }
+        await devexCollector.publishCheckRun(
+          devexMetrics.pr_number,
+          devexMetrics.metrics.pr_size,
+          devexMetrics.metrics.pr_maturity,
+          conclusion
+        )
+      }
+
       // Set DevEx-specific outputs
       if (devexMetrics.metrics?.pr_size && enablePrSize) {
         core.setOutput('pr-size', devexMetrics.metrics.pr_size.size)
@@ -234,6 +478,8 @@ export async function run() {
       }
     }
 
+    githubClient.logRateLimit()
+
     // Process outputs
     core.info('Processing outputs...')
     await outputManager.processOutputs(combinedMetricsData)
@@ -258,7 +504,19 @@ export async function run() {
 
         if (enableLeadTime) {
           core.info(
-            `Cycle time (avg): ${combinedMetricsData.metrics?.dora?.cycle_time?.avg_hours ?? 'N/A'} hours`
+            `Cycle time (avg): ${combinedMetricsData.metrics?.dora?.cycle_time?.avg_hours ?? 'N/A'} hours, median: ${combinedMetricsData.metrics?.dora?.cycle_time?.median_hours ?? 'N/A'} hours`
+          )
+        }
+
+        if (enableChangeFailureRate) {
+          core.info(
+            `Change failure rate: ${combinedMetricsData.metrics?.dora?.change_failure_rate?.percentage ?? 'N/A'}%`
+          )
+        }
+
+        if (enableTimeToRestore) {
+          core.info(
+            `Time to restore (mean): ${combinedMetricsData.metrics?.dora?.time_to_restore?.mean_hours ?? 'N/A'} hours, median: ${combinedMetricsData.metrics?.dora?.time_to_restore?.median_hours ?? 'N/A'} hours`
           )
         }
       }
@@ -275,6 +533,20 @@ export async function run() {
         )
       }
     }
+
+    // Enforce PR budgets last so the outputs and summary are still written
+    if (budget?.exempt && budget.violations.length > 0) {
+      core.info(
+        `PR is over budget (${budget.violations.join('; ')}) but has the ${exemptLabel} label`
+      )
+    } else if (budget && !budget.passed) {
+      const message = `PR is over budget: ${budget.violations.join('; ')}. Add the ${exemptLabel} label to exempt it`
+      if (budgetMode === 'fail') {
+        core.setFailed(message)
+      } else {
+        core.warning(message)
+      }
+    }
   } catch (error) {
     // Fail the workflow run if an error occurs
     core.error(`Action failed: ${error.message}`)
@@ -286,18 +558,54 @@ export async function run() {
   }
 }
 
+/**
+ * Create the working calendar from the business hours inputs
+ * @returns {WorkingCalendar|null} Working calendar, or null when durations are measured in wall-clock time
+ */
+function createWorkingCalendar() {
+  const businessHours = validateBoolean(
+    core.getInput('business-hours') || 'false',
+    'business-hours'
+  )
+  if (!businessHours) return null
+
+  const timezone = core.getInput('timezone') || 'UTC'
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+  } catch {
+    throw new Error(`timezone must be an IANA timezone, got: ${timezone}`)
+  }
+
+  const holidaysFile = core.getInput('holidays-file')
+
+  return new WorkingCalendar({
+    timezone,
+    workingDays: parseWorkingDays(
+      core.getInput('working-days') || 'mon,tue,wed,thu,fri'
+    ),
+    workingHours: parseWorkingHours(
+      core.getInput('working-hours') || '09:00-17:00'
+    ),
+    holidays: holidaysFile ? loadHolidays(sanitizeFilePath(holidaysFile)) : []
+  })
+}
+
 /**
  * Run team metrics collection workflow
  * @param {string} githubToken - GitHub token
  * @param {string} timePeriod - Time period for metrics
  * @param {string} outputPath - Output path for report
  * @param {boolean} commitResults - Whether to commit results
+ * @param {Object} collectorOptions - Additional team metrics collector options
+ * @param {Object} clientOptions - GitHub client request options
  */
 async function runTeamMetrics(
   githubToken,
   timePeriod,
   outputPath,
-  commitResults
+  commitResults,
+  collectorOptions = {},
+  clientOptions = {}
 ) {
   try {
     const { owner, repo } = github.context.repo
@@ -305,14 +613,22 @@ async function runTeamMetrics(
     core.info(`Collecting team metrics for ${owner}/${repo}`)
     core.info(`Time period: ${timePeriod}`)
 
-    const githubClient = new GitHubClient(githubToken, owner, repo)
+    const githubClient = new GitHubClient(
+      githubToken,
+      owner,
+      repo,
+      clientOptions
+    )
 
     const teamMetricsCollector = new TeamMetricsCollector(githubClient, {
-      timePeriod
+      timePeriod,
+      ...collectorOptions
     })
 
     // Collect team metrics (includes DORA metrics for the period)
     const metricsData = await teamMetricsCollector.collectMetrics()
+    githubClient.ensureComplete()
+    githubClient.logRateLimit()
 
     // Generate markdown report
     const markdownReport =
@@ -1,6 +1,24 @@
 import * as core from '@actions/core'
 import { GitHubClient } from './github-client.js'
-import { toISOString, hoursBetween, daysBetween } from './utils.js'
+import { getDurationMode } from './working-calendar.js'
+import {
+  toISOString,
+  hoursBetween,
+  daysBetween,
+  isPatchBump,
+  summarizeIncidents,
+  filterTags,
+  calculateStatistics,
+  mapWithConcurrency
+} from './utils.js'
+import {
+  DEPLOYMENT_RECORD_SOURCES,
+  listDeploymentRecords,
+  toDeploymentRef
+} from './deployment-records.js'
+
+// Commit messages that mark a deployment as a fix for the one before it
+const FAILURE_COMMIT_PATTERN = /\b(revert|hotfix)\b/i
 
 /**
  * Main metrics collection class
@@ -17,12 +35,32 @@ export class MetricsCollector {
       includeMergeCommits: false,
       maxReleases: 100,
       maxTags: 100,
+      maxDeployments: 100,
+      since: null,
+      releaseWindow: 1,
+      calendar: null, // WorkingCalendar to measure durations in business hours
+      tagPrefix: null,
+      tagPattern: null,
+      semverSort: false,
+      excludePrereleases: false,
+      deploymentSource: 'auto', // releases, tags, deployments, workflow, auto
+      environment: 'production',
+      deployWorkflow: null,
+      deployBranch: 'main',
+      failureWindowHours: 72,
+      failureLabels: ['hotfix', 'revert'],
+      incidentLabels: ['incident'],
+      concurrency: 4, // Tags, commit ranges and PRs fetched at the same time
       enabledMetrics: {
         deploymentFrequency: true,
-        leadTime: true
+        leadTime: true,
+        changeFailureRate: false,
+        timeToRestore: false
       },
       ...options
     }
+    this.deploymentRecords = null
+    this.deployments = null
   }
 
   /**
@@ -40,7 +78,9 @@ export class MetricsCollector {
         }
       }
 
-      const metricsData = {}
+      const metricsData = {
+        duration_mode: getDurationMode(this.options.calendar)
+      }
 
       // Calculate deploy frequency if enabled
       if (this.options.enabledMetrics.deploymentFrequency) {
@@ -54,6 +94,22 @@ export class MetricsCollector {
       if (this.options.enabledMetrics.leadTime) {
         const leadTimeMetrics = await this.calculateCycleTime(latest, previous)
         metricsData.cycle_time = leadTimeMetrics
+
+        if (this.options.releaseWindow > 1) {
+          metricsData.cycle_time_history =
+            await this.calculateCycleTimeHistory()
+        }
+      }
+
+      // Calculate change failure rate if enabled
+      if (this.options.enabledMetrics.changeFailureRate) {
+        metricsData.change_failure_rate =
+          await this.calculateChangeFailureRate()
+      }
+
+      // Calculate mean time to restore if enabled
+      if (this.options.enabledMetrics.timeToRestore) {
+        metricsData.time_to_restore = await this.calculateTimeToRestore()
       }
 
       // Generate complete metrics object
@@ -88,49 +144,81 @@ export class MetricsCollector {
   }
 
   /**
-   * Determine whether to use releases or tags and get latest/previous production deployments
-   * Each release/tag represents a production deployment containing multiple commits
+   * Determine the deployment source and get latest/previous production deployments
+   * Each release/tag/deployment represents a production deployment containing multiple commits
+   * In `auto` mode releases are preferred, falling back to tags
    * @returns {Promise<Object>} Data source information
    */
   async determineDataSource() {
-    // Try releases first
-    const releases = await this.githubClient.listReleases(
-      this.options.maxReleases
-    )
+    const { deploymentSource } = this.options
 
-    if (releases.length >= 1) {
-      const latest = {
-        name: releases[0].name || releases[0].tag_name,
-        tag: releases[0].tag_name,
-        created_at: releases[0].created_at
+    if (DEPLOYMENT_RECORD_SOURCES.includes(deploymentSource)) {
+      const deployments = await this.listDeploymentRecords()
+
+      if (deployments.length === 0) {
+        throw new Error(
+          deploymentSource === 'workflow'
+            ? `No successful runs found for workflow ${this.options.deployWorkflow} on ${this.options.deployBranch}`
+            : `No successful deployments found for environment ${this.options.environment}`
+        )
       }
 
-      const previous =
-        releases.length >= 2
-          ? {
-              name: releases[1].name || releases[1].tag_name,
-              tag: releases[1].tag_name,
-              created_at: releases[1].created_at
-            }
-          : null
+      const [latest, previous] = deployments.map((deployment) =>
+        toDeploymentRef(deployment, this.options.environment)
+      )
+
+      return {
+        source: deploymentSource === 'workflow' ? 'workflow' : 'deployment',
+        latest,
+        previous: previous || null
+      }
+    }
+
+    if (deploymentSource !== 'tags') {
+      const releases = await this.listReleases()
 
-      // Resolve SHAs from tags
-      const headResolved = await this.githubClient.resolveTag(latest.tag)
-      latest.sha = headResolved?.sha
+      if (releases.length >= 1) {
+        const latest = {
+          name: releases[0].name || releases[0].tag_name,
+          tag: releases[0].tag_name,
+          created_at: releases[0].created_at
+        }
+
+        const previous =
+          releases.length >= 2
+            ? {
+                name: releases[1].name || releases[1].tag_name,
+                tag: releases[1].tag_name,
+                created_at: releases[1].created_at
+              }
+            : null
+
+        // Resolve SHAs from tags
+        const headResolved = await this.githubClient.resolveTag(latest.tag)
+        latest.sha = headResolved?.sha
+
+        if (previous) {
+          const baseResolved = await this.githubClient.resolveTag(previous.tag)
+          previous.sha = baseResolved?.sha
+        }
 
-      if (previous) {
-        const baseResolved = await this.githubClient.resolveTag(previous.tag)
-        previous.sha = baseResolved?.sha
+        return { source: 'release', latest, previous }
       }
 
-      return { source: 'release', latest, previous }
+      if (deploymentSource === 'releases') {
+        throw new Error('No releases found')
+      }
     }
 
     // Fallback to tags
-    const tags = await this.githubClient.listTags(this.options.maxTags)
+    const tags = await this.listTags()
 
     if (tags.length === 0) {
-      throw new Error('No releases or tags found')
+      throw new Error(
+        deploymentSource === 'tags'
+          ? 'No tags found'
+          : 'No releases or tags found'
+      )
     }
 
     const latestTag = await this.githubClient.resolveTag(tags[0].name)
@@ -141,6 +229,42 @@ export class MetricsCollector {
     return { source: 'tag', latest: latestTag, previous: prevTag }
   }
 
+  /**
+   * List releases matching the configured tag filters
+   * @returns {Promise<Array>} Array of release objects, newest (or highest version) first
+   */
+  async listReleases() {
+    const releases = await this.githubClient.listReleases(
+      this.options.maxReleases,
+      this.options.since
+    )
+    return filterTags(releases, (release) => release.tag_name, this.options)
+  }
+
+  /**
+   * List tags matching the configured tag filters
+   * @returns {Promise<Array>} Array of tag objects
+   */
+  async listTags() {
+    const tags = await this.githubClient.listTags(this.options.maxTags)
+    return filterTags(tags, (tag) => tag.name, this.options)
+  }
+
+  /**
+   * List successful deployment records (deployments or workflow runs), newest first
+   * Every metric reads the same records, so they are fetched once per collector
+   * @returns {Promise<Array>} Array of records with sha, ref and created_at
+   */
+  listDeploymentRecords() {
+    if (!this.deploymentRecords) {
+      this.deploymentRecords = listDeploymentRecords(
+        this.githubClient,
+        this.options
+      )
+    }
+    return this.deploymentRecords
+  }
+
   /**
    * Calculate deploy frequency - counts production deployments (releases/tags) in the time period
    * Each release/tag represents a production deployment containing multiple commits
@@ -148,14 +272,36 @@ export class MetricsCollector {
    */
   async calculateDeployFrequency() {
     try {
+      const { deploymentSource } = this.options
+
+      if (DEPLOYMENT_RECORD_SOURCES.includes(deploymentSource)) {
+        const deployments = await this.listDeploymentRecords()
+        if (deployments.length <= 1) {
+          return { deployCount: deployments.length, deploysPerWeek: null }
+        }
+
+        const days = daysBetween(
+          deployments[0].created_at,
+          deployments[deployments.length - 1].created_at
+        )
+        const weeks = days / 7
+        const deploysPerWeek =
+          weeks > 0 ? Number((deployments.length / weeks).toFixed(2)) : null
+
+        return { deployCount: deployments.length, deploysPerWeek }
+      }
+
       // Get all releases/tags to count deployments in the period
-      const releases = await this.githubClient.listReleases(
-        this.options.maxReleases
-      )
+      const releases =
+        deploymentSource === 'tags' ? [] : await this.listReleases()
+
+      if (releases.length === 0 && deploymentSource === 'releases') {
+        return { deployCount: 0, deploysPerWeek: null }
+      }
 
       if (releases.length === 0) {
         // Fallback to tags if no releases
-        const tags = await this.githubClient.listTags(this.options.maxTags)
+        const tags = await this.listTags()
         if (tags.length === 0) {
           return { deployCount: 0, deploysPerWeek: null }
         }
@@ -174,9 +320,9 @@ export class MetricsCollector {
           return { deployCount: tags.length, deploysPerWeek: null }
         }
 
-        const days = daysBetween(
-          newestResolved.created_at,
-          oldestResolved.created_at
+        // Semver-sorted tags are not in date order, so take the absolute span
+        const days = Math.abs(
+          daysBetween(newestResolved.created_at, oldestResolved.created_at)
         )
         const weeks = days / 7
         const deploysPerWeek =
@@ -190,9 +336,9 @@ export class MetricsCollector {
         return { deployCount: 1, deploysPerWeek: null }
       }
 
-      const oldest = releases[releases.length - 1]
-      const newest = releases[0]
-      const days = daysBetween(newest.created_at, oldest.created_at)
+      // Semver-sorted releases are not in date order, so span all of them
+      const timestamps = releases.map((r) => new Date(r.created_at).getTime())
+      const days = daysBetween(Math.max(...timestamps), Math.min(...timestamps))
       const weeks = days / 7
       const deploysPerWeek =
         weeks > 0 ? Number((releases.length / weeks).toFixed(2)) : null
@@ -218,9 +364,17 @@ export class MetricsCollector {
    * @returns {Promise<Object>} Cycle time metrics
    */
   async calculateCycleTime(latest, previous) {
-    let allCommits = []
-    let commitDates = []
+    const allCommits = await this.getDeploymentCommits(latest, previous)
+    return this.summarizeDeploymentCommits(latest, allCommits)
+  }
 
+  /**
+   * Get the commits included in a production deployment
+   * @param {Object} latest - Deployment to get the commits of
+   * @param {Object} previous - Deployment before it, if any
+   * @returns {Promise<Array>} Array of commit objects
+   */
+  async getDeploymentCommits(latest, previous) {
     if (previous?.sha) {
       // Compare all commits included in the latest production deployment
       // (between previous release/tag and latest release/tag)
@@ -228,17 +382,23 @@ export class MetricsCollector {
         previous.sha,
         latest.sha
       )
-      allCommits = comparison.commits || []
-    } else {
-      // Single-tag case: use the single tagged commit
-      const commit = await this.githubClient.getCommit(latest.sha)
-      if (commit) {
-        allCommits = [commit]
-      }
+      return comparison.commits || []
     }
 
+    // Single-tag case: use the single tagged commit
+    const commit = await this.githubClient.getCommit(latest.sha)
+    return commit ? [commit] : []
+  }
+
+  /**
+   * Summarize the cycle time of the commits in a production deployment
+   * @param {Object} latest - Deployment the commits shipped in
+   * @param {Array} allCommits - Commits included in the deployment
+   * @returns {Object} Cycle time metrics
+   */
+  summarizeDeploymentCommits(latest, allCommits) {
     // Extract commit dates
-    commitDates = allCommits
+    const commitDates = allCommits
       .map((c) => c.commit?.committer?.date || c.commit?.author?.date)
       .filter(Boolean)
 
@@ -247,6 +407,7 @@ export class MetricsCollector {
     let ltcNewestHours = null
     let oldestCommitSha = null
     let newestCommitSha = null
+    let ages = []
 
     if (commitDates.length > 0) {
       const commitsWithAges = allCommits
@@ -255,7 +416,8 @@ export class MetricsCollector {
           date: c.commit?.committer?.date || c.commit?.author?.date,
           age: hoursBetween(
             latest.created_at,
-            c.commit?.committer?.date || c.commit?.author?.date
+            c.commit?.committer?.date || c.commit?.author?.date,
+            this.options.calendar
           ),
           isMerge: c.parents?.length > 1 || false, // merge commits have multiple parents
           message: c.commit?.message || ''
@@ -264,7 +426,7 @@ export class MetricsCollector {
 
       if (commitsWithAges.length > 0) {
         // Calculate overall stats using all commits (including merges)
-        const ages = commitsWithAges.map((c) => c.age)
+        ages = commitsWithAges.map((c) => c.age)
         const sum = ages.reduce((a, b) => a + b, 0)
         ltcAvgHours = Number((sum / ages.length).toFixed(2))
         ltcOldestHours = Number(Math.max(...ages).toFixed(2))
@@ -301,14 +463,341 @@ export class MetricsCollector {
       }
     }
 
+    const statistics = calculateStatistics(ages)
+
     return {
       commit_count: commitDates.length,
       avg_hours: ltcAvgHours,
       oldest_hours: ltcOldestHours,
       newest_hours: ltcNewestHours,
+      median_hours: statistics.median,
+      statistics,
       oldest_commit_sha: oldestCommitSha,
       newest_commit_sha: newestCommitSha,
       newest_excludes_merges: !this.options.includeMergeCommits
     }
   }
+
+  /**
+   * Calculate cycle time for each of the last `releaseWindow` deployments
+   * Every deployment is compared with the one before it, so a single unusual
+   * release does not dominate the result
+   * @returns {Promise<Object>} Overall cycle time statistics and per-release history
+   */
+  async calculateCycleTimeHistory() {
+    const windowSize = this.options.releaseWindow
+
+    const deployments = (await this.listDeployments()).slice(0, windowSize + 1)
+    await mapWithConcurrency(
+      deployments,
+      this.options.concurrency,
+      async (deployment) => {
+        if (!deployment.sha) {
+          const resolved = await this.githubClient.resolveTag(deployment.tag)
+          deployment.sha = resolved?.sha || null
+        }
+      }
+    )
+
+    const commitLists = await mapWithConcurrency(
+      deployments.slice(0, windowSize),
+      this.options.concurrency,
+      (deployment, i) =>
+        deployment.sha
+          ? this.getDeploymentCommits(deployment, deployments[i + 1])
+          : null
+    )
+
+    const releases = []
+    const allAges = []
+    commitLists.forEach((commits, i) => {
+      if (!commits) return
+
+      const deployment = deployments[i]
+      allAges.push(
+        ...commits
+          .map((c) => c.commit?.committer?.date || c.commit?.author?.date)
+          .filter(Boolean)
+          .map((date) =>
+            hoursBetween(deployment.created_at, date, this.options.calendar)
+          )
+      )
+
+      const cycleTime = this.summarizeDeploymentCommits(deployment, commits)
+      releases.push({
+        tag: deployment.tag,
+        created_at: toISOString(deployment.created_at),
+        commit_count: cycleTime.commit_count,
+        avg_hours: cycleTime.avg_hours,
+        median_hours: cycleTime.median_hours,
+        oldest_hours: cycleTime.oldest_hours,
+        newest_hours: cycleTime.newest_hours
+      })
+    })
+
+    const statistics = calculateStatistics(allAges)
+
+    return {
+      window: windowSize,
+      release_count: releases.length,
+      commit_count: allAges.length,
+      mean_hours: statistics.mean,
+      median_hours: statistics.median,
+      p75_hours: statistics.p75,
+      p90_hours: statistics.p90,
+      statistics,
+      releases
+    }
+  }
+
+  /**
+   * List production deployments from the configured source, newest first
+   * Every metric reads the same deployments, so they are listed once per
+   * collector
+   * @returns {Promise<Array>} Array of deployments with tag, created_at and optional sha
+   */
+  listDeployments() {
+    if (!this.deployments) {
+      this.deployments = this.fetchDeployments()
+    }
+    return this.deployments
+  }
+
+  /**
+   * Fetch production deployments from the configured source, newest first
+   * Tags are resolved so that every deployment carries a creation date
+   * @returns {Promise<Array>} Array of deployments with tag, created_at and optional sha
+   */
+  async fetchDeployments() {
+    const { deploymentSource } = this.options
+
+    if (DEPLOYMENT_RECORD_SOURCES.includes(deploymentSource)) {
+      const deployments = await this.listDeploymentRecords()
+      return deployments.map((deployment) => {
+        const { tag, created_at, sha } = toDeploymentRef(
+          deployment,
+          this.options.environment
+        )
+        return { tag, created_at, sha }
+      })
+    }
+
+    const releases =
+      deploymentSource === 'tags' ? [] : await this.listReleases()
+
+    if (releases.length > 0 || deploymentSource === 'releases') {
+      return releases
+        .map((release) => ({
+          tag: release.tag_name,
+          created_at: release.created_at,
+          sha: null
+        }))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    }
+
+    const tags = await this.listTags()
+    const resolvedTags = await mapWithConcurrency(
+      tags,
+      this.options.concurrency,
+      (tag) => this.githubClient.resolveTag(tag.name)
+    )
+    const deployments = []
+    tags.forEach((tag, i) => {
+      if (resolvedTags[i]?.created_at) {
+        deployments.push({
+          tag: tag.name,
+          created_at: resolvedTags[i].created_at,
+          sha: resolvedTags[i].sha
+        })
+      }
+    })
+
+    return deployments.sort(
+      (a, b) => new Date(b.created_at) - new Date(a.created_at)
+    )
+  }
+
+  /**
+   * Calculate change failure rate
+   * A deployment is classified as failed when the next deployment is a hotfix
+   * or revert that lands within the failure window. A follow-up deployment is
+   * treated as a fix when it is a patch version bump, when its commits mention
+   * a revert/hotfix, or when its merged PRs carry one of the failure labels.
+   * @returns {Promise<Object>} Change failure rate metrics
+   */
+  async calculateChangeFailureRate() {
+    const windowHours = this.options.failureWindowHours
+
+    try {
+      const deployments = await this.listDeployments()
+      const failedReleases = []
+
+      // Deployments are newest first, so deployments[i - 1] follows deployments[i]
+      const candidates = []
+      for (let i = 1; i < deployments.length; i++) {
+        const deployment = deployments[i]
+        const followUp = deployments[i - 1]
+        // The failure window is always measured in wall-clock hours
+        const gapHours = hoursBetween(
+          followUp.created_at,
+          deployment.created_at
+        )
+
+        if (gapHours >= 0 && gapHours <= windowHours) {
+          candidates.push({ deployment, followUp })
+        }
+      }
+
+      // Commit ranges are compared in parallel; PR labels are only looked up
+      // for candidates without a cheaper signal
+      const signals = await mapWithConcurrency(
+        candidates,
+        this.options.concurrency,
+        ({ deployment, followUp }) =>
+          this.detectCommitSignal(followUp, deployment)
+      )
+
+      for (const [i, { deployment, followUp }] of candidates.entries()) {
+        const reason =
+          signals[i].reason ||
+          (await this.detectLabelSignal(signals[i].commits))
+        if (reason) {
+          failedReleases.push({
+            tag: deployment.tag,
+            created_at: toISOString(deployment.created_at),
+            fixed_by: followUp.tag,
+            hours_to_fix: Number(
+              hoursBetween(
+                followUp.created_at,
+                deployment.created_at,
+                this.options.calendar
+              ).toFixed(2)
+            ),
+            reason
+          })
+        }
+      }
+
+      const total = deployments.length
+      const rate = total > 0 ? failedReleases.length / total : null
+
+      return {
+        rate: rate !== null ? Number(rate.toFixed(3)) : null,
+        percentage: rate !== null ? Math.round(rate * 100) : null,
+        total_deployments: total,
+        failed_deployments: failedReleases.length,
+        window_hours: windowHours,
+        failed_releases: failedReleases
+      }
+    } catch (error) {
+      core.error(`Failed to calculate change failure rate: ${error.message}`)
+      return {
+        rate: null,
+        percentage: null,
+        total_deployments: 0,
+        failed_deployments: 0,
+        window_hours: windowHours,
+        failed_releases: []
+      }
+    }
+  }
+
+  /**
+   * Check whether a deployment is a hotfix or revert of the previous one from
+   * its version and commits
+   * Cheap signals are checked first so that API calls are only made when needed
+   * @param {Object} followUp - Deployment that followed the candidate
+   * @param {Object} deployment - Candidate deployment that may have failed
+   * @returns {Promise<Object>} Detected reason (or null) and the commits of the follow-up
+   */
+  async detectCommitSignal(followUp, deployment) {
+    if (isPatchBump(followUp.tag, deployment.tag)) {
+      return { reason: 'patch_bump', commits: [] }
+    }
+
+    const baseSha =
+      deployment.sha ||
+      (await this.githubClient.resolveTag(deployment.tag))?.sha
+    const headSha =
+      followUp.sha || (await this.githubClient.resolveTag(followUp.tag))?.sha
+    if (!baseSha || !headSha) return { reason: null, commits: [] }
+
+    const comparison = await this.githubClient.compareCommits(baseSha, headSha)
+    const commits = comparison.commits || []
+
+    if (commits.some((c) => FAILURE_COMMIT_PATTERN.test(c.commit?.message))) {
+      return { reason: 'commit_message', commits }
+    }
+
+    return { reason: null, commits }
+  }
+
+  /**
+   * Check whether any of a follow-up deployment's commits came from a merged
+   * PR carrying one of the failure labels
+   * Commits are looked up through the pool; once a labelled PR is found,
+   * lookups already in flight finish but no new ones are sent
+   * @param {Array} commits - Commits of the follow-up deployment
+   * @returns {Promise<string|null>} 'pr_label', or null if no PR is labelled
+   */
+  async detectLabelSignal(commits) {
+    const failureLabels = this.options.failureLabels.map((l) => l.toLowerCase())
+    if (failureLabels.length === 0) return null
+
+    let labelled = false
+    await mapWithConcurrency(
+      commits,
+      this.options.concurrency,
+      async (commit) => {
+        if (labelled) return
+
+        const prs = await this.githubClient.getPullRequestsForCommit(commit.sha)
+        if (
+          prs.some(
+            (pr) =>
+              pr.merged_at &&
+              pr.labels?.some((label) =>
+                failureLabels.includes(label.name.toLowerCase())
+              )
+          )
+        ) {
+          labelled = true
+        }
+      }
+    )
+
+    return labelled ? 'pr_label' : null
+  }
+
+  /**
+   * Calculate time to restore service from incident issues
+   * Incidents are limited to the span covered by the fetched deployments so
+   * that every incident can be correlated with the release that restored it
+   * @returns {Promise<Object>} Time to restore metrics
+   */
+  async calculateTimeToRestore() {
+    try {
+      const deployments = await this.listDeployments()
+      const since =
+        deployments.length > 0
+          ? toISOString(deployments[deployments.length - 1].created_at)
+          : null
+
+      const issues = await this.githubClient.listIncidentIssues(
+        this.options.incidentLabels,
+        since
+      )
+
+      return {
+        ...summarizeIncidents(issues, deployments, this.options.calendar),
+        incident_labels: this.options.incidentLabels
+      }
+    } catch (error) {
+      core.error(`Failed to calculate time to restore: ${error.message}`)
+      return {
+        ...summarizeIncidents([]),
+        incident_labels: this.options.incidentLabels
+      }
+    }
+  }
 }
@@ -1,6 +1,8 @@
 import * as core from '@actions/core'
 import * as exec from '@actions/exec'
 import { writeJsonFile, formatHoursToDays } from './utils.js'
+import { formatDurationMode } from './working-calendar.js'
+import { RatingEngine } from './ratings.js'
 
 /**
  * Handle all output operations for the action
@@ -14,6 +16,7 @@ export class OutputManager {
     this.options = {
       commitResults: true,
       outputPath: 'metrics/delivery_metrics.json',
+      ratings: new RatingEngine(),
       ...options
     }
   }
@@ -83,15 +86,35 @@ export class OutputManager {
     const doraMetrics = metricsData.metrics?.dora
     if (doraMetrics) {
       const ct = doraMetrics.cycle_time
+      // The release window history is preferred; a single release still has
+      // its own median and p90
+      const history = doraMetrics.cycle_time_history
 
       core.setOutput(
         'deployment-frequency',
         doraMetrics.deploy_frequency_days?.toString() || ''
       )
+      core.setOutput('duration-mode', doraMetrics.duration_mode?.type || '')
       core.setOutput('lead-time-avg', ct?.avg_hours?.toString() || '')
       core.setOutput('lead-time-oldest', ct?.oldest_hours?.toString() || '')
       core.setOutput('lead-time-newest', ct?.newest_hours?.toString() || '')
       core.setOutput('commit-count', ct?.commit_count?.toString() || '0')
+      core.setOutput(
+        'lead-time-median',
+        (history?.median_hours ?? ct?.median_hours)?.toString() || ''
+      )
+      core.setOutput(
+        'lead-time-p90',
+        (history?.p90_hours ?? ct?.statistics?.p90)?.toString() || ''
+      )
+      core.setOutput(
+        'change-failure-rate',
+        doraMetrics.change_failure_rate?.percentage?.toString() || ''
+      )
+      core.setOutput(
+        'time-to-restore-avg',
+        doraMetrics.time_to_restore?.mean_hours?.toString() || ''
+      )
     }
 
     // DevEx outputs are set in main.js to avoid coupling
@@ -122,12 +145,54 @@ export class OutputManager {
 #### DORA Metrics
 - **Source:** ${metricsData.source}
 - **Latest:** ${metricsData.latest?.tag} @ ${metricsData.latest?.created_at}
+- **Durations:** ${formatDurationMode(doraMetrics.duration_mode)}
 - **Deploy Frequency (days):** ${doraMetrics.deploy_frequency_days ?? 'N/A'}
 - **Cycle Time:** ${formatHoursToDays(ct?.avg_hours)}
+  - Median: ${formatHoursToDays(ct?.median_hours)}
   - Number of commits: ${ct?.commit_count || 0}
   - Oldest: ${formatHoursToDays(ct?.oldest_hours)} ${ct?.oldest_commit_sha ? `(${ct.oldest_commit_sha.substring(0, 7)})` : ''}
   - Newest: ${formatHoursToDays(ct?.newest_hours)} ${ct?.newest_commit_sha ? `(${ct.newest_commit_sha.substring(0, 7)})` : ''}
         `
+
+        const history = doraMetrics.cycle_time_history
+        if (history) {
+          summary += `
+- **Cycle Time (last ${history.release_count} releases):** ${formatHoursToDays(history.mean_hours)}
+  - Median: ${formatHoursToDays(history.median_hours)}
+  - P75: ${formatHoursToDays(history.p75_hours)}
+  - P90: ${formatHoursToDays(history.p90_hours)}`
+          history.releases.forEach((release) => {
+            summary += `
+  - ${release.tag}: ${formatHoursToDays(release.avg_hours)} across ${release.commit_count} commits`
+          })
+          summary += '\n'
+        }
+
+        const cfr = doraMetrics.change_failure_rate
+        if (cfr) {
+          summary += `
+- **Change Failure Rate:** ${cfr.percentage ?? 'N/A'}% (${cfr.failed_deployments} of ${cfr.total_deployments} deployments, ${cfr.window_hours}h window)`
+          cfr.failed_releases.forEach((release) => {
+            summary += `
+  - ${release.tag} fixed by ${release.fixed_by} after ${release.hours_to_fix}h (${release.reason})`
+          })
+          summary += '\n'
+        }
+
+        const ttr = doraMetrics.time_to_restore
+        if (ttr) {
+          const ttrRating = this.getTimeToRestoreRating(ttr.mean_hours)
+          summary += `
+- **Time to Restore:** ${formatHoursToDays(ttr.mean_hours)} ${this.getRatingEmoji(ttrRating)} ${ttrRating}
+  - Median: ${formatHoursToDays(ttr.median_hours)}
+  - P90: ${formatHoursToDays(ttr.p90_hours)}
+  - Incidents: ${ttr.resolved_count} of ${ttr.incident_count} resolved`
+          ttr.incidents.forEach((incident) => {
+            summary += `
+  - #${incident.number} ${incident.title}: ${incident.restore_hours !== null ? `${incident.restore_hours}h` : 'open'}${incident.restored_by ? ` (restored by ${incident.restored_by})` : ''}`
+          })
+          summary += '\n'
+        }
       }
 
       // Add DevEx metrics section if available
@@ -146,7 +211,8 @@ export class OutputManager {
 - **Total Changes:** ${prSize.details.total_changes}
 - **Lines Added:** ${prSize.details.total_additions}
 - **Lines Removed:** ${prSize.details.total_deletions}
-- **Files Changed:** ${prSize.details.files_changed}`
+- **Files Changed:** ${prSize.details.files_changed}${prSize.details.generated_lines_skipped ? `\n- **Generated Lines Skipped:** ${prSize.details.generated_lines_skipped} (${prSize.details.generated_files.length} files)` : ''}
+- **Size Thresholds:** ${this.options.ratings.formatSizeThresholds()}`
         }
 
         if (devexMetrics?.pr_maturity) {
@@ -168,6 +234,11 @@ export class OutputManager {
 - **Changes After Publication:** ${maturity.details.changes_after_publication}`
           }
         }
+
+        if (devexMetrics?.budget) {
+          summary += `
+- **Budget:** ${this.formatBudget(devexMetrics.budget)}`
+        }
       }
 
       await core.summary.addRaw(summary).write()
@@ -177,6 +248,21 @@ export class OutputManager {
     }
   }
 
+  /**
+   * Format a PR budget result for the summary
+   * @param {Object} budget - Budget result from DevExMetricsCollector.checkBudgets
+   * @returns {string} Budget status
+   */
+  formatBudget(budget) {
+    if (budget.violations.length === 0) {
+      return '✅ Within budget'
+    }
+    const violations = budget.violations.join('; ')
+    return budget.exempt
+      ? `⚪ Exempt (${violations})`
+      : `❌ Over budget (${violations})`
+  }
+
   /**
    * Get emoji for PR size category
    * @param {string} size - Size category
@@ -184,6 +270,7 @@ export class OutputManager {
    */
   getSizeEmoji(size) {
     const emojiMap = {
+      xs: '▫️',
       s: '🔹',
       m: '🔸',
       l: '🔶',
@@ -198,11 +285,7 @@ export class OutputManager {
    * @returns {string} Emoji representation
    */
   getMaturityEmoji(percentage) {
-    if (percentage === null || percentage === undefined) return '❓'
-    if (percentage > 88) return '⭐'
-    if (percentage >= 81) return '✅'
-    if (percentage >= 75) return '⚖️'
-    return '🎯'
+    return this.getRatingEmoji(this.getMaturityLevel(percentage))
   }
 
   /**
@@ -211,11 +294,7 @@ export class OutputManager {
    * @returns {string} Maturity level description
    */
   getMaturityLevel(percentage) {
-    if (percentage === null || percentage === undefined) return 'Unknown'
-    if (percentage > 88) return 'Elite'
-    if (percentage >= 81) return 'Good'
-    if (percentage >= 75) return 'Fair'
-    return 'Needs Focus'
+    return this.options.ratings.rate('pr_maturity', percentage)
   }
 
   /**
@@ -224,13 +303,16 @@ export class OutputManager {
    * @returns {string} Rating
    */
   getSizeRating(size) {
-    const ratingMap = {
-      s: 'Elite',
-      m: 'Good',
-      l: 'Fair',
-      xl: 'Needs Focus'
-    }
-    return ratingMap[size] || 'Unknown'
+    return this.options.ratings.rateSize(size)
+  }
+
+  /**
+   * Get time to restore rating
+   * @param {number|null} hours - Mean time to restore in hours
+   * @returns {string} Rating
+   */
+  getTimeToRestoreRating(hours) {
+    return this.options.ratings.rate('time_to_restore', hours)
   }
 
   /**
@@ -239,13 +321,7 @@ export class OutputManager {
    * @returns {string} Emoji representation
    */
   getRatingEmoji(rating) {
-    const emojiMap = {
-      Elite: '⭐',
-      Good: '✅',
-      Fair: '⚖️',
-      'Needs Focus': '🎯'
-    }
-    return emojiMap[rating] || '❓'
+    return this.options.ratings.getEmoji(rating)
   }
 
   /**
@@ -0,0 +1,283 @@
+import * as fs from 'fs'
+import { parse } from 'yaml'
+
+/**
+ * Default rating thresholds
+ * For duration metrics lower is better: below `elite` is Elite, up to `good`
+ * is Good and up to `fair` is Fair. For the other metrics higher is better:
+ * above `elite` is Elite, from `good` is Good and from `fair` is Fair.
+ */
+export const DEFAULT_THRESHOLDS = {
+  pickup_time: { elite: 2, good: 6, fair: 16 },
+  approve_time: { elite: 17, good: 24, fair: 45 },
+  merge_time: { elite: 2, good: 5, fair: 19 },
+  cycle_time: { elite: 45, good: 95, fair: 169 },
+  time_to_restore: { elite: 1, good: 24, fair: 168 },
+  merge_frequency: { elite: 1.6, good: 1.1, fair: 0.6 },
+  deploy_frequency: { elite: 0.9, good: 0.5, fair: 0.2 },
+  pr_maturity: { elite: 88, good: 81, fair: 75 }
+}
+
+/**
+ * Default PR size buckets (upper bounds of total changes)
+ * Below `xs` is extra small, below `s` is small, up to `m` is medium, up to
+ * `l` is large, above is xl
+ */
+export const DEFAULT_PR_SIZES = { xs: 10, s: 105, m: 160, l: 240 }
+
+/**
+ * Default PR size buckets by files changed, used once `pr_size_files` is
+ * configured. The PR takes the larger of its line and file buckets
+ */
+export const DEFAULT_PR_SIZE_FILES = { xs: 2, s: 10, m: 20, l: 60 }
+
+/**
+ * PR size categories from smallest to largest
+ */
+export const PR_SIZES = ['xs', 's', 'm', 'l', 'xl']
+
+/**
+ * Default colours and descriptions of the size labels added to PRs
+ */
+export const DEFAULT_SIZE_LABELS = {
+  xs: { color: '3cbf00', description: 'Extra small PR' },
+  s: { color: '5d9801', description: 'Small PR' },
+  m: { color: '7f7203', description: 'Medium PR' },
+  l: { color: 'a14c05', description: 'Large PR' },
+  xl: { color: 'c32607', description: 'Extra large PR' }
+}
+
+// Metrics where a higher value earns a better rating
+const HIGHER_IS_BETTER = ['merge_frequency', 'deploy_frequency', 'pr_maturity']
+
+const SIZE_RATINGS = {
+  xs: 'Elite',
+  s: 'Elite',
+  m: 'Good',
+  l: 'Fair',
+  xl: 'Needs Focus'
+}
+
+const RATING_EMOJIS = {
+  Elite: '⭐',
+  Good: '✅',
+  Fair: '⚖️',
+  'Needs Focus': '🎯'
+}
+
+/**
+ * Rating engine shared by every collector, comment and report
+ */
+export class RatingEngine {
+  /**
+   * Create a new rating engine
+   * @param {Object} config - Rating configuration
+   * @param {Object} [config.ratings] - Thresholds per metric, merged over the defaults
+   * @param {Object} [config.pr_size] - PR size buckets, merged over the defaults
+   * @param {Object} [config.pr_size_files] - PR size buckets by files changed
+   * @param {Object} [config.size_labels] - Label colour and description per size
+   */
+  constructor(config = {}) {
+    this.thresholds = { ...DEFAULT_THRESHOLDS }
+    for (const [metric, thresholds] of Object.entries(config.ratings || {})) {
+      this.thresholds[metric] = { ...DEFAULT_THRESHOLDS[metric], ...thresholds }
+    }
+    this.prSizes = { ...DEFAULT_PR_SIZES, ...config.pr_size }
+    this.prSizeFiles = config.pr_size_files
+      ? { ...DEFAULT_PR_SIZE_FILES, ...config.pr_size_files }
+      : null
+    this.sizeLabels = {}
+    for (const [size, style] of Object.entries(DEFAULT_SIZE_LABELS)) {
+      this.sizeLabels[size] = { ...style, ...config.size_labels?.[size] }
+    }
+  }
+
+  /**
+   * Rate a metric value
+   * @param {string} metric - Metric name (e.g. pickup_time)
+   * @param {number|null} value - Metric value
+   * @returns {string} Rating (Elite, Good, Fair, Needs Focus or Unknown)
+   */
+  rate(metric, value) {
+    if (value === null || value === undefined) return 'Unknown'
+
+    const { elite, good, fair } = this.thresholds[metric]
+    if (HIGHER_IS_BETTER.includes(metric)) {
+      if (value > elite) return 'Elite'
+      if (value >= good) return 'Good'
+      if (value >= fair) return 'Fair'
+      return 'Needs Focus'
+    }
+
+    if (value < elite) return 'Elite'
+    if (value <= good) return 'Good'
+    if (value <= fair) return 'Fair'
+    return 'Needs Focus'
+  }
+
+  /**
+   * Categorize a PR by its number of changed lines and, when file buckets are
+   * configured, its number of changed files
+   * @param {number} totalChanges - Total changed lines
+   * @param {number|null} [filesChanged] - Number of changed files
+   * @returns {string} Size category (xs, s, m, l, xl)
+   */
+  categorizeSize(totalChanges, filesChanged = null) {
+    let index = bucketIndex(totalChanges, this.prSizes)
+    if (this.prSizeFiles && filesChanged !== null) {
+      index = Math.max(index, bucketIndex(filesChanged, this.prSizeFiles))
+    }
+    return PR_SIZES[index]
+  }
+
+  /**
+   * Describe the PR size buckets for comments and summaries
+   * @returns {string} Human readable thresholds
+   */
+  formatSizeThresholds() {
+    const describe = ({ xs, s, m, l }, unit) =>
+      `XS < ${xs}, S < ${s}, M ≤ ${m}, L ≤ ${l}, XL > ${l} ${unit}`
+
+    const lines = describe(this.prSizes, 'changes')
+    return this.prSizeFiles
+      ? `${lines}; at least ${describe(this.prSizeFiles, 'files')}`
+      : lines
+  }
+
+  /**
+   * Rate a PR size category
+   * @param {string} size - Size category (xs, s, m, l, xl)
+   * @returns {string} Rating
+   */
+  rateSize(size) {
+    return SIZE_RATINGS[size] || 'Unknown'
+  }
+
+  /**
+   * Get the colour and description of a size label
+   * @param {string} size - Size category (xs, s, m, l, xl)
+   * @returns {Object|null} Label style, or null for an unknown size
+   */
+  getSizeLabelStyle(size) {
+    return this.sizeLabels[size] || null
+  }
+
+  /**
+   * Get emoji for a rating
+   * @param {string} rating - Rating (Elite, Good, Fair, Needs Focus)
+   * @returns {string} Emoji representation
+   */
+  getEmoji(rating) {
+    return RATING_EMOJIS[rating] || '❓'
+  }
+}
+
+/**
+ * Load the rating engine from a YAML config file
+ * A missing file falls back to the default thresholds
+ * @param {string} filePath - Path to the config file
+ * @returns {RatingEngine} Rating engine with the configured thresholds
+ * @throws {Error} If the file is not valid YAML or the thresholds are invalid
+ */
+export function loadRatingConfig(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return new RatingEngine()
+  }
+
+  const config = parse(fs.readFileSync(filePath, 'utf8')) || {}
+  validateRatingConfig(config, filePath)
+  return new RatingEngine(config)
+}
+
+/**
+ * Validate a rating configuration
+ * @param {Object} config - Parsed rating configuration
+ * @param {string} source - Where the configuration came from, for error messages
+ * @throws {Error} If a metric is unknown or its thresholds are out of order
+ */
+export function validateRatingConfig(config, source) {
+  for (const [metric, thresholds] of Object.entries(config.ratings || {})) {
+    if (!DEFAULT_THRESHOLDS[metric]) {
+      throw new Error(
+        `Unknown rating metric in ${source}: ${metric} (expected one of ${Object.keys(DEFAULT_THRESHOLDS).join(', ')})`
+      )
+    }
+
+    const { elite, good, fair } = {
+      ...DEFAULT_THRESHOLDS[metric],
+      ...thresholds
+    }
+    if (![elite, good, fair].every((value) => typeof value === 'number')) {
+      throw new Error(
+        `Rating thresholds for ${metric} in ${source} must be numbers`
+      )
+    }
+
+    const ordered = HIGHER_IS_BETTER.includes(metric)
+      ? elite >= good && good >= fair
+      : elite <= good && good <= fair
+    if (!ordered) {
+      throw new Error(
+        `Rating thresholds for ${metric} in ${source} must be ordered elite, good, fair`
+      )
+    }
+  }
+
+  for (const [size, style] of Object.entries(config.size_labels || {})) {
+    if (!DEFAULT_SIZE_LABELS[size]) {
+      throw new Error(
+        `Unknown size label in ${source}: ${size} (expected one of ${Object.keys(DEFAULT_SIZE_LABELS).join(', ')})`
+      )
+    }
+    if (style?.color !== undefined && !/^[0-9a-f]{6}$/i.test(style.color)) {
+      throw new Error(
+        `Label colour for ${size} in ${source} must be a 6-digit hex code, got: ${style.color}`
+      )
+    }
+  }
+
+  validateSizeBuckets(
+    { ...DEFAULT_PR_SIZES, ...config.pr_size },
+    'pr_size',
+    source
+  )
+  if (config.pr_size_files) {
+    validateSizeBuckets(
+      { ...DEFAULT_PR_SIZE_FILES, ...config.pr_size_files },
+      'pr_size_files',
+      source
+    )
+  }
+}
+
+/**
+ * Validate a set of PR size buckets
+ * @param {Object} buckets - Bucket thresholds for xs, s, m and l
+ * @param {string} key - Config key, for error messages
+ * @param {string} source - Where the configuration came from, for error messages
+ * @throws {Error} If the thresholds are not increasing numbers
+ */
+function validateSizeBuckets({ xs, s, m, l }, key, source) {
+  if (
+    ![xs, s, m, l].every((value) => typeof value === 'number') ||
+    !(xs <= s && s <= m && m <= l)
+  ) {
+    throw new Error(
+      `${key} in ${source} must be increasing numbers for xs, s, m and l`
+    )
+  }
+}
+
+/**
+ * Find the bucket a value falls into
+ * @param {number} value - Changed lines or files
+ * @param {Object} buckets - Bucket thresholds for xs, s, m and l
+ * @returns {number} Index into PR_SIZES
+ */
+function bucketIndex(value, { xs, s, m, l }) {
+  if (value < xs) return 0
+  if (value < s) return 1
+  if (value <= m) return 2
+  if (value <= l) return 3
+  return 4
+}
@@ -1,4 +1,20 @@
 import * as core from '@actions/core'
+import {
+  hoursBetween,
+  summarizeIncidents,
+  filterTags,
+  calculateStatistics,
+  getReadyForReviewTime,
+  mapWithConcurrency
+} from './utils.js'
+import { getDurationMode, formatDurationMode } from './working-calendar.js'
+import { RatingEngine, PR_SIZES } from './ratings.js'
+import { MAX_PR_TIMELINE_EVENTS, MAX_PR_REVIEWS } from './github-client.js'
+import {
+  DEPLOYMENT_RECORD_SOURCES,
+  listDeploymentRecords,
+  toDeploymentRef
+} from './deployment-records.js'
 
 /**
  * Team metrics collection class for analyzing PR metrics across a team
@@ -13,6 +29,21 @@ export class TeamMetricsCollector {
     this.githubClient = githubClient
     this.options = {
       timePeriod: 'weekly', // weekly, fortnightly, monthly
+      incidentLabels: ['incident'],
+      deploymentSource: 'auto', // releases, deployments, workflow, auto
+      environment: 'production',
+      deployWorkflow: null,
+      deployBranch: 'main',
+      maxDeployments: 100,
+      tagPrefix: null,
+      tagPattern: null,
+      semverSort: false,
+      excludePrereleases: false,
+      calendar: null, // WorkingCalendar to measure durations in business hours
+      ratings: new RatingEngine(),
+      labelPrefix: 'size/',
+      concurrency: 4, // PRs fetched at the same time
+      dataSource: 'rest', // rest, graphql
       ...options
     }
   }
@@ -24,7 +55,7 @@ export class TeamMetricsCollector {
   getDateRange() {
     const now = new Date()
     const end = now.toISOString()
-    let start = new Date()
+    let start = new Date(now)
 
     switch (this.options.timePeriod) {
       case 'fortnightly':
@@ -50,188 +81,268 @@ export class TeamMetricsCollector {
    * For each release in the period, includes ALL commits in that release
    * regardless of when they were created
    * @param {Object} dateRange - Date range object with start and end
+   * @param {Array|null} records - Deployment records, fetched when not given
    * @returns {Promise<Object>} Cycle time metrics
    */
-  async calculateCycleTime(dateRange) {
+  async calculateCycleTime(dateRange, records = null) {
     try {
+      if (DEPLOYMENT_RECORD_SOURCES.includes(this.options.deploymentSource)) {
+        return await this.calculateDeploymentRecordCycleTime(
+          dateRange,
+          await this.getDeploymentRecords(records)
+        )
+      }
+
       // Get releases created within the date range
-      const releases = await this.githubClient.getReleasesByDateRange(
-        dateRange.start,
-        dateRange.end
+      const releases = this.filterReleases(
+        await this.githubClient.getReleasesByDateRange(
+          dateRange.start,
+          dateRange.end
+        )
       )
 
       if (releases.length === 0) {
-        return {
-          cycle_time: {
-            avg_hours: null,
-            commit_count: 0,
-            oldest_hours: null,
-            newest_hours: null
-          }
-        }
+        return { cycle_time: this.summarizeCycleTimes([]) }
       }
 
-      const allCycleTimes = []
-      let totalCommitCount = 0
-      let oldestCycleTime = null
-      let newestCycleTime = null
-
       // Get all releases for comparison (to find previous release)
-      const allReleases = await this.githubClient.listReleases(100)
+      const allReleases = this.filterReleases(
+        await this.githubClient.listReleases(100)
+      )
 
       // For each release in the date range, calculate cycle times for ALL its commits
-      for (const release of releases) {
-        const releaseCreatedAt = new Date(release.created_at)
+      const cycleTimeLists = await mapWithConcurrency(
+        releases,
+        this.options.concurrency,
+        (release) => this.getReleaseCycleTimes(release, allReleases)
+      )
+      const allCycleTimes = cycleTimeLists.flat()
 
-        // Resolve the release tag to get SHA
-        const tagData = await this.githubClient.resolveTag(release.tag_name)
-        if (!tagData?.sha) continue
+      return { cycle_time: this.summarizeCycleTimes(allCycleTimes) }
+    } catch (error) {
+      core.warning(`Failed to calculate cycle time: ${error.message}`)
+      return { cycle_time: this.summarizeCycleTimes([]) }
+    }
+  }
+
+  /**
+   * Calculate cycle times for the commits of one release
+   * @param {Object} release - Release in the date range
+   * @param {Array} allReleases - Recent releases, newest first, to find the
+   *   previous release in
+   * @returns {Promise<Array>} Cycle times of the release's commits
+   */
+  async getReleaseCycleTimes(release, allReleases) {
+    // Resolve the release tag to get SHA
+    const tagData = await this.githubClient.resolveTag(release.tag_name)
+    if (!tagData?.sha) return []
+
+    // Find the previous release to determine which commits belong to this release
+    const releaseIndex = allReleases.findIndex(
+      (r) => r.tag_name === release.tag_name
+    )
+    const previousRelease =
+      releaseIndex >= 0 && releaseIndex < allReleases.length - 1
+        ? allReleases[releaseIndex + 1]
+        : null
 
-        // Find the previous release to determine which commits belong to this release
-        const releaseIndex = allReleases.findIndex(
-          (r) => r.tag_name === release.tag_name
+    let commits = []
+    if (previousRelease) {
+      const prevTagData = await this.githubClient.resolveTag(
+        previousRelease.tag_name
+      )
+      if (prevTagData?.sha) {
+        core.info(
+          `Comparing commits between ${previousRelease.tag_name} and ${release.tag_name}`
         )
-        const previousRelease =
-          releaseIndex >= 0 && releaseIndex < allReleases.length - 1
-            ? allReleases[releaseIndex + 1]
-            : null
-
-        let commits = []
-        if (previousRelease) {
-          const prevTagData = await this.githubClient.resolveTag(
-            previousRelease.tag_name
-          )
-          if (prevTagData?.sha) {
-            core.info(
-              `Comparing commits between ${previousRelease.tag_name} and ${release.tag_name}`
-            )
-            const comparison = await this.githubClient.compareCommits(
-              prevTagData.sha,
-              tagData.sha
-            )
-            commits = comparison.commits || []
-            core.info(
-              `Found ${commits.length} commits in release ${release.tag_name}`
-            )
-          } else {
-            core.warning(
-              `Failed to resolve previous release tag: ${previousRelease.tag_name}`
-            )
-          }
-        } else {
-          // First release - get all commits up to this tag
+        const comparison = await this.githubClient.compareCommits(
+          prevTagData.sha,
+          tagData.sha
+        )
+        commits = comparison.commits || []
+        core.info(
+          `Found ${commits.length} commits in release ${release.tag_name}`
+        )
+      } else {
+        core.warning(
+          `Failed to resolve previous release tag: ${previousRelease.tag_name}`
+        )
+      }
+    } else {
+      // First release - get all commits up to this tag
+      core.info(
+        `First release detected: ${release.tag_name}, getting all commits`
+      )
+      // For the first release, we should get ALL commits in the repository up to this tag
+      // not just the tag commit itself
+      commits = await this.githubClient.listCommits(tagData.sha)
+      if (commits.length > 0) {
+        core.info(`Found ${commits.length} commits in first release`)
+      } else {
+        // Fallback to just the tag commit
+        const commit = await this.githubClient.getCommit(tagData.sha)
+        if (commit) commits = [commit]
+      }
+    }
+
+    // Calculate cycle time for ALL commits in this release
+    // (not filtered by date - we want all commits that were released in this period)
+    return this.getCommitCycleTimes(commits, release.created_at, tagData.sha)
+  }
+
+  /**
+   * Calculate cycle time from deployment records (deployments or workflow runs)
+   * Consecutive successful records define the commits shipped by each one
+   * @param {Object} dateRange - Date range object with start and end
+   * @param {Array} records - Successful deployment records, newest first
+   * @returns {Promise<Object>} Cycle time metrics
+   */
+  async calculateDeploymentRecordCycleTime(dateRange, records) {
+    // Records are newest first, so records[i + 1] is the previous deployment
+    const cycleTimeLists = await mapWithConcurrency(
+      records,
+      this.options.concurrency,
+      async (record, i) => {
+        if (!this.isInDateRange(record.created_at, dateRange)) return []
+
+        const previous = records[i + 1]
+        if (!previous) {
           core.info(
-            `First release detected: ${release.tag_name}, getting all commits`
+            `No earlier deployment before ${record.sha.substring(0, 7)}, skipping`
           )
-          // For the first release, we should get ALL commits in the repository up to this tag
-          // not just the tag commit itself
-          try {
-            // Get commits from the beginning of the repo to this tag
-            const commitsResponse = await this.githubClient.octokit.request(
-              'GET /repos/{owner}/{repo}/commits',
-              {
-                owner: this.githubClient.owner,
-                repo: this.githubClient.repo,
-                sha: tagData.sha,
-                per_page: 100
-              }
-            )
-            commits = commitsResponse.data || []
-            core.info(`Found ${commits.length} commits in first release`)
-          } catch (error) {
-            core.warning(
-              `Failed to get commits for first release: ${error.message}`
-            )
-            // Fallback to just the tag commit
-            const commit = await this.githubClient.getCommit(tagData.sha)
-            if (commit) commits = [commit]
-          }
+          return []
         }
 
-        // Calculate cycle time for ALL commits in this release
-        // (not filtered by date - we want all commits that were released in this period)
-        // Exclude the tag commit itself as it typically has timestamp at/near release time
-        for (const commit of commits) {
-          // Skip the tag commit itself
-          if (commit.sha === tagData.sha) {
-            core.debug(
-              `Skipping tag commit ${commit.sha} from cycle time calculation`
-            )
-            continue
-          }
+        core.info(
+          `Comparing commits between ${previous.sha.substring(0, 7)} and ${record.sha.substring(0, 7)}`
+        )
+        const comparison = await this.githubClient.compareCommits(
+          previous.sha,
+          record.sha
+        )
+        return this.getCommitCycleTimes(
+          comparison.commits || [],
+          record.created_at,
+          record.sha
+        )
+      }
+    )
 
-          const commitDate =
-            commit.commit?.committer?.date || commit.commit?.author?.date
-          if (!commitDate) continue
-
-          const commitTime = new Date(commitDate)
-          const cycleTimeHours =
-            (releaseCreatedAt - commitTime) / (1000 * 60 * 60)
-
-          if (cycleTimeHours >= 0) {
-            allCycleTimes.push(cycleTimeHours)
-            totalCommitCount++
-
-            // Track oldest and newest cycle times
-            if (oldestCycleTime === null || cycleTimeHours > oldestCycleTime) {
-              oldestCycleTime = cycleTimeHours
-            }
-            if (newestCycleTime === null || cycleTimeHours < newestCycleTime) {
-              newestCycleTime = cycleTimeHours
-            }
-          }
-        }
+    return { cycle_time: this.summarizeCycleTimes(cycleTimeLists.flat()) }
+  }
+
+  /**
+   * Get the deployment records of the configured source
+   * @param {Array|null} records - Records already fetched for this run
+   * @returns {Promise<Array>} Array of records with sha, ref and created_at
+   */
+  async getDeploymentRecords(records) {
+    return records ?? listDeploymentRecords(this.githubClient, this.options)
+  }
+
+  /**
+   * Check whether a date falls within the date range
+   * @param {string} date - Date to check
+   * @param {Object} dateRange - Date range object with start and end
+   * @returns {boolean} True if the date is within the range
+   */
+  isInDateRange(date, dateRange) {
+    const time = new Date(date)
+    return time >= new Date(dateRange.start) && time <= new Date(dateRange.end)
+  }
+
+  /**
+   * Calculate cycle times for the commits shipped by a deployment
+   * The deployed commit itself is excluded as it typically has a timestamp
+   * at/near deployment time
+   * @param {Array} commits - Commits included in the deployment
+   * @param {string} deployedAt - Deployment time
+   * @param {string} deployedSha - SHA of the deployed commit
+   * @returns {Array<number>} Cycle times in hours
+   */
+  getCommitCycleTimes(commits, deployedAt, deployedSha) {
+    const deployedTime = new Date(deployedAt)
+    const cycleTimes = []
+
+    for (const commit of commits) {
+      if (commit.sha === deployedSha) {
+        core.debug(
+          `Skipping tag commit ${commit.sha} from cycle time calculation`
+        )
+        continue
       }
 
-      // Calculate average and round values
-      const avgCycleTime =
-        allCycleTimes.length > 0
-          ? Math.round(
-              (allCycleTimes.reduce((a, b) => a + b, 0) /
-                allCycleTimes.length) *
-                100
-            ) / 100
-          : null
+      const commitDate =
+        commit.commit?.committer?.date || commit.commit?.author?.date
+      if (!commitDate) continue
 
-      return {
-        cycle_time: {
-          avg_hours: avgCycleTime,
-          commit_count: totalCommitCount,
-          oldest_hours:
-            oldestCycleTime !== null
-              ? Math.round(oldestCycleTime * 100) / 100
-              : null,
-          newest_hours:
-            newestCycleTime !== null
-              ? Math.round(newestCycleTime * 100) / 100
-              : null
-        }
+      const cycleTimeHours = hoursBetween(
+        deployedTime,
+        commitDate,
+        this.options.calendar
+      )
+      if (cycleTimeHours >= 0) {
+        cycleTimes.push(cycleTimeHours)
       }
-    } catch (error) {
-      core.warning(`Failed to calculate cycle time: ${error.message}`)
+    }
+
+    return cycleTimes
+  }
+
+  /**
+   * Summarize commit cycle times into the cycle time metrics shape
+   * @param {Array<number>} cycleTimes - Cycle times in hours
+   * @returns {Object} Cycle time metrics
+   */
+  summarizeCycleTimes(cycleTimes) {
+    const round = (hours) => Math.round(hours * 100) / 100
+
+    const statistics = calculateStatistics(cycleTimes)
+
+    if (cycleTimes.length === 0) {
       return {
-        cycle_time: {
-          avg_hours: null,
-          commit_count: 0,
-          oldest_hours: null,
-          newest_hours: null
-        }
+        avg_hours: null,
+        median_hours: null,
+        commit_count: 0,
+        oldest_hours: null,
+        newest_hours: null,
+        statistics
       }
     }
+
+    return {
+      avg_hours: round(
+        cycleTimes.reduce((a, b) => a + b, 0) / cycleTimes.length
+      ),
+      median_hours: statistics.median,
+      commit_count: cycleTimes.length,
+      oldest_hours: round(Math.max(...cycleTimes)),
+      newest_hours: round(Math.min(...cycleTimes)),
+      statistics
+    }
   }
 
   /**
    * Calculate deploy frequency for the time period
    * @param {Object} dateRange - Date range object with start and end
+   * @param {Array|null} records - Deployment records, fetched when not given
    * @returns {Promise<Object>} Deploy frequency metrics
    */
-  async calculateDeployFrequency(dateRange) {
+  async calculateDeployFrequency(dateRange, records = null) {
     try {
-      // Get releases within the date range
-      const releases = await this.githubClient.getReleasesByDateRange(
-        dateRange.start,
-        dateRange.end
+      // Get releases (or deployment records) within the date range
+      const releases = DEPLOYMENT_RECORD_SOURCES.includes(
+        this.options.deploymentSource
       )
+        ? (await this.getDeploymentRecords(records)).filter((record) =>
+            this.isInDateRange(record.created_at, dateRange)
+          )
+        : this.filterReleases(
+            await this.githubClient.getReleasesByDateRange(
+              dateRange.start,
+              dateRange.end
+            )
+          )
 
       const releaseCount = releases.length
       const daysInPeriod = this.getDaysInPeriod()
@@ -256,6 +367,56 @@ export class TeamMetricsCollector {
     }
   }
 
+  /**
+   * Keep only releases matching the configured tag filters
+   * @param {Array} releases - Release objects
+   * @returns {Array} Matching releases
+   */
+  filterReleases(releases) {
+    return filterTags(releases, (release) => release.tag_name, this.options)
+  }
+
+  /**
+   * Calculate time to restore for incidents opened in the time period
+   * @param {Object} dateRange - Date range object with start and end
+   * @param {Array|null} records - Deployment records, fetched when not given
+   * @returns {Promise<Object>} Time to restore metrics
+   */
+  async calculateTimeToRestore(dateRange, records = null) {
+    try {
+      const issues = await this.githubClient.listIncidentIssues(
+        this.options.incidentLabels,
+        dateRange.start
+      )
+      const incidentsInRange = issues.filter(
+        (issue) => new Date(issue.created_at) <= new Date(dateRange.end)
+      )
+
+      // Deployments are the restore points an incident is correlated with
+      const deployments = DEPLOYMENT_RECORD_SOURCES.includes(
+        this.options.deploymentSource
+      )
+        ? (await this.getDeploymentRecords(records)).map((record) =>
+            toDeploymentRef(record, this.options.environment)
+          )
+        : this.filterReleases(
+            await this.githubClient.listReleases(100, dateRange.start)
+          ).map((release) => ({
+            tag: release.tag_name,
+            created_at: release.created_at
+          }))
+
+      return summarizeIncidents(
+        incidentsInRange,
+        deployments,
+        this.options.calendar
+      )
+    } catch (error) {
+      core.warning(`Failed to calculate time to restore: ${error.message}`)
+      return summarizeIncidents([])
+    }
+  }
+
   /**
    * Collect team metrics for the specified time period
    * @returns {Promise<Object>} Team metrics data
@@ -271,11 +432,18 @@ export class TeamMetricsCollector {
         `Date range: ${dateRange.start.split('T')[0]} to ${dateRange.end.split('T')[0]}`
       )
 
-      // Fetch all PRs in the date range
-      const prs = await this.githubClient.getPullRequestsByDateRange(
-        dateRange.start,
-        dateRange.end
-      )
+      // Fetch all PRs in the date range; the GraphQL path brings their
+      // reviews and timeline along
+      const prs =
+        this.options.dataSource === 'graphql'
+          ? await this.githubClient.getPullRequestsWithReviewActivity(
+              dateRange.start,
+              dateRange.end
+            )
+          : await this.githubClient.getPullRequestsByDateRange(
+              dateRange.start,
+              dateRange.end
+            )
 
       if (!prs || prs.length === 0) {
         return {
@@ -288,34 +456,49 @@ export class TeamMetricsCollector {
       core.info(`Found ${prs.length} PRs in the time period`)
 
       // Calculate DORA metrics for the time period
-      core.info('Calculating DORA metrics (cycle time and deploy frequency)...')
-      const [cycleTimeMetrics, deployFreqMetrics] = await Promise.all([
-        this.calculateCycleTime(dateRange),
-        this.calculateDeployFrequency(dateRange)
-      ])
+      core.info(
+        'Calculating DORA metrics (cycle time, deploy frequency and time to restore)...'
+      )
+      // The DORA metrics share the deployment records, so they are fetched once
+      const records = DEPLOYMENT_RECORD_SOURCES.includes(
+        this.options.deploymentSource
+      )
+        ? await listDeploymentRecords(this.githubClient, this.options)
+        : null
+      const [cycleTimeMetrics, deployFreqMetrics, timeToRestoreMetrics] =
+        await Promise.all([
+          this.calculateCycleTime(dateRange, records),
+          this.calculateDeployFrequency(dateRange, records),
+          this.calculateTimeToRestore(dateRange, records)
+        ])
 
       // Calculate metrics for each PR
-      const prMetrics = []
-      for (const pr of prs) {
-        const metrics = await this.calculatePRMetrics(pr)
-        if (metrics) {
-          prMetrics.push(metrics)
-        }
-      }
+      const prMetrics = (
+        await mapWithConcurrency(prs, this.options.concurrency, (pr) =>
+          this.calculatePRMetrics(pr)
+        )
+      ).filter(Boolean)
 
       // Calculate aggregate statistics
       const stats = this.calculateAggregateStats(prMetrics)
+      const truncatedPRs = prMetrics
+        .filter((m) => m.truncated)
+        .map((m) => m.pr_number)
 
       return {
         period: this.options.timePeriod,
         date_range: dateRange,
         total_prs: prs.length,
         analyzed_prs: prMetrics.length,
+        truncated_prs: truncatedPRs,
+        data_source: this.options.dataSource,
         unique_authors: this.countUniqueAuthors(prs),
         metrics: stats,
+        duration_mode: getDurationMode(this.options.calendar),
         dora_metrics: {
           cycle_time: cycleTimeMetrics.cycle_time,
-          ...deployFreqMetrics
+          ...deployFreqMetrics,
+          time_to_restore: timeToRestoreMetrics
         },
         timestamp: new Date().toISOString()
       }
@@ -338,18 +521,28 @@ export class TeamMetricsCollector {
       const prNumber = pr.number
       const createdAt = new Date(pr.created_at)
 
-      // Get PR timeline and reviews
-      const [timeline, reviews] = await Promise.all([
-        this.githubClient.getPullRequestTimeline(prNumber),
-        this.githubClient.getPullRequestReviews(prNumber)
-      ])
+      // Get PR timeline and reviews, unless they were fetched with the PR
+      const [timeline, reviews] =
+        pr.timeline && pr.reviews
+          ? [pr.timeline, pr.reviews]
+          : await Promise.all([
+              this.githubClient.getPullRequestTimeline(prNumber),
+              this.githubClient.getPullRequestReviews(prNumber)
+            ])
+
+      // Timings may be off if either listing stopped at its limit
+      const truncated =
+        Boolean(pr.activity_truncated) ||
+        timeline.length >= MAX_PR_TIMELINE_EVENTS ||
+        reviews.length >= MAX_PR_REVIEWS
+      if (truncated) {
+        core.warning(
+          `PR #${prNumber} has more timeline events or reviews than are fetched - its review timings may be incomplete`
+        )
+      }
 
       // Find when PR was marked as ready for review (if it was a draft)
-      const readyForReviewAt = this.getReadyForReviewTime(
-        pr,
-        createdAt,
-        timeline
-      )
+      const readyForReviewAt = getReadyForReviewTime(createdAt, timeline)
 
       // Calculate pickup time (ready for review to first review comment)
       const pickupTime = this.calculatePickupTime(
@@ -383,7 +576,8 @@ export class TeamMetricsCollector {
         pickup_time_hours: pickupTime,
         approve_time_hours: approveTime,
         merge_time_hours: mergeTime,
-        pr_size: prSize
+        pr_size: prSize,
+        truncated
       }
     } catch (error) {
       core.warning(
@@ -393,40 +587,6 @@ export class TeamMetricsCollector {
     }
   }
 
-  /**
-   * Get the time when PR was marked as ready for review
-   * If PR was never a draft, returns the creation time
-   * @param {Object} pr - Pull request object
-   * @param {Date} createdAt - PR creation time
-   * @param {Array} timeline - PR timeline events
-   * @returns {Date} Time when PR became ready for review
-   */
-  getReadyForReviewTime(pr, createdAt, timeline) {
-    // If PR was never a draft, use creation time
-    if (!pr.draft) {
-      // Check timeline for 'ready_for_review' event in case it was converted
-      const readyEvent = timeline?.find(
-        (event) => event.event === 'ready_for_review'
-      )
-      if (readyEvent) {
-        return new Date(readyEvent.created_at)
-      }
-      return createdAt
-    }
-
-    // PR is or was a draft - find when it was marked as ready
-    const readyEvent = timeline?.find(
-      (event) => event.event === 'ready_for_review'
-    )
-
-    if (readyEvent) {
-      return new Date(readyEvent.created_at)
-    }
-
-    // If still a draft or no ready event found, use creation time as fallback
-    return createdAt
-  }
-
   /**
    * Calculate pickup time - time from PR ready for review to first review activity
    * @param {Date} readyForReviewAt - Time when PR became ready for review
@@ -470,8 +630,11 @@ export class TeamMetricsCollector {
       return null
     }
 
-    const diffMs = firstActivityTime - readyForReviewAt
-    const hours = diffMs / (1000 * 60 * 60)
+    const hours = hoursBetween(
+      firstActivityTime,
+      readyForReviewAt,
+      this.options.calendar
+    )
 
     // Return null if negative (shouldn't happen but safety check)
     if (hours < 0) {
@@ -511,8 +674,8 @@ export class TeamMetricsCollector {
       : readyForReviewAt
     const approvalTime = new Date(firstApproval.submitted_at)
 
-    const diffMs = approvalTime - startTime
-    return Math.round((diffMs / (1000 * 60 * 60)) * 100) / 100
+    const hours = hoursBetween(approvalTime, startTime, this.options.calendar)
+    return Math.round(hours * 100) / 100
   }
 
   /**
@@ -531,30 +694,29 @@ export class TeamMetricsCollector {
     const approvalTime = new Date(firstApproval.submitted_at)
     const mergeTime = new Date(mergedAt)
 
-    const diffMs = mergeTime - approvalTime
-    return Math.round((diffMs / (1000 * 60 * 60)) * 100) / 100
+    const hours = hoursBetween(mergeTime, approvalTime, this.options.calendar)
+    return Math.round(hours * 100) / 100
   }
 
   /**
    * Get PR size from labels
    * @param {Array} labels - PR labels
-   * @returns {string|null} PR size (s, m, l, xl)
+   * @returns {string|null} PR size (xs, s, m, l, xl)
    */
   getPRSizeFromLabels(labels) {
     if (!labels || labels.length === 0) {
       return null
     }
 
-    const sizeLabel = labels.find((label) =>
-      label.name.toLowerCase().startsWith('size/')
-    )
+    // Extract size from label (e.g., "size/m" -> "m"), skipping labels such
+    // as size/exempt that share the prefix
+    const prefix = this.options.labelPrefix.toLowerCase()
+    const sizes = labels
+      .map((label) => label.name.toLowerCase())
+      .filter((name) => name.startsWith(prefix))
+      .map((name) => name.slice(prefix.length))
 
-    if (!sizeLabel) {
-      return null
-    }
-
-    // Extract size from label (e.g., "size/m" -> "m")
-    return sizeLabel.name.toLowerCase().replace('size/', '')
+    return sizes.find((size) => PR_SIZES.includes(size)) || null
   }
 
   /**
@@ -598,6 +760,10 @@ export class TeamMetricsCollector {
         ? mergeTimes.reduce((a, b) => a + b, 0) / mergeTimes.length
         : null
 
+    const pickupStatistics = calculateStatistics(pickupTimes)
+    const approveStatistics = calculateStatistics(approveTimes)
+    const mergeStatistics = calculateStatistics(mergeTimes)
+
     // Count merged PRs
     const mergedCount = prMetrics.filter((m) => m.merged).length
     const totalPRs = prMetrics.length
@@ -620,6 +786,8 @@ export class TeamMetricsCollector {
           ? Math.round(avgPickupTime * 100) / 100
           : null,
         rating: avgPickupTime ? this.ratePickupTime(avgPickupTime) : null,
+        median_hours: pickupStatistics.median,
+        statistics: pickupStatistics,
         sample_size: pickupTimes.length
       },
       approve_time: {
@@ -627,6 +795,8 @@ export class TeamMetricsCollector {
           ? Math.round(avgApproveTime * 100) / 100
           : null,
         rating: avgApproveTime ? this.rateApproveTime(avgApproveTime) : null,
+        median_hours: approveStatistics.median,
+        statistics: approveStatistics,
         sample_size: approveTimes.length
       },
       merge_time: {
@@ -634,6 +804,8 @@ export class TeamMetricsCollector {
           ? Math.round(avgMergeTime * 100) / 100
           : null,
         rating: avgMergeTime ? this.rateMergeTime(avgMergeTime) : null,
+        median_hours: mergeStatistics.median,
+        statistics: mergeStatistics,
         sample_size: mergeTimes.length
       },
       merge_frequency: {
@@ -653,7 +825,7 @@ export class TeamMetricsCollector {
    * @returns {Object} Size distribution percentages
    */
   calculateSizeDistribution(prMetrics) {
-    const sizes = { s: 0, m: 0, l: 0, xl: 0, unknown: 0 }
+    const sizes = { xs: 0, s: 0, m: 0, l: 0, xl: 0, unknown: 0 }
     const total = prMetrics.length
 
     prMetrics.forEach((pr) => {
@@ -680,6 +852,7 @@ export class TeamMetricsCollector {
       total > 0 ? Math.round((maxCount / total) * 100) : 0
 
     return {
+      xs_percent: total > 0 ? Math.round((sizes.xs / total) * 100) : 0,
       small_percent: total > 0 ? Math.round((sizes.s / total) * 100) : 0,
       medium_percent: total > 0 ? Math.round((sizes.m / total) * 100) : 0,
       large_percent: total > 0 ? Math.round((sizes.l / total) * 100) : 0,
@@ -714,10 +887,7 @@ export class TeamMetricsCollector {
    * @returns {string} Rating
    */
   ratePickupTime(hours) {
-    if (hours < 2) return 'Elite'
-    if (hours <= 6) return 'Good'
-    if (hours <= 16) return 'Fair'
-    return 'Needs Focus'
+    return this.options.ratings.rate('pickup_time', hours)
   }
 
   /**
@@ -726,10 +896,7 @@ export class TeamMetricsCollector {
    * @returns {string} Rating
    */
   rateApproveTime(hours) {
-    if (hours < 17) return 'Elite'
-    if (hours <= 24) return 'Good'
-    if (hours <= 45) return 'Fair'
-    return 'Needs Focus'
+    return this.options.ratings.rate('approve_time', hours)
   }
 
   /**
@@ -738,10 +905,7 @@ export class TeamMetricsCollector {
    * @returns {string} Rating
    */
   rateMergeTime(hours) {
-    if (hours < 2) return 'Elite'
-    if (hours <= 5) return 'Good'
-    if (hours <= 19) return 'Fair'
-    return 'Needs Focus'
+    return this.options.ratings.rate('merge_time', hours)
   }
 
   /**
@@ -750,10 +914,7 @@ export class TeamMetricsCollector {
    * @returns {string} Rating
    */
   rateMergeFrequency(frequency) {
-    if (frequency > 1.6) return 'Elite'
-    if (frequency >= 1.1) return 'Good'
-    if (frequency >= 0.6) return 'Fair'
-    return 'Needs Focus'
+    return this.options.ratings.rate('merge_frequency', frequency)
   }
 
   /**
@@ -762,10 +923,7 @@ export class TeamMetricsCollector {
    * @returns {string} Rating
    */
   rateDeployFrequency(frequency) {
-    if (frequency > 0.9) return 'Elite'
-    if (frequency >= 0.5) return 'Good'
-    if (frequency >= 0.2) return 'Fair'
-    return 'Needs Focus'
+    return this.options.ratings.rate('deploy_frequency', frequency)
   }
 
   /**
@@ -774,25 +932,25 @@ export class TeamMetricsCollector {
    * @returns {string} Rating
    */
   rateCycleTime(hours) {
-    if (hours < 45) return 'Elite'
-    if (hours <= 95) return 'Good'
-    if (hours <= 169) return 'Fair'
-    return 'Needs Focus'
+    return this.options.ratings.rate('cycle_time', hours)
+  }
+
+  /**
+   * Rate time to restore service
+   * @param {number} hours - Mean time to restore in hours
+   * @returns {string} Rating
+   */
+  rateTimeToRestore(hours) {
+    return this.options.ratings.rate('time_to_restore', hours)
   }
 
   /**
    * Rate PR size
-   * @param {string} size - PR size (s, m, l, xl)
+   * @param {string} size - PR size (xs, s, m, l, xl)
    * @returns {string} Rating
    */
   ratePRSize(size) {
-    const sizeMap = {
-      s: 'Elite',
-      m: 'Good',
-      l: 'Fair',
-      xl: 'Needs Focus'
-    }
-    return sizeMap[size] || 'Unknown'
+    return this.options.ratings.rateSize(size)
   }
 
   /**
@@ -801,11 +959,7 @@ export class TeamMetricsCollector {
    * @returns {string} Rating
    */
   ratePRMaturity(percentage) {
-    if (percentage === null || percentage === undefined) return 'Unknown'
-    if (percentage > 88) return 'Elite'
-    if (percentage >= 81) return 'Good'
-    if (percentage >= 75) return 'Fair'
-    return 'Needs Focus'
+    return this.options.ratings.rate('pr_maturity', percentage)
   }
 
   /**
@@ -814,13 +968,7 @@ export class TeamMetricsCollector {
    * @returns {string} Emoji
    */
   getRatingEmoji(rating) {
-    const emojiMap = {
-      Elite: '⭐',
-      Good: '✅',
-      Fair: '⚖️',
-      'Needs Focus': '🎯'
-    }
-    return emojiMap[rating] || '❓'
+    return this.options.ratings.getEmoji(rating)
   }
 
   /**
@@ -850,6 +998,7 @@ export class TeamMetricsCollector {
 > **Period:** ${period.charAt(0).toUpperCase() + period.slice(1)}
 > **Date range:** ${startDate} → ${endDate}
 > **Total PRs:** ${total_prs} &nbsp;|&nbsp; **Unique authors:** ${unique_authors}
+> **Durations:** ${formatDurationMode(metricsData.duration_mode)}${metricsData.truncated_prs?.length ? `\n> **Truncated:** review timings of ${metricsData.truncated_prs.map((n) => `#${n}`).join(', ')} may be incomplete` : ''}
 
 ---
 
@@ -864,8 +1013,11 @@ export class TeamMetricsCollector {
       const hasDeployFreq =
         doraMetrics.deploy_frequency_days !== undefined &&
         doraMetrics.deploy_frequency_days !== null
+      const hasTimeToRestore =
+        doraMetrics.time_to_restore?.mean_hours !== undefined &&
+        doraMetrics.time_to_restore?.mean_hours !== null
 
-      if (hasCycleTime || hasDeployFreq) {
+      if (hasCycleTime || hasDeployFreq || hasTimeToRestore) {
         report += `## 🚀 Delivery Metrics\n\n`
 
         if (hasCycleTime) {
@@ -878,6 +1030,7 @@ export class TeamMetricsCollector {
 
           report += `### ${cycleTimeEmoji} Cycle Time — **${doraMetrics.cycle_time.avg_hours}h** (*${cycleTimeRating}*)\n`
           report += `**Definition:** Time from code commit to release<br>\n`
+          report += `**Median:** ${doraMetrics.cycle_time.median_hours ?? 'N/A'}h &nbsp;|&nbsp; **P90:** ${doraMetrics.cycle_time.statistics?.p90 ?? 'N/A'}h<br>\n`
           report += `**Sample size:** ${doraMetrics.cycle_time.commit_count || 0} commits`
 
           // Add oldest and newest commit details if available
@@ -898,6 +1051,13 @@ export class TeamMetricsCollector {
           report += `### ${deployFreqEmoji} Deploy Frequency — **${doraMetrics.deploy_frequency_days}** (*${deployFreqRating}*)\n**Definition:** Number of releases in the period (normalized to per week)<br>\n**Sample size:** ${doraMetrics.deploy_count || 0} releases\n\n`
         }
 
+        if (hasTimeToRestore) {
+          const ttr = doraMetrics.time_to_restore
+          const ttrRating = this.rateTimeToRestore(ttr.mean_hours)
+          const ttrEmoji = this.getRatingEmoji(ttrRating)
+          report += `### ${ttrEmoji} Time to Restore — **${ttr.mean_hours}h** (*${ttrRating}*)\n**Definition:** Time from an incident being opened to being closed<br>\n**Median:** ${ttr.median_hours}h &nbsp;|&nbsp; **P90:** ${ttr.p90_hours}h<br>\n**Sample size:** ${ttr.resolved_count} of ${ttr.incident_count} incidents resolved\n\n`
+        }
+
         report += `---\n\n`
       }
     }
@@ -907,19 +1067,19 @@ export class TeamMetricsCollector {
     // Pickup Time
     if (metrics.pickup_time.average_hours !== null) {
       const emoji = this.getRatingEmoji(metrics.pickup_time.rating)
-      report += `### ${emoji} Pickup Time — **${metrics.pickup_time.average_hours}h** (*${metrics.pickup_time.rating}*)\n**Definition:** Time from PR creation to first review activity<br>\n**Sample size:** ${metrics.pickup_time.sample_size} PRs\n\n`
+      report += `### ${emoji} Pickup Time — **${metrics.pickup_time.average_hours}h** (*${metrics.pickup_time.rating}*)\n**Median:** ${metrics.pickup_time.median_hours ?? 'N/A'}h &nbsp;|&nbsp; **P90:** ${metrics.pickup_time.statistics?.p90 ?? 'N/A'}h<br>\n**Definition:** Time from PR creation to first review activity<br>\n**Sample size:** ${metrics.pickup_time.sample_size} PRs\n\n`
     }
 
     // Approve Time
     if (metrics.approve_time.average_hours !== null) {
       const emoji = this.getRatingEmoji(metrics.approve_time.rating)
-      report += `### ${emoji} Approve Time — **${metrics.approve_time.average_hours}h** (*${metrics.approve_time.rating}*)\n**Definition:** Time from first review activity (or PR creation) to first approval<br>\n**Sample size:** ${metrics.approve_time.sample_size} PRs\n\n`
+      report += `### ${emoji} Approve Time — **${metrics.approve_time.average_hours}h** (*${metrics.approve_time.rating}*)\n**Median:** ${metrics.approve_time.median_hours ?? 'N/A'}h &nbsp;|&nbsp; **P90:** ${metrics.approve_time.statistics?.p90 ?? 'N/A'}h<br>\n**Definition:** Time from first review activity (or PR creation) to first approval<br>\n**Sample size:** ${metrics.approve_time.sample_size} PRs\n\n`
     }
 
     // Merge Time
     if (metrics.merge_time.average_hours !== null) {
       const emoji = this.getRatingEmoji(metrics.merge_time.rating)
-      report += `### ${emoji} Merge Time — **${metrics.merge_time.average_hours}h** (*${metrics.merge_time.rating}*)\n**Definition:** Time from first approval to merge<br>\n**Sample size:** ${metrics.merge_time.sample_size} PRs\n\n`
+      report += `### ${emoji} Merge Time — **${metrics.merge_time.average_hours}h** (*${metrics.merge_time.rating}*)\n**Median:** ${metrics.merge_time.median_hours ?? 'N/A'}h &nbsp;|&nbsp; **P90:** ${metrics.merge_time.statistics?.p90 ?? 'N/A'}h<br>\n**Definition:** Time from first approval to merge<br>\n**Sample size:** ${metrics.merge_time.sample_size} PRs\n\n`
     }
 
     // Merge Frequency
@@ -934,6 +1094,7 @@ export class TeamMetricsCollector {
     const predominantEmoji = this.getRatingEmoji(dist.predominant_rating)
     report += `| Size | Percentage | Rating |
 | ---- | ---------- | ------ |
+| **Extra Small (XS)** | ${dist.xs_percent}% | ⭐ Elite |
 | **Small (S)** | ${dist.small_percent}% | ⭐ Elite |
 | **Medium (M)** | ${dist.medium_percent}% | ✅ Good |
 | **Large (L)** | ${dist.large_percent}% | ⚖️ Fair |
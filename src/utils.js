@@ -14,9 +14,13 @@ export function toISOString(date) {
  * Calculate hours between two dates
  * @param {Date|string} laterDate - The later date
  * @param {Date|string} earlierDate - The earlier date
+ * @param {Object|null} calendar - Working calendar to count only business hours
  * @returns {number} Hours between the dates
  */
-export function hoursBetween(laterDate, earlierDate) {
+export function hoursBetween(laterDate, earlierDate, calendar = null) {
+  if (calendar) {
+    return calendar.hoursBetween(laterDate, earlierDate)
+  }
   return (new Date(laterDate) - new Date(earlierDate)) / 36e5
 }
 
@@ -42,6 +46,151 @@ export function formatHoursToDays(hours) {
   return `${days} days (${roundedHours}h)`
 }
 
+/**
+ * Calculate a percentile using linear interpolation between closest ranks
+ * @param {Array<number>} values - Values to analyse
+ * @param {number} p - Percentile to calculate (0-100)
+ * @returns {number|null} Percentile value or null if there are no values
+ */
+export function percentile(values, p) {
+  if (!values || values.length === 0) return null
+
+  const sorted = [...values].sort((a, b) => a - b)
+  const rank = (p / 100) * (sorted.length - 1)
+  const lower = Math.floor(rank)
+  const upper = Math.ceil(rank)
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower)
+}
+
+/**
+ * Calculate descriptive statistics for a set of durations
+ * All values are rounded to two decimals; every field is null when there are no values
+ * @param {Array<number>} values - Values to analyse
+ * @returns {Object} min, max, mean, median, p75, p90, p95 and (population) stddev
+ */
+export function calculateStatistics(values) {
+  const round = (value) =>
+    value !== null ? Math.round(value * 100) / 100 : null
+
+  if (!values || values.length === 0) {
+    return {
+      min: null,
+      max: null,
+      mean: null,
+      median: null,
+      p75: null,
+      p90: null,
+      p95: null,
+      stddev: null
+    }
+  }
+
+  const mean = values.reduce((a, b) => a + b, 0) / values.length
+  const variance =
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length
+
+  return {
+    min: round(Math.min(...values)),
+    max: round(Math.max(...values)),
+    mean: round(mean),
+    median: round(percentile(values, 50)),
+    p75: round(percentile(values, 75)),
+    p90: round(percentile(values, 90)),
+    p95: round(percentile(values, 95)),
+    stddev: round(Math.sqrt(variance))
+  }
+}
+
+/**
+ * Summarize incident issues into time to restore metrics
+ * Each closed incident is correlated with the first deployment at or after
+ * the moment it was opened
+ * @param {Array} issues - Incident issues
+ * @param {Array} deployments - Deployments with tag and created_at
+ * @param {Object|null} calendar - Working calendar to count only business hours
+ * @returns {Object} Restore time statistics and incident list
+ */
+export function summarizeIncidents(issues, deployments = [], calendar = null) {
+  const round = (value) =>
+    value !== null ? Math.round(value * 100) / 100 : null
+  const deploymentsOldestFirst = [...deployments].sort(
+    (a, b) => new Date(a.created_at) - new Date(b.created_at)
+  )
+
+  const incidents = issues.map((issue) => {
+    const restoredBy = deploymentsOldestFirst.find(
+      (d) => new Date(d.created_at) >= new Date(issue.created_at)
+    )
+
+    return {
+      number: issue.number,
+      title: issue.title,
+      created_at: issue.created_at,
+      closed_at: issue.closed_at || null,
+      restore_hours: issue.closed_at
+        ? round(hoursBetween(issue.closed_at, issue.created_at, calendar))
+        : null,
+      restored_by: restoredBy?.tag || null
+    }
+  })
+
+  const restoreHours = incidents
+    .map((i) => i.restore_hours)
+    .filter((h) => h !== null)
+  const statistics = calculateStatistics(restoreHours)
+
+  return {
+    mean_hours: statistics.mean,
+    median_hours: statistics.median,
+    p90_hours: statistics.p90,
+    statistics,
+    incident_count: incidents.length,
+    resolved_count: restoreHours.length,
+    incidents
+  }
+}
+
+/**
+ * Get the time when a PR was marked as ready for review
+ * Uses the `ready_for_review` timeline event when there is one, and the
+ * creation time for PRs that never were drafts or are still drafts
+ * @param {Date} createdAt - PR creation time
+ * @param {Array} timeline - PR timeline events
+ * @returns {Date} Time when PR became ready for review
+ */
+export function getReadyForReviewTime(createdAt, timeline) {
+  const readyEvent = timeline?.find(
+    (event) => event.event === 'ready_for_review'
+  )
+
+  return readyEvent ? new Date(readyEvent.created_at) : createdAt
+}
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * Results keep the order of the items
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with each item and its index
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit, items.length))
+  await Promise.all(Array.from({ length: workers }, worker))
+  return results
+}
+
 /**
  * Ensure a directory exists, creating it recursively if needed
  * @param {string} dirPath - Directory path to create
@@ -77,6 +226,23 @@ export function validatePositiveInteger(value, fieldName) {
   return parsed
 }
 
+/**
+ * Validate that a value is a non-negative integer
+ * @param {string} value - Value to validate
+ * @param {string} fieldName - Name of the field for error messages
+ * @returns {number} Parsed integer value
+ * @throws {Error} If value is not a valid non-negative integer
+ */
+export function validateNonNegativeInteger(value, fieldName) {
+  const parsed = parseInt(value, 10)
+  if (isNaN(parsed) || parsed < 0) {
+    throw new Error(
+      `${fieldName} must be a non-negative integer, got: ${value}`
+    )
+  }
+  return parsed
+}
+
 /**
  * Validate that a value is a boolean string
  * @param {string} value - Value to validate
@@ -90,6 +256,38 @@ export function validateBoolean(value, fieldName) {
   throw new Error(`${fieldName} must be 'true' or 'false', got: ${value}`)
 }
 
+/**
+ * Validate that a value is one of an allowed set of options
+ * @param {string} value - Value to validate
+ * @param {Array<string>} allowed - Allowed values
+ * @param {string} fieldName - Name of the field for error messages
+ * @returns {string} The validated value
+ * @throws {Error} If value is not one of the allowed values
+ */
+export function validateOneOf(value, allowed, fieldName) {
+  if (!allowed.includes(value)) {
+    throw new Error(
+      `${fieldName} must be one of ${allowed.join(', ')}, got: ${value}`
+    )
+  }
+  return value
+}
+
+/**
+ * Validate that a value is a parseable date
+ * @param {string} value - Value to validate
+ * @param {string} fieldName - Name of the field for error messages
+ * @returns {string} ISO string of the date
+ * @throws {Error} If value is not a valid date
+ */
+export function validateDate(value, fieldName) {
+  const parsed = new Date(value)
+  if (isNaN(parsed.getTime())) {
+    throw new Error(`${fieldName} must be a valid date, got: ${value}`)
+  }
+  return parsed.toISOString()
+}
+
 /**
  * Sanitize a file path to prevent directory traversal
  * @param {string} filePath - File path to sanitize
@@ -103,3 +301,98 @@ export function sanitizeFilePath(filePath) {
   }
   return normalized
 }
+
+/**
+ * Parse a semantic version from a tag name
+ * Any prefix before the version (e.g. `v` or `api/v`) is ignored
+ * @param {string} tagName - Tag name to parse
+ * @returns {Object|null} Parsed version or null if the tag is not semver
+ */
+export function parseSemver(tagName) {
+  const match =
+    /(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(
+      tagName || ''
+    )
+  if (!match) return null
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] || null
+  }
+}
+
+/**
+ * Check whether a tag is a patch-level bump of another tag
+ * @param {string} newerTag - Tag of the newer release
+ * @param {string} olderTag - Tag of the older release
+ * @returns {boolean} True if only the patch version increased
+ */
+export function isPatchBump(newerTag, olderTag) {
+  const newer = parseSemver(newerTag)
+  const older = parseSemver(olderTag)
+  if (!newer || !older) return false
+
+  return (
+    newer.major === older.major &&
+    newer.minor === older.minor &&
+    newer.patch > older.patch
+  )
+}
+
+/**
+ * Compare two tags by semantic version
+ * A prerelease sorts before the release of the same version
+ * @param {string} aTag - First tag name
+ * @param {string} bTag - Second tag name
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareSemver(aTag, bTag) {
+  const a = parseSemver(aTag)
+  const b = parseSemver(bTag)
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (a[part] !== b[part]) return a[part] - b[part]
+  }
+
+  if (a.prerelease === b.prerelease) return 0
+  if (!a.prerelease) return 1
+  if (!b.prerelease) return -1
+  return a.prerelease.localeCompare(b.prerelease, undefined, { numeric: true })
+}
+
+/**
+ * Filter releases or tags down to a single release stream
+ * @param {Array} items - Releases or tags
+ * @param {Function} getTag - Returns the tag name of an item
+ * @param {Object} filters - Tag filters
+ * @param {string} [filters.tagPrefix] - Prefix tags must start with
+ * @param {string} [filters.tagPattern] - Regular expression tags must match
+ * @param {boolean} [filters.semverSort] - Keep only semver tags, highest version first
+ * @param {boolean} [filters.excludePrereleases] - Drop prereleases
+ * @returns {Array} Matching items
+ */
+export function filterTags(items, getTag, filters = {}) {
+  const { tagPrefix, tagPattern, semverSort, excludePrereleases } = filters
+  const pattern = tagPattern ? new RegExp(tagPattern) : null
+
+  const matching = items.filter((item) => {
+    const tag = getTag(item) || ''
+    if (tagPrefix && !tag.startsWith(tagPrefix)) return false
+    if (pattern && !pattern.test(tag)) return false
+
+    const version = parseSemver(tag)
+    if (semverSort && !version) return false
+    if (excludePrereleases && (item.prerelease || version?.prerelease)) {
+      return false
+    }
+    return true
+  })
+
+  if (semverSort) {
+    matching.sort((a, b) => compareSemver(getTag(b), getTag(a)))
+  }
+
+  return matching
+}
@@ -0,0 +1,299 @@
+import * as fs from 'fs'
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+/**
+ * Working calendar used to measure durations in business hours
+ * Only time inside the working hours of a working day counts; weekends,
+ * holidays and nights are skipped
+ */
+export class WorkingCalendar {
+  /**
+   * Create a new working calendar
+   * @param {Object} options - Configuration options
+   * @param {string} [options.timezone] - IANA timezone the working hours are in
+   * @param {Array<number>} [options.workingDays] - Working weekdays (0 = Sunday)
+   * @param {Object} [options.workingHours] - Start and end of the working day in minutes
+   * @param {Array<string>} [options.holidays] - Non-working dates as YYYY-MM-DD
+   */
+  constructor(options = {}) {
+    this.options = {
+      timezone: 'UTC',
+      workingDays: [1, 2, 3, 4, 5],
+      workingHours: { start: 9 * 60, end: 17 * 60 },
+      holidays: [],
+      ...options
+    }
+    this.holidays = new Set(this.options.holidays)
+    this.holidayDays = [...this.holidays].map((date) => {
+      const [year, month, day] = date.split('-').map(Number)
+      return toDayNumber({ year, month, day })
+    })
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.options.timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    })
+  }
+
+  /**
+   * Calculate working hours between two dates
+   * Only the first and last local day are measured against their working
+   * window; the days in between are counted in full, so long spans cost no
+   * more than short ones
+   * @param {Date|string} laterDate - The later date
+   * @param {Date|string} earlierDate - The earlier date
+   * @returns {number} Working hours between the dates (negative if reversed)
+   */
+  hoursBetween(laterDate, earlierDate) {
+    const end = new Date(laterDate).getTime()
+    const start = new Date(earlierDate).getTime()
+    if (end < start) return -this.hoursBetween(earlierDate, laterDate)
+
+    const { start: dayStart, end: dayEnd } = this.options.workingHours
+    const first = this.getLocalParts(start)
+    const last = this.getLocalParts(end)
+    const firstDay = toDayNumber(first)
+    const lastDay = toDayNumber(last)
+
+    let workingMs = this.getWorkingOverlap(first, start, end)
+    if (lastDay > firstDay) {
+      workingMs += this.getWorkingOverlap(last, start, end)
+      // Clock changes happen at night, outside the working hours, so every
+      // working day in between counts its full working hours
+      workingMs +=
+        this.countWorkingDays(firstDay + 1, lastDay - 1) *
+        (dayEnd - dayStart) *
+        60 *
+        1000
+    }
+
+    return workingMs / 36e5
+  }
+
+  /**
+   * Get the overlap of a time range with a local day's working hours
+   * @param {Object} date - Local date with year, month and day
+   * @param {number} start - Range start in milliseconds since epoch
+   * @param {number} end - Range end in milliseconds since epoch
+   * @returns {number} Overlap in milliseconds
+   */
+  getWorkingOverlap(date, start, end) {
+    if (!this.isWorkingDay(date)) return 0
+
+    const { start: dayStart, end: dayEnd } = this.options.workingHours
+    const windowStart = this.toInstant(date, dayStart)
+    const windowEnd = this.toInstant(date, dayEnd)
+    return Math.max(0, Math.min(end, windowEnd) - Math.max(start, windowStart))
+  }
+
+  /**
+   * Count the working days in a range of local days
+   * Whole weeks are counted arithmetically, then holidays on working weekdays
+   * are taken off
+   * @param {number} fromDay - First day, as days since epoch
+   * @param {number} toDay - Last day (inclusive), as days since epoch
+   * @returns {number} Number of working days
+   */
+  countWorkingDays(fromDay, toDay) {
+    if (toDay < fromDay) return 0
+
+    const isWorkingWeekday = (day) =>
+      this.options.workingDays.includes(new Date(day * MS_PER_DAY).getUTCDay())
+    const weeks = Math.floor((toDay - fromDay + 1) / 7)
+    let count = weeks * new Set(this.options.workingDays).size
+
+    for (let day = fromDay + weeks * 7; day <= toDay; day++) {
+      if (isWorkingWeekday(day)) count++
+    }
+    for (const day of this.holidayDays) {
+      if (day >= fromDay && day <= toDay && isWorkingWeekday(day)) count--
+    }
+
+    return count
+  }
+
+  /**
+   * Check whether a local date is a working day
+   * @param {Object} date - Local date with year, month and day
+   * @returns {boolean} True if the date is a working weekday and not a holiday
+   */
+  isWorkingDay({ year, month, day }) {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+    const key = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+    return this.options.workingDays.includes(weekday) && !this.holidays.has(key)
+  }
+
+  /**
+   * Get the wall-clock date and time of an instant in the calendar timezone
+   * @param {number} instant - Milliseconds since epoch
+   * @returns {Object} Local year, month, day, hour, minute and second
+   */
+  getLocalParts(instant) {
+    const parts = {}
+    for (const { type, value } of this.formatter.formatToParts(instant)) {
+      if (type !== 'literal') parts[type] = Number(value)
+    }
+    return parts
+  }
+
+  /**
+   * Convert a local date and minute of the day into an instant
+   * @param {Object} date - Local date with year, month and day
+   * @param {number} minutes - Minutes since local midnight
+   * @returns {number} Milliseconds since epoch
+   */
+  toInstant({ year, month, day }, minutes) {
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes)
+    const offsetAt = (instant) => {
+      const local = this.getLocalParts(instant)
+      const localAsUtc = Date.UTC(
+        local.year,
+        local.month - 1,
+        local.day,
+        local.hour,
+        local.minute,
+        local.second
+      )
+      return localAsUtc - Math.floor(instant / 1000) * 1000
+    }
+
+    // Re-check the offset at the guessed instant so DST changes are honoured
+    const guess = wallClock - offsetAt(wallClock)
+    return wallClock - offsetAt(guess)
+  }
+
+  /**
+   * Describe the calendar for metrics output
+   * @returns {Object} Duration mode details
+   */
+  getMode() {
+    const { timezone, workingDays, workingHours } = this.options
+    return {
+      type: 'business_hours',
+      timezone,
+      working_days: workingDays.map((d) => DAY_NAMES[d]),
+      working_hours: `${formatMinutes(workingHours.start)}-${formatMinutes(workingHours.end)}`,
+      holidays: this.holidays.size
+    }
+  }
+}
+
+/**
+ * Describe how durations are measured
+ * @param {WorkingCalendar|null} calendar - Working calendar, if business hours are enabled
+ * @returns {Object} Duration mode details
+ */
+export function getDurationMode(calendar) {
+  return calendar ? calendar.getMode() : { type: 'wall_clock' }
+}
+
+/**
+ * Format a duration mode for markdown reports
+ * @param {Object} mode - Duration mode from getDurationMode
+ * @returns {string} Human readable description
+ */
+export function formatDurationMode(mode) {
+  if (mode?.type !== 'business_hours') {
+    return 'Wall clock (24/7)'
+  }
+
+  const days = mode.working_days
+    .map((d) => d.charAt(0).toUpperCase() + d.slice(1))
+    .join(', ')
+  const holidays = mode.holidays > 0 ? `, ${mode.holidays} holidays` : ''
+  return `Business hours (${days} ${mode.working_hours} ${mode.timezone}${holidays})`
+}
+
+/**
+ * Parse a comma-separated list of working days
+ * @param {string} value - Days such as "mon,tue,wed,thu,fri"
+ * @returns {Array<number>} Weekday numbers (0 = Sunday)
+ * @throws {Error} If a day is not recognised
+ */
+export function parseWorkingDays(value) {
+  const days = value
+    .split(',')
+    .map((d) => d.trim().toLowerCase().slice(0, 3))
+    .filter(Boolean)
+
+  for (const day of days) {
+    if (!DAY_NAMES.includes(day)) {
+      throw new Error(
+        `working-days must be a list of weekdays (mon-sun), got: ${value}`
+      )
+    }
+  }
+
+  return days.map((d) => DAY_NAMES.indexOf(d))
+}
+
+/**
+ * Parse a working hours range
+ * @param {string} value - Range such as "09:00-17:30"
+ * @returns {Object} Start and end in minutes since midnight
+ * @throws {Error} If the range is malformed or empty
+ */
+export function parseWorkingHours(value) {
+  const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(value.trim())
+  const start = match ? Number(match[1]) * 60 + Number(match[2]) : NaN
+  const end = match ? Number(match[3]) * 60 + Number(match[4]) : NaN
+
+  if (!match || start >= end || end > 24 * 60) {
+    throw new Error(`working-hours must look like 09:00-17:00, got: ${value}`)
+  }
+
+  return { start, end }
+}
+
+/**
+ * Load holiday dates from a file with one YYYY-MM-DD date per line
+ * Blank lines, `#` comments and YAML list markers are ignored
+ * @param {string} filePath - Path to the holiday file
+ * @returns {Array<string>} Holiday dates
+ * @throws {Error} If a line is not a date
+ */
+export function loadHolidays(filePath) {
+  return fs
+    .readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map((line) =>
+      line
+        .replace(/#.*$/, '')
+        .replace(/^\s*-\s*/, '')
+        .trim()
+    )
+    .filter(Boolean)
+    .map((line) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(line)) {
+        throw new Error(`Invalid holiday date in ${filePath}: ${line}`)
+      }
+      return line
+    })
+}
+
+/**
+ * Convert a local date into a day number
+ * @param {Object} date - Local date with year, month and day
+ * @returns {number} Days since epoch
+ */
+function toDayNumber({ year, month, day }) {
+  return Date.UTC(year, month - 1, day) / MS_PER_DAY
+}
+
+/**
+ * Format minutes since midnight as HH:MM
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Formatted time
+ */
+function formatMinutes(minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0')
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`
+}